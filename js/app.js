@@ -31,7 +31,7 @@ function saveSensitivity(val) {
 // ============================================================
 // Router
 // ============================================================
-const screens = ['screenConsent', 'screenSetup', 'screenCheck', 'screenResults', 'screenSettings'];
+const screens = ['screenConsent', 'screenSetup', 'screenCheck', 'screenResults', 'screenSettings', 'screenHistory'];
 
 function showScreen(id) {
   screens.forEach(s => {
@@ -40,6 +40,531 @@ function showScreen(id) {
   });
 }
 
+// ============================================================
+// IndexedDB (history etc.)
+// ============================================================
+const Idb = {
+  NAME: 'ssc',
+  VERSION: 3,
+  // Object stores created on upgrade: name → { keyPath, indexes }
+  STORES: {
+    history: { keyPath: ['url', 'timestamp'], indexes: ['timestamp'] },
+    blocklists: { keyPath: 'id' },
+    blocklist: { keyPath: ['value', 'list'], indexes: ['value', 'list'] },
+    aiCache: { keyPath: 'key', indexes: ['created'] }
+  },
+  _dbPromise: null,
+
+  open() {
+    if (this._dbPromise) return this._dbPromise;
+    this._dbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) { reject(new Error('IndexedDBが利用できません')); return; }
+      const req = indexedDB.open(this.NAME, this.VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        for (const [name, def] of Object.entries(this.STORES)) {
+          if (db.objectStoreNames.contains(name)) continue;
+          const store = db.createObjectStore(name, { keyPath: def.keyPath });
+          (def.indexes || []).forEach(idx => store.createIndex(idx, idx));
+        }
+      };
+      // An older tab holding the database open blocks the upgrade; fail
+      // instead of waiting, and close a connection that opens too late
+      let blocked = false;
+      req.onblocked = () => {
+        blocked = true;
+        reject(new Error('他のタブで開いている古いバージョンのページを閉じてから再読み込みしてください'));
+      };
+      req.onsuccess = () => {
+        const db = req.result;
+        if (blocked) { db.close(); return; }
+        // Let a newer version in another tab upgrade: close and reopen on next use
+        db.onversionchange = () => {
+          db.close();
+          this._dbPromise = null;
+        };
+        resolve(db);
+      };
+      req.onerror = () => reject(req.error);
+    });
+    // Allow retry after a failed open (e.g. private browsing)
+    this._dbPromise.catch(() => { this._dbPromise = null; });
+    return this._dbPromise;
+  },
+
+  // Run one request (or an array of requests) inside a transaction; resolves
+  // with its result (or their results) after commit
+  async request(storeName, mode, fn) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const req = fn(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(Array.isArray(req) ? req.map(r => r.result) : req ? req.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+};
+
+// ============================================================
+// Public Suffix List (eTLD+1)
+// ============================================================
+// Rules come from PUBLIC_SUFFIX_LIST (js/public-suffix-list.js), parsed on
+// first use. Matching follows the publicsuffix.org algorithm: the longest
+// matching rule wins, exception rules ("!www.ck") beat wildcards ("*.ck"), and
+// an unlisted TLD is its own public suffix.
+const PublicSuffix = {
+  _rules: null,
+
+  rules() {
+    if (!this._rules) {
+      const rules = { exact: new Map(), wildcard: new Map(), exception: new Set() };
+      for (const section of ['icann', 'private']) {
+        for (const line of PUBLIC_SUFFIX_LIST[section].split(/\r?\n/)) {
+          const rule = line.trim();
+          if (!rule) continue;
+          if (rule.startsWith('!')) rules.exception.add(rule.slice(1));
+          else if (rule.startsWith('*.')) rules.wildcard.set(rule.slice(2), section);
+          else rules.exact.set(rule, section);
+        }
+      }
+      this._rules = rules;
+    }
+    return this._rules;
+  },
+
+  // "www.shop.example.co.jp" → { suffix: 'co.jp', domain: 'example.co.jp',
+  // subdomains: ['www', 'shop'], isPrivate: false }. domain is null for IP
+  // addresses, single-label hosts and hosts that are themselves a suffix.
+  parse(hostname) {
+    const host = String(hostname || '').toLowerCase().replace(/\.$/, '');
+    if (!host || /^[\d.]+$/.test(host) || host.includes(':')) {
+      return { hostname: host, suffix: null, domain: null, subdomains: [], isPrivate: false };
+    }
+    const labels = host.split('.');
+    const { exact, wildcard, exception } = this.rules();
+    let suffixLength = 1;
+    let isPrivate = false;
+    for (let i = 0; i < labels.length; i++) {
+      const candidate = labels.slice(i).join('.');
+      const parent = labels.slice(i + 1).join('.');
+      if (exception.has(candidate)) { suffixLength = labels.length - i - 1; break; }
+      const section = exact.get(candidate) || (parent && wildcard.get(parent));
+      if (section) { suffixLength = labels.length - i; isPrivate = section === 'private'; break; }
+    }
+    const suffix = labels.slice(-suffixLength).join('.');
+    if (labels.length <= suffixLength) {
+      return { hostname: host, suffix, domain: null, subdomains: [], isPrivate };
+    }
+    return {
+      hostname: host,
+      suffix,
+      domain: labels.slice(-suffixLength - 1).join('.'),
+      subdomains: labels.slice(0, -suffixLength - 1),
+      isPrivate
+    };
+  },
+
+  registrableDomain(hostname) {
+    return this.parse(hostname).domain;
+  },
+
+  // Same registrable domain; hosts without one compare by full hostname
+  sameSite(hostA, hostB) {
+    const a = this.parse(hostA), b = this.parse(hostB);
+    return (a.domain || a.hostname) === (b.domain || b.hostname);
+  }
+};
+
+// ============================================================
+// Brand Impersonation (official-domain registry + lookalike matcher)
+// ============================================================
+// Built-in brands are DEFAULT_BRAND_REGISTRY (js/brand-registry.js). Brands
+// added in settings are kept in config.customBrands as { name, domains }; their
+// keywords are the registrable names of those domains.
+const BrandRegistry = {
+  MAX_CUSTOM: 50,
+  _checked: false,
+
+  all(config = loadConfig()) {
+    const custom = (Array.isArray(config.customBrands) ? config.customBrands : []).map(b => ({
+      id: `custom:${b.name}`,
+      name: b.name,
+      custom: true,
+      keywords: [...new Set(b.domains.map(d => BrandMatcher.siteName(PublicSuffix.parse(d))).filter(k => k.length >= 3))],
+      domains: b.domains
+    }));
+    this._selfCheck();
+    return [...DEFAULT_BRAND_REGISTRY.brands, ...custom];
+  },
+
+  // Runs the registry's "checks" once against the built-in brands
+  _selfCheck() {
+    if (this._checked) return;
+    this._checked = true;
+    (DEFAULT_BRAND_REGISTRY.checks || []).forEach(({ host, brand }) => {
+      const got = BrandMatcher.match(host, DEFAULT_BRAND_REGISTRY.brands)?.brand.id ?? null;
+      if (got !== brand) console.error(`Brand registry check: ${host} matched ${got}, expected ${brand}`);
+    });
+  },
+
+  // Settings text, one brand per line: "名前: example.co.jp, example.com"
+  parseCustom(text) {
+    const brands = [];
+    for (const raw of String(text || '').split(/\r?\n/)) {
+      const line = raw.trim();
+      if (!line) continue;
+      const m = line.match(/^(.+?)\s*[:：]\s*(.+)$/);
+      if (!m) throw new Error(`「${line.slice(0, 40)}」は「名前: 公式ドメイン, …」の形式ではありません`);
+      const domains = [];
+      for (const entry of m[2].split(/[,、\s]+/).filter(Boolean)) {
+        const host = entry.toLowerCase().replace(/^[a-z]+:\/\//, '').replace(/[/?#].*$/, '');
+        const domain = PublicSuffix.registrableDomain(host);
+        if (!domain) throw new Error(`「${entry.slice(0, 60)}」はドメインとして認識できません`);
+        if (!domains.includes(domain)) domains.push(domain);
+      }
+      brands.push({ name: m[1].slice(0, 40), domains: domains.slice(0, 20) });
+    }
+    if (brands.length > this.MAX_CUSTOM) throw new Error(`追加できるブランドは${this.MAX_CUSTOM}件までです`);
+    return brands;
+  },
+
+  formatCustom(brands) {
+    return (brands || []).map(b => `${b.name}: ${b.domains.join(', ')}`).join('\n');
+  }
+};
+
+const BrandMatcher = {
+  // Words phishing domains glue onto a brand ("amazon-jp", "smbccard", "mylawson")
+  AFFIXES: new Set(['jp','jpn','japan','co','my','id','login','signin','secure','security','account','accounts',
+    'auth','verify','update','support','help','official','service','services','center','info','mail',
+    'card','pay','bank','net','online','web','app','shop','store','point','points','user','member','members']),
+
+  // Multi-character pairs first so "rn" is read as "m" before "r"/"n" are touched
+  VISUAL_PAIRS: [['rn','m'],['vv','w'],['cl','d'],['0','o'],['1','l'],['i','l'],['3','e'],['4','a'],
+    ['5','s'],['7','t'],['8','b'],['6','b'],['9','g']],
+
+  KEYBOARD_ROWS: ['1234567890','qwertyuiop','asdfghjkl','zxcvbnm'],
+
+  siteName(site) {
+    return site.domain ? site.domain.slice(0, -site.suffix.length - 1) : '';
+  },
+
+  // Hyphen-separated parts plus the whole label without hyphens ("eki-net" → eki, net, ekinet)
+  _tokens(label) {
+    return [...new Set([...label.split('-').filter(Boolean), label.replace(/-/g, '')])];
+  },
+
+  // Exact keyword, keyword + affix or affix + keyword ("lawsonfans" is not "lawson")
+  _keywordIn(token, kw) {
+    if (token === kw) return true;
+    if (token.startsWith(kw) && this.AFFIXES.has(token.slice(kw.length))) return true;
+    return token.endsWith(kw) && this.AFFIXES.has(token.slice(0, -kw.length));
+  },
+
+  // Tokens a keyword is looked for in: exact-only keywords see just the whole
+  // label ("daiwa-line" → daiwaline), others every hyphen-separated part too
+  _tokensFor(labelTokens, wholes, kw, exact) {
+    return exact.has(kw) ? wholes : labelTokens;
+  },
+
+  // The token and the token with one affix removed ("amazomjp" → amazomjp, amazom)
+  _cores(token) {
+    const cores = [token];
+    for (const affix of this.AFFIXES) {
+      if (token.length - affix.length < 4) continue;
+      if (token.startsWith(affix)) cores.push(token.slice(affix.length));
+      if (token.endsWith(affix)) cores.push(token.slice(0, -affix.length));
+    }
+    return cores;
+  },
+
+  skeleton(s) {
+    return this.VISUAL_PAIRS.reduce((out, [from, to]) => out.split(from).join(to), s);
+  },
+
+  // Optimal string alignment distance (adjacent transpositions count as one edit)
+  distance(a, b) {
+    const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) d[0][j] = j;
+    for (let i = 1; i <= a.length; i++) {
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+        }
+      }
+    }
+    return d[a.length][b.length];
+  },
+
+  // One substituted character whose key sits next to the intended one
+  _isKeyboardSlip(typed, intended) {
+    if (typed.length !== intended.length) return false;
+    const diffs = [...typed].map((c, i) => [c, intended[i]]).filter(([a, b]) => a !== b);
+    if (diffs.length !== 1) return false;
+    const pos = c => {
+      const r = this.KEYBOARD_ROWS.findIndex(row => row.includes(c));
+      return r < 0 ? null : [r, this.KEYBOARD_ROWS[r].indexOf(c)];
+    };
+    const a = pos(diffs[0][0]), b = pos(diffs[0][1]);
+    if (!a || !b) return false;
+    // Staggered rows: the keys above are i and i+1, below are i-1 and i
+    const dr = b[0] - a[0], dc = b[1] - a[1];
+    return (dr === 0 && Math.abs(dc) === 1) || (dr === -1 && (dc === 0 || dc === 1)) || (dr === 1 && (dc === 0 || dc === -1));
+  },
+
+  // First match for hostname, checked strongest-evidence first:
+  // keyword in the registrable name, keyword in a subdomain, visual lookalike,
+  // then typo. Hosts on any registered official domain never match.
+  match(hostname, brands) {
+    const site = PublicSuffix.parse(hostname);
+    if (!site.domain || brands.some(b => b.domains.includes(site.domain))) return null;
+    const nameTokens = this._tokens(this.siteName(site));
+    const subTokens = site.subdomains.flatMap(l => this._tokens(l));
+    const nameWhole = [this.siteName(site).replace(/-/g, '')];
+    const subWholes = site.subdomains.map(l => l.replace(/-/g, ''));
+    const norm = k => k.toLowerCase().replace(/-/g, '');
+    const keywords = brands.map(b => ({ brand: b, kws: [...new Set(b.keywords.map(norm))],
+      exact: new Set((b.exactKeywords || []).map(norm)) }));
+    const base = { hostname: site.hostname, domain: site.domain };
+
+    for (const { brand, kws, exact } of keywords) {
+      const kw = kws.find(k => this._tokensFor(nameTokens, nameWhole, k, exact).some(t => this._keywordIn(t, k)));
+      if (kw) return { ...base, brand, kind: 'keyword', keyword: kw };
+    }
+    for (const { brand, kws, exact } of keywords) {
+      const kw = kws.find(k => this._tokensFor(subTokens, subWholes, k, exact).some(t => this._keywordIn(t, k)));
+      if (kw) return { ...base, brand, kind: 'subdomain', keyword: kw };
+    }
+    const cores = nameTokens.flatMap(t => this._cores(t));
+    for (const { brand, kws } of keywords) {
+      for (const kw of kws.filter(k => k.length >= 4)) {
+        const token = cores.find(c => c !== kw && this.skeleton(c) === this.skeleton(kw));
+        if (token) {
+          const count = (str, sub) => str.split(sub).length - 1;
+          const substituted = this.VISUAL_PAIRS.filter(([from]) => count(token, from) > count(kw, from))
+            .map(([from, to]) => `${from}→${to}`);
+          return { ...base, brand, kind: 'visual', keyword: kw, token, substituted };
+        }
+      }
+    }
+    for (const { brand, kws } of keywords) {
+      for (const kw of kws.filter(k => k.length >= 6)) {
+        const limit = kw.length >= 9 ? 2 : 1;
+        const token = cores.find(c => { const d = this.distance(c, kw); return d > 0 && d <= limit; });
+        if (token) {
+          return { ...base, brand, kind: this._isKeyboardSlip(token, kw) ? 'keyboard' : 'typo', keyword: kw, token,
+            distance: this.distance(token, kw) };
+        }
+      }
+    }
+    return null;
+  },
+
+  issue(m) {
+    const name = m.brand.name;
+    const official = m.brand.domains.slice(0, 2).join(', ') + (m.brand.domains.length > 2 ? ' 他' : '');
+    const note = `${name}の公式ドメインは ${official} です。`;
+    switch (m.kind) {
+      case 'keyword':
+        return { title: `ブランド偽装の疑い（${name}）`, severity: 'high',
+          desc: `ドメイン ${m.domain} は「${m.keyword}」を含みますが、公式ドメインではありません。${note}` };
+      case 'subdomain':
+        return { title: `サブドメインでのブランド偽装（${name}）`, severity: 'high',
+          desc: `${m.hostname} はサブドメインに「${m.keyword}」を含みますが、実際のドメインは ${m.domain} です。${note}` };
+      case 'visual':
+        return { title: `紛らわしい綴りのドメイン（${name}）`, severity: 'high',
+          desc: `「${m.token}」は「${m.keyword}」と見た目が似ています（${m.substituted.join('、') || '文字の置き換え'}）。${note}` };
+      case 'keyboard':
+        return { title: `タイポスクワッティングの疑い（${name}）`, severity: 'high',
+          desc: `「${m.token}」は「${m.keyword}」を隣のキーで打ち間違えた綴りです。${note}` };
+      default:
+        return { title: `タイポスクワッティングの疑い（${name}）`, severity: 'high',
+          desc: `「${m.token}」は「${m.keyword}」と${m.distance}文字違いです。${note}` };
+    }
+  }
+};
+
+// ============================================================
+// IDN Homographs (Punycode decoding, TR39 skeletons, mixed scripts)
+// ============================================================
+// RFC 3492 decoder; URL.hostname is always the ASCII (xn--) form
+const Punycode = {
+  BASE: 36, TMIN: 1, TMAX: 26, SKEW: 38, DAMP: 700, INITIAL_BIAS: 72, INITIAL_N: 128,
+
+  _digit(code) {
+    if (code >= 0x30 && code <= 0x39) return code - 22;
+    if (code >= 0x41 && code <= 0x5a) return code - 0x41;
+    if (code >= 0x61 && code <= 0x7a) return code - 0x61;
+    return this.BASE;
+  },
+
+  _adapt(delta, numPoints, firstTime) {
+    delta = firstTime ? Math.floor(delta / this.DAMP) : delta >> 1;
+    delta += Math.floor(delta / numPoints);
+    let k = 0;
+    while (delta > ((this.BASE - this.TMIN) * this.TMAX) >> 1) {
+      delta = Math.floor(delta / (this.BASE - this.TMIN));
+      k += this.BASE;
+    }
+    return k + Math.floor((this.BASE - this.TMIN + 1) * delta / (delta + this.SKEW));
+  },
+
+  // "80ak6aa92e" → "аррӏе"; throws on malformed input
+  decode(input) {
+    const output = [];
+    const basic = Math.max(0, input.lastIndexOf('-'));
+    for (let j = 0; j < basic; j++) {
+      if (input.charCodeAt(j) >= 0x80) throw new Error('invalid punycode');
+      output.push(input.charCodeAt(j));
+    }
+    let n = this.INITIAL_N, i = 0, bias = this.INITIAL_BIAS;
+    for (let idx = basic > 0 ? basic + 1 : 0; idx < input.length;) {
+      const oldi = i;
+      for (let w = 1, k = this.BASE; ; k += this.BASE) {
+        if (idx >= input.length) throw new Error('invalid punycode');
+        const digit = this._digit(input.charCodeAt(idx++));
+        if (digit >= this.BASE) throw new Error('invalid punycode');
+        i += digit * w;
+        const t = k <= bias ? this.TMIN : k >= bias + this.TMAX ? this.TMAX : k - bias;
+        if (digit < t) break;
+        w *= this.BASE - t;
+      }
+      const length = output.length + 1;
+      bias = this._adapt(i - oldi, length, oldi === 0);
+      n += Math.floor(i / length);
+      if (n > 0x10ffff) throw new Error('invalid punycode');
+      i %= length;
+      output.splice(i++, 0, n);
+    }
+    return String.fromCodePoint(...output);
+  },
+
+  // Decodes xn-- labels; malformed labels are kept as-is
+  toUnicode(hostname) {
+    return hostname.split('.').map(label => {
+      if (!/^xn--/i.test(label)) return label;
+      try { return this.decode(label.slice(4).toLowerCase()); } catch { return label; }
+    }).join('.');
+  }
+};
+
+const Homograph = {
+  SCRIPTS: [
+    ['Latin', 'ラテン文字'], ['Cyrillic', 'キリル文字'], ['Greek', 'ギリシャ文字'], ['Armenian', 'アルメニア文字'],
+    ['Han', '漢字'], ['Hiragana', 'ひらがな'], ['Katakana', 'カタカナ'], ['Hangul', 'ハングル'], ['Bopomofo', '注音字母'],
+    ['Arabic', 'アラビア文字'], ['Hebrew', 'ヘブライ文字'], ['Thai', 'タイ文字'], ['Georgian', 'ジョージア文字'], ['Cherokee', 'チェロキー文字']
+  ],
+  // TR39 "highly restrictive": one script, or Latin with a CJK combination
+  ALLOWED_MIXES: [['Latin', 'Han', 'Hiragana', 'Katakana'], ['Latin', 'Han', 'Bopomofo'], ['Latin', 'Han', 'Hangul']],
+  _map: null,
+  _scriptRes: null,
+
+  map() {
+    if (!this._map) {
+      this._map = new Map();
+      for (const [group, entries] of Object.entries(CONFUSABLES)) {
+        if (group === 'updated') continue;
+        for (const [ch, proto] of Object.entries(entries)) this._map.set(ch, proto);
+      }
+    }
+    return this._map;
+  },
+
+  // Script of one character; null for Common/Inherited (digits, "-", "ー", marks)
+  script(ch) {
+    if (/[\p{Script=Common}\p{Script=Inherited}]/u.test(ch)) return null;
+    if (!this._scriptRes) this._scriptRes = this.SCRIPTS.map(([name]) => [name, new RegExp(`\\p{Script=${name}}`, 'u')]);
+    return this._scriptRes.find(([, re]) => re.test(ch))?.[0] || 'Other';
+  },
+
+  scriptLabel(name) {
+    return this.SCRIPTS.find(([n]) => n === name)?.[1] || 'その他の文字';
+  },
+
+  // TR39 skeleton per character, plus NFKC folding and (for Latin letters)
+  // diacritic stripping so the result can be compared with ASCII brand
+  // keywords. Returns the skeleton and the characters that changed.
+  skeleton(label) {
+    const substitutions = [];
+    let out = '';
+    for (const ch of label) {
+      let proto = this.map().get(ch);
+      if (proto === undefined) {
+        const folded = ch.normalize('NFKC').toLowerCase();
+        proto = this.map().get(folded) ?? folded;
+        const bare = proto.normalize('NFD').replace(/\p{M}/gu, '');
+        if (/^[\x00-\x7f]+$/.test(bare)) proto = bare;
+      }
+      if (proto !== ch) substitutions.push({ ch, proto, script: this.script(ch) });
+      out += proto;
+    }
+    return { skeleton: out, substitutions };
+  },
+
+  describe(sub) {
+    const code = 'U+' + sub.ch.codePointAt(0).toString(16).toUpperCase().padStart(4, '0');
+    const script = sub.script ? this.scriptLabel(sub.script) : '記号';
+    return `${sub.ch}（${code} ${script}）→ ${sub.proto}`;
+  },
+
+  // { unicodeHost, skeletonHost, labels, issues, penalty } for an IDN host;
+  // null for plain ASCII hosts
+  inspect(hostname, brands) {
+    if (!/(^|\.)xn--/i.test(hostname)) return null;
+    const unicodeHost = Punycode.toUnicode(hostname);
+    const labels = unicodeHost.split('.').map(label => {
+      const scripts = [...new Set([...label].map(ch => this.script(ch)).filter(Boolean))];
+      const { skeleton, substitutions } = this.skeleton(label);
+      const mixed = scripts.length > 1 && !this.ALLOWED_MIXES.some(set => scripts.every(s => set.includes(s)));
+      return { label, scripts, skeleton, substitutions, mixed };
+    });
+    const skeletonHost = labels.map(l => l.skeleton).join('.');
+    const substitutions = labels.flatMap(l => l.substitutions);
+    const subsText = substitutions.slice(0, 6).map(s => this.describe(s)).join('、');
+    const issues = [];
+    let penalty = 0;
+
+    // A skeleton that is a brand's official domain is the classic attack
+    // ("аpple.com"); otherwise the skeleton goes through the normal matcher
+    let brandMatch = null;
+    if (/^[a-z0-9.-]+$/.test(skeletonHost)) {
+      const skeletonDomain = PublicSuffix.registrableDomain(skeletonHost);
+      const brand = brands.find(b => b.domains.includes(skeletonDomain));
+      brandMatch = brand ? { brand } : BrandMatcher.match(skeletonHost, brands);
+    }
+    if (brandMatch) {
+      const official = brandMatch.brand.domains.slice(0, 2).join(', ');
+      penalty += 30;
+      issues.push({ title: `IDNホモグラフによるブランド偽装（${brandMatch.brand.name}）`, severity: 'high',
+        desc: `「${unicodeHost}」は「${skeletonHost}」に見えますが、別の文字で綴られたドメインです。置き換えられた文字: ${subsText}。${brandMatch.brand.name}の公式ドメインは ${official} です。` });
+    }
+
+    const mixedLabel = labels.find(l => l.mixed);
+    // Latin label carrying lookalike symbols such as "ー" between letters
+    const disguised = labels.find(l => l.scripts.length === 1 && l.scripts[0] === 'Latin' &&
+      l.substitutions.some(s => !s.script));
+    // Entirely non-Latin label that reads as ASCII ("сосо" in Cyrillic)
+    const wholeScript = labels.find(l => l.scripts.length === 1 && l.scripts[0] !== 'Latin' &&
+      /[a-z]/.test(l.skeleton) && /^[a-z0-9-]+$/.test(l.skeleton));
+    if (!brandMatch && (mixedLabel || disguised)) {
+      const target = mixedLabel || disguised;
+      penalty += 25;
+      issues.push({ title: 'IDNホモグラフの疑い', severity: 'high',
+        desc: mixedLabel
+          ? `「${target.label}」に${target.scripts.map(s => this.scriptLabel(s)).join('と')}が混在しています。「${target.skeleton}」に見せかけている可能性があります（${target.substitutions.slice(0, 6).map(s => this.describe(s)).join('、')}）。`
+          : `ラテン文字のドメイン「${target.label}」に記号が紛れ込んでいます（${target.substitutions.slice(0, 6).map(s => this.describe(s)).join('、')}）。「${target.skeleton}」に見せかけている可能性があります。` });
+    } else if (!brandMatch && wholeScript) {
+      penalty += 15;
+      issues.push({ title: 'ラテン文字に見えるIDNドメイン', severity: 'medium',
+        desc: `「${wholeScript.label}」はすべて${this.scriptLabel(wholeScript.scripts[0])}ですが、「${wholeScript.skeleton}」と読めるように綴られています。` });
+    }
+    return { unicodeHost, skeletonHost, labels, substitutions, issues, penalty };
+  }
+};
+
 // ============================================================
 // URL Analyzer (client-side, no network)
 // ============================================================
@@ -48,11 +573,10 @@ const UrlAnalyzer = {
     'link','work','rest','gq','ml','cf','ga','tk','pw','cc','ws','info','bid','stream','racing',
     'download','win','review','trade','loan','cricket','science','party','date'],
 
-  BRANDS: ['amazon','rakuten','yahoo','google','apple','microsoft','facebook','instagram',
-    'twitter','paypal','netflix','docomo','softbank','mercari','paypay',
-    'smbc','mufg','mizuho','jpbank','aeon','familymart','lawson','uniqlo'],
+  // Subdomain labels (excluding "www") before the registrable domain
+  MAX_SUBDOMAIN_DEPTH: 2,
 
-  analyze(urlStr) {
+  analyze(urlStr, brands = BrandRegistry.all()) {
     const result = {
       domain_trust: 100,
       tech_safety: 100,
@@ -76,51 +600,35 @@ const UrlAnalyzer = {
       result.issues.push({ title: 'IPアドレスURL', severity: 'high', desc: 'ドメイン名ではなくIPアドレスが使われています。' });
     }
 
-    // Suspicious TLD
-    const tld = url.hostname.split('.').pop().toLowerCase();
+    // Suspicious TLD (top label of the public suffix, so "example.xyz" and "shop.co.xyz" both count)
+    const site = PublicSuffix.parse(url.hostname);
+    const tld = site.suffix ? site.suffix.split('.').pop() : '';
     if (this.SUSPICIOUS_TLDS.includes(tld)) {
       result.domain_trust -= 20;
       result.issues.push({ title: `不審なTLD (.${tld})`, severity: 'medium', desc: '詐欺サイトで多用されるトップレベルドメインです。' });
     }
 
-    // Excessive subdomains
-    const parts = url.hostname.split('.');
-    if (parts.length > 4) {
+    // Excessive subdomains, counted below the registrable domain ("www.shop.example.co.jp" has two)
+    const subdomains = site.subdomains.filter((label, i) => !(i === 0 && label === 'www'));
+    if (subdomains.length > this.MAX_SUBDOMAIN_DEPTH) {
       result.domain_trust -= 15;
-      result.issues.push({ title: '過剰なサブドメイン', severity: 'medium', desc: `${parts.length}階層のサブドメインがあります。` });
-    }
-
-    // Brand typosquatting
-    const hostLower = url.hostname.toLowerCase().replace(/[^a-z0-9]/g, '');
-    for (const brand of this.BRANDS) {
-      if (hostLower.includes(brand) && !url.hostname.endsWith('.' + brand + '.com') &&
-          !url.hostname.endsWith('.' + brand + '.co.jp') && !url.hostname.endsWith('.' + brand + '.jp') &&
-          url.hostname !== brand + '.com' && url.hostname !== brand + '.co.jp' && url.hostname !== brand + '.jp' &&
-          url.hostname !== 'www.' + brand + '.com' && url.hostname !== 'www.' + brand + '.co.jp') {
-        result.domain_trust -= 30;
-        result.issues.push({
-          title: `ブランド偽装の疑い（${brand}）`,
-          severity: 'high',
-          desc: `「${brand}」を含むが公式ドメインではありません。`
-        });
-        break;
-      }
+      result.issues.push({ title: '過剰なサブドメイン', severity: 'medium', desc: `登録ドメイン ${site.domain} の下に${subdomains.length}階層のサブドメインがあります。` });
     }
 
-    // IDN homograph — only flag if mixed scripts or resembles a known brand
-    // Pure Japanese/Chinese/Korean IDN domains are legitimate (e.g. 君塚法律事務所.com)
-    if (/xn--/.test(url.hostname)) {
-      let decoded;
-      try { decoded = new URL(urlStr).hostname; } catch { decoded = url.hostname; }
-      // Check if it contains Latin characters mixed with non-Latin (homograph risk)
-      const hasLatin = /[a-zA-Z]/.test(decoded.replace(/\.[a-z]+$/, ''));
-      const hasNonLatin = /[^\x00-\x7F]/.test(decoded);
-      if (hasLatin && hasNonLatin) {
-        // Mixed scripts: possible homograph attack (e.g. аmazon.com with Cyrillic а)
-        result.domain_trust -= 25;
-        result.issues.push({ title: 'IDNホモグラフの疑い', severity: 'high', desc: 'ドメイン名にラテン文字と非ラテン文字が混在しています。ブランド偽装の可能性があります。' });
-      }
-      // Pure non-Latin IDN (Japanese, etc.) — no penalty, it's normal
+    // Brand impersonation against the registry of official domains (IDN hosts
+    // are compared by skeleton in the homograph check below)
+    const brandMatch = /(^|\.)xn--/i.test(url.hostname) ? null : BrandMatcher.match(url.hostname, brands);
+    if (brandMatch) {
+      result.domain_trust -= 30;
+      result.issues.push(BrandMatcher.issue(brandMatch));
+    }
+
+    // IDN homographs: decoded labels compared with the brand registry by skeleton.
+    // Pure Japanese/Chinese/Korean IDNs (e.g. 君塚法律事務所.com) are not flagged.
+    const homograph = Homograph.inspect(url.hostname, brands);
+    if (homograph) {
+      result.domain_trust -= homograph.penalty;
+      result.issues.push(...homograph.issues);
     }
 
     // Suspicious path keywords
@@ -209,18 +717,22 @@ const HtmlExtractor = {
     // Links analysis
     const links = Array.from(doc.querySelectorAll('a[href]'));
     const externalLinks = [];
+    const externalHosts = new Set();
     let host;
     try { host = new URL(baseUrl).hostname; } catch { host = ''; }
     links.forEach(a => {
       try {
         const href = new URL(a.href, baseUrl);
-        if (href.hostname && href.hostname !== host) {
-          externalLinks.push(href.hostname);
+        // Subdomains of the same registrable domain (shop. / blog.) are not external
+        if (href.hostname && !PublicSuffix.sameSite(href.hostname, host)) {
+          externalLinks.push(PublicSuffix.registrableDomain(href.hostname) || href.hostname);
+          externalHosts.add(href.hostname);
         }
       } catch {}
     });
     result.externalLinkCount = externalLinks.length;
     result.externalDomains = [...new Set(externalLinks)].slice(0, 20);
+    result.externalHosts = [...externalHosts].slice(0, 100); // full hostnames, for the blocklist
 
     // Forms
     const forms = doc.querySelectorAll('form');
@@ -261,6 +773,9 @@ const HtmlExtractor = {
     result.inlineScriptChars = inlineScriptChars;
     result.obfuscationSuspect = obfuscationSuspect;
 
+    // Meta-refresh and script redirects, which a 3xx follower never sees
+    result.clientRedirects = RedirectChain.extractClient(doc);
+
     // Operator info presence — check FULL body text (not truncated) AND link text/href
     const fullText = bodyTextFull.toLowerCase();
     const linkTexts = links.map(a => (a.textContent || '').toLowerCase() + ' ' + (a.getAttribute('href') || '').toLowerCase()).join(' ');
@@ -287,445 +802,2139 @@ const HtmlExtractor = {
     });
     result.hiddenFormFields = hiddenFormFields;
 
+    // Mixed content candidates (http: subresources); judged against the final URL later
+    const httpRefs = sel => Array.from(doc.querySelectorAll(sel))
+      .map(el => el.getAttribute(el.tagName === 'FORM' ? 'action' : el.tagName === 'LINK' ? 'href' : el.tagName === 'OBJECT' ? 'data' : 'src') || '')
+      .filter(u => /^http:\/\//i.test(u.trim()))
+      .map(u => u.trim().slice(0, 200));
+    result.mixedContent = {
+      active: [...new Set(httpRefs('script[src],iframe[src],link[rel~="stylesheet"][href],form[action],object[data],embed[src]'))].slice(0, 10),
+      passive: [...new Set(httpRefs('img[src],audio[src],video[src],source[src]'))].slice(0, 10)
+    };
+
+    // Operator sub-page candidates, and operator fields on this page itself
+    // (last: pairs() rewrites <br> in doc)
+    result.operatorLinks = OperatorProfile.pickLinks(links, baseUrl);
+    result.operatorPairs = OperatorProfile.pairs(doc);
+
     return result;
   }
 };
 
 // ============================================================
-// Gemini API Client
+// Security Header Analyzer (headers, cookies, mixed content, certificate)
 // ============================================================
-const GeminiClient = {
-  async analyze(config, urlStr, urlAnalysis, htmlContent, headers, cancelSignal) {
-    const workerUrl = (config.workerUrl || DEFAULT_WORKER_URL).replace(/\/+$/, '');
-    const apiKey = config.apiKey;
+// Only HTTPS pages are inspected; plain HTTP is already penalized by
+// UrlAnalyzer. Missing headers are common on small legitimate sites, so each
+// costs little and the header total is capped.
+const SecurityHeaders = {
+  HSTS_MIN_AGE: 15552000, // 180 days
+  MAX_HEADER_PENALTY: 30,
+  NEW_CERT_DAYS: 30,
+  EXPIRING_CERT_DAYS: 7,
+  CERT_TIMEOUT: 10000,
+  SESSION_COOKIE_RE: /sess|sid|auth|token|login|jwt/i,
+
+  // fetchData: worker /fetch payload (or null); cert: fetchCert() result (or null)
+  // Returns { penalties: { tech_safety, domain_trust }, issues }
+  analyze(fetchData, htmlContent, cert) {
+    const issues = [];
+    let tech = 0;
+    let domain = 0;
+    const add = (points, title, severity, desc) => {
+      tech += points;
+      issues.push({ title, severity, desc });
+    };
 
-    const sensitivity = loadSensitivity();
-    const prompt = this._buildPrompt(urlStr, urlAnalysis, htmlContent, headers, sensitivity);
-    const schema = this._responseSchema();
+    // HTTPS→HTTP redirects are reported by RedirectChain
+    let finalUrl = null;
+    try { finalUrl = fetchData?.finalUrl ? new URL(fetchData.finalUrl) : null; } catch {}
+
+    if (finalUrl?.protocol === 'https:') {
+      const h = fetchData.headers || {};
 
-    const body = {
-      contents: [{ parts: [{ text: prompt }] }],
-      generationConfig: {
-        responseMimeType: 'application/json',
-        responseSchema: schema,
-        temperature: 0.1
+      const hsts = h['strict-transport-security'];
+      if (!hsts) {
+        add(5, 'HSTS未設定', 'low', 'Strict-Transport-Securityヘッダーがありません。初回アクセス時などに通信をHTTPへ引き下げる攻撃を防げません。');
+      } else {
+        const maxAge = Number((hsts.match(/max-age\s*=\s*"?(\d+)/i) || [])[1] || 0);
+        if (maxAge < this.HSTS_MIN_AGE) {
+          add(2, 'HSTSの有効期間が短い', 'low', `max-age=${maxAge}秒（推奨は180日以上）。期限切れ後はHTTPへの引き下げを防げません。`);
+        }
       }
-    };
 
-    const resp = await fetch(`${workerUrl}/models/gemini-2.5-flash:generateContent`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json', 'X-API-Key': apiKey },
-      body: JSON.stringify(body),
-      signal: _combinedSignal(cancelSignal, 60000)
-    });
+      const csp = h['content-security-policy'] || '';
+      if (!csp) {
+        add(3, 'CSP未設定', 'low', h['content-security-policy-report-only']
+          ? 'Content-Security-Policyは報告専用（Report-Only）で、スクリプト注入を実際には防ぎません。'
+          : 'Content-Security-Policyヘッダーがありません。スクリプト注入（XSS）の被害を抑える仕組みがありません。');
+      }
 
-    if (!resp.ok) {
-      const errText = await resp.text();
-      if (resp.status === 429) {
-        throw new Error('Gemini APIの利用上限に達しました。しばらく待ってから再度お試しください。');
+      if (!h['x-frame-options'] && !/frame-ancestors/i.test(csp)) {
+        add(3, 'フレーム埋め込み対策なし', 'low', 'X-Frame-Options（またはCSPのframe-ancestors）がなく、他サイトに埋め込んで操作を誘導するクリックジャッキングを防げません。');
+      }
+
+      if (!/nosniff/i.test(h['x-content-type-options'] || '')) {
+        add(2, 'X-Content-Type-Options未設定', 'low', 'nosniffが指定されておらず、ブラウザがファイルの種類を推測して実行する余地があります。');
+      }
+
+      if (!h['referrer-policy'] && !htmlContent?.meta?.referrer) {
+        add(1, 'Referrer-Policy未設定', 'low', '他サイトへ移動する際に送るURL情報の範囲が指定されていません。');
+      }
+
+      this._cookieIssues(fetchData.setCookies || [], add);
+      tech = Math.min(tech, this.MAX_HEADER_PENALTY);
+
+      const mixed = htmlContent?.mixedContent;
+      if (mixed?.active.length) {
+        tech += 10;
+        issues.push({ title: '混在コンテンツ（スクリプト等）', severity: 'medium',
+          desc: `HTTPSページからHTTPでスクリプト・フレーム・フォーム送信先等を読み込んでいます: ${mixed.active.slice(0, 3).join(', ')}` });
+      }
+      if (mixed?.passive.length) {
+        tech += 3;
+        issues.push({ title: '混在コンテンツ（画像等）', severity: 'low',
+          desc: `HTTPSページからHTTPで画像・音声・動画を読み込んでいます: ${mixed.passive.slice(0, 3).join(', ')}` });
       }
-      throw new Error(`Gemini API error ${resp.status}: ${errText.slice(0, 200)}`);
     }
 
-    const data = await resp.json();
-    const text = data.candidates?.[0]?.content?.parts?.[0]?.text;
-    if (!text) throw new Error('Gemini returned empty response');
-    let parsed;
-    try { parsed = JSON.parse(text); } catch { throw new Error('AI応答のJSON解析に失敗しました'); }
-    if (!parsed.scores || typeof parsed.scores.domain_trust !== 'number') {
-      throw new Error('AI応答に必須フィールドがありません');
+    if (cert && !cert.manyCertificates) {
+      const now = Date.now();
+      const days = iso => Math.floor((now - new Date(iso).getTime()) / 86400000);
+      const issuer = this.issuerName(cert.issuer);
+      if (cert.firstSeen && days(cert.firstSeen) <= this.NEW_CERT_DAYS) {
+        domain += 10;
+        issues.push({ title: '新しく発行された証明書', severity: 'medium',
+          desc: `このホスト名の証明書は${Math.max(0, days(cert.firstSeen))}日前に初めて発行されました（発行者: ${issuer}）。開設直後のサイトは詐欺サイトに多い特徴です。` });
+      }
+      if (cert.notAfter && -days(cert.notAfter) <= this.EXPIRING_CERT_DAYS) {
+        tech += 2;
+        issues.push({ title: '証明書の期限切れが近い', severity: 'low',
+          desc: `最新の証明書の有効期限は${new Date(cert.notAfter).toLocaleDateString('ja-JP')}です。` });
+      }
     }
-    return parsed;
+
+    return { penalties: { tech_safety: tech, domain_trust: domain }, issues };
   },
 
-  _buildPrompt(urlStr, urlAnalysis, htmlContent, headers, sensitivity) {
-    const today = new Date().toISOString().slice(0, 10);
+  // Certificate details from the worker's /cert route (CT logs). Never throws;
+  // null when unavailable.
+  async fetchCert(config, hostname, cancelSignal) {
+    try {
+      const workerUrl = (config.workerUrl || DEFAULT_WORKER_URL).replace(/\/+$/, '');
+      const resp = await fetch(`${workerUrl}/cert?host=${encodeURIComponent(hostname)}`, {
+        headers: AiClient.workerHeaders(config),
+        signal: _combinedSignal(cancelSignal, this.CERT_TIMEOUT)
+      });
+      if (!resp.ok) return null;
+      const data = await resp.json();
+      return data && !data.error ? data : null;
+    } catch {
+      return null;
+    }
+  },
 
-    let sensitivityInstruction = '';
-    if (sensitivity === 'high') {
-      sensitivityInstruction = '\n## 感度設定: 高感度モード\n疑わしい場合は積極的に低スコアを付けてください。グレーゾーンのサイトは安全側ではなく危険側に寄せて判定してください。\n';
-    } else if (sensitivity === 'low') {
-      sensitivityInstruction = '\n## 感度設定: 低感度モード\n明確な根拠がある場合のみ低スコアを付けてください。グレーゾーンのサイトは危険側ではなく安全側に寄せて判定してください。\n';
+  // "C=US, O=Let's Encrypt, CN=R10" → "Let's Encrypt"
+  issuerName(issuer) {
+    const s = String(issuer || '');
+    return (s.match(/(?:^|,\s*)O=("[^"]*"|[^,]+)/) || [])[1]?.replace(/^"|"$/g, '')
+      || (s.match(/(?:^|,\s*)CN=([^,]+)/) || [])[1] || s || '不明';
+  },
+
+  // One-line certificate summary for the prompt and exports
+  certLabel(cert) {
+    if (!cert) return '取得不可';
+    if (cert.manyCertificates) return '発行履歴多数（長期運用のホスト）';
+    if (!cert.certCount) return 'CTログに記録なし';
+    const d = iso => (iso ? iso.slice(0, 10) : '?');
+    return `発行者 ${this.issuerName(cert.issuer)}、有効期間 ${d(cert.notBefore)}〜${d(cert.notAfter)}、初回発行 ${d(cert.firstSeen)}（${cert.source}）`;
+  },
+
+  _cookieIssues(setCookies, add) {
+    const cookies = setCookies.map(c => {
+      const [pair, ...attrs] = String(c).split(';');
+      const flags = attrs.map(a => a.trim().toLowerCase());
+      return {
+        name: pair.split('=')[0].trim(),
+        secure: flags.includes('secure'),
+        httpOnly: flags.includes('httponly'),
+        sameSite: flags.some(f => f.startsWith('samesite='))
+      };
+    }).filter(c => c.name);
+    const names = list => list.slice(0, 3).map(c => `「${c.name}」`).join('') + (list.length > 3 ? ` ほか${list.length - 3}件` : '');
+
+    const insecure = cookies.filter(c => !c.secure);
+    if (insecure.length) {
+      add(5, 'Secure属性のないCookie', 'medium', `Cookie ${names(insecure)} にSecure属性がなく、暗号化されていない通信で送信され得ます。`);
+    }
+    const scriptable = cookies.filter(c => !c.httpOnly && this.SESSION_COOKIE_RE.test(c.name));
+    if (scriptable.length) {
+      add(3, 'HttpOnly属性のないセッションCookie', 'low', `Cookie ${names(scriptable)} がJavaScriptから読み取れるため、スクリプト注入時に盗まれる恐れがあります。`);
     }
+    const noSameSite = cookies.filter(c => !c.sameSite);
+    if (noSameSite.length) {
+      add(1, 'SameSite属性のないCookie', 'low', `Cookie ${names(noSameSite)} にSameSite属性がありません（ブラウザ既定の扱いになります）。`);
+    }
+  }
+};
 
-    return `あなたはサイバーセキュリティ専門家です。以下のウェブサイト情報を分析し、詐欺・危険サイトかどうかを判定してください。
-本日の日付: ${today}
+// ============================================================
+// Redirect Chain (per-hop URL analysis, shorteners, downgrades, cloaking)
+// ============================================================
+const RedirectChain = {
+  SHORTENERS: ['bit.ly','bitly.com','t.co','tinyurl.com','goo.gl','ow.ly','is.gd','v.gd','x.gd','buff.ly',
+    'rebrand.ly','cutt.ly','t.ly','tiny.cc','shorturl.at','rb.gy','bl.ink','lnkd.in','amzn.to','amzn.asia',
+    's.id','qr.ae','urx.blue','urx2.nu','onl.bz','onl.la','00m.in','me2.do','naver.me','lin.ee'],
+  // Titles servers put on an ordinary redirect response
+  GENERIC_TITLE_RE: /moved|redirect|found|object|see other|30[1278]|リダイレクト|転送|移動/i,
+  CLOAK_MIN_BODY: 2048,
+  MAX_HOP_PENALTY: 40,
+  // Literal targets of window.location / location.href assignments and
+  // location.replace() / assign() calls in inline scripts
+  SCRIPT_REDIRECT_RES: [
+    /(?<![\w$.])(?:(?:window|document|top|self|parent)\s*\.\s*)?location(?:\s*\.\s*href)?\s*=(?!=)\s*(['"`])([^'"`\s]+)\1/g,
+    /(?<![\w$.])(?:(?:window|document|top|self|parent)\s*\.\s*)?location\s*\.\s*(?:replace|assign)\s*\(\s*(['"`])([^'"`\s]+)\1\s*\)/g
+  ],
+  MAX_CLIENT_REDIRECTS: 5,
 
-## 回答ルール（最重要・厳守）
-0. **必ず日本語で回答してください。** findings/detected_categories/summaryの全フィールドを日本語で記述すること。
-1. findingsのquoteには、サイト本文からの「そのまま引用」のみ記載。存在しない文言を捏造しない。
-2. 引用できる原文がない場合はquoteを空文字にする。
-3. detected_categoriesのevidenceも、サイト内の具体的表現を根拠として示す。
-4. 正当なサイトには高スコアを付ける。疑わしい点がなければ安全と判定する。
-5. 推測や可能性だけで低スコアを付けない。具体的根拠がある場合のみ減点する。ただし根拠が明確な場合は躊躇なく低スコアを付けること。
-6. 複数カテゴリの部分一致だけで危険と判定しない。文脈と全体像を重視する。ただし、19カテゴリの手口パターンに明確に合致する場合は、scam_patternを20以下にすること。
-7. この分析は「現時点でのこのページの内容」のみが対象。過去の行政処分歴や企業の評判は判断材料にしない。
-8. 誤検知防止ガイドは正当なサービスを守るためのもの。詐欺サイトが正当なサービスの特徴を装っている場合（例: 偽の登録番号、コピペされた免責文）は保護対象外。
-${sensitivityInstruction}
-## 対象URL
-${urlStr}
+  isShortener(hostname) {
+    const host = String(hostname || '').toLowerCase();
+    return this.SHORTENERS.includes(host) || this.SHORTENERS.includes(PublicSuffix.registrableDomain(host));
+  },
 
-## クライアント側URL分析結果
-- ドメイン信頼スコア: ${urlAnalysis.domain_trust}/100
-- 技術安全スコア: ${urlAnalysis.tech_safety}/100
-- 検出された問題: ${urlAnalysis.issues.length > 0 ? urlAnalysis.issues.map(i => i.title).join(', ') : 'なし'}
+  // 3xx response that also carries a page of its own
+  _isCloaked(hop) {
+    if (!(hop.status >= 300 && hop.status < 400) || !/html/i.test(hop.contentType || '')) return false;
+    if ((hop.bodySize || 0) >= this.CLOAK_MIN_BODY) return true;
+    return !!hop.title && !this.GENERIC_TITLE_RE.test(hop.title) && !this.isShortener(this._host(hop.url));
+  },
 
-## HTTPレスポンスヘッダー
-${headers ? Object.entries(headers).map(([k,v]) => `${k}: ${v}`).join('\n') : '取得不可'}
+  _host(url) {
+    try { return new URL(url).hostname; } catch { return ''; }
+  },
 
-## サイトコンテンツ
-タイトル: ${htmlContent?.title || '不明'}
-見出し: ${htmlContent?.headings?.join(' / ') || 'なし'}
-本文テキスト:
-${htmlContent?.bodyText || '取得不可'}
+  // Redirects declared in the page: [{ kind: 'meta' | 'script', target, delay? }].
+  // Targets stay unresolved; analyze() resolves them against the final URL.
+  extractClient(doc) {
+    const found = [];
+    doc.querySelectorAll('meta[http-equiv]').forEach(m => {
+      if (m.getAttribute('http-equiv').trim().toLowerCase() !== 'refresh') return;
+      const match = (m.getAttribute('content') || '').match(/^\s*(\d+)(?:\.\d*)?\s*(?:[;,]\s*(?:url\s*=\s*)?(.*))?$/i);
+      const target = match?.[2]?.trim().replace(/^(['"])(.*)\1$/, '$2');
+      if (target) found.push({ kind: 'meta', target: target.slice(0, 500), delay: Number(match[1]) });
+    });
+    doc.querySelectorAll('script:not([src])').forEach(sc => {
+      const code = sc.textContent || '';
+      this.SCRIPT_REDIRECT_RES.forEach(re => {
+        for (const m of code.matchAll(re)) found.push({ kind: 'script', target: m[2].slice(0, 500) });
+      });
+    });
+    return found.filter((r, i) => found.findIndex(o => o.target === r.target) === i).slice(0, this.MAX_CLIENT_REDIRECTS);
+  },
 
-外部リンク数: ${htmlContent?.externalLinkCount || 0}
-外部ドメイン: ${htmlContent?.externalDomains?.join(', ') || 'なし'}
-フォーム: ${htmlContent?.forms?.length || 0}個${htmlContent?.forms?.some(f => f.hasPassword) ? '（パスワード入力あり）' : ''}${htmlContent?.forms?.some(f => f.hasCard) ? '（クレジットカード入力あり）' : ''}
-インラインスクリプト: ${htmlContent?.inlineScriptChars || 0}文字
-難読化の疑い: ${htmlContent?.obfuscationSuspect ? 'あり' : 'なし'}
-隠しフォーム要素: ${htmlContent?.hiddenFormFields || 0}個
-会社概要: ${htmlContent?.companyInfoInContent ? 'ページ内に記載あり' : htmlContent?.hasCompanyInfo ? 'リンクあり（別ページに存在）' : 'なし'}
-連絡先: ${htmlContent?.hasContact ? 'あり' : 'なし'}
-プライバシーポリシー: ${htmlContent?.hasPrivacyPolicy ? 'あり' : 'なし'}
-特定商取引法表記: ${htmlContent?.commerceLawInContent ? 'ページ内に記載あり' : htmlContent?.hasCommerceLaw ? 'リンクあり（別ページに存在）' : 'なし'}
+  // First http(s) client redirect leaving pageUrl that the worker did not
+  // follow. Script navigation within the same site is ordinary UI code
+  // (menus, "back to top"), so only cross-site script targets count.
+  _pendingClient(clientRedirects, pageUrl, visited) {
+    const page = new URL(pageUrl);
+    for (const r of clientRedirects) {
+      try {
+        const url = new URL(r.target, page);
+        if (!/^https?:$/.test(url.protocol) || visited.has(url.href)) continue;
+        if (url.href.replace(/#.*$/, '') === page.href.replace(/#.*$/, '')) continue;
+        if (r.kind === 'script' && PublicSuffix.sameSite(url.hostname, page.hostname)) continue;
+        return { ...r, url: url.href };
+      } catch {}
+    }
+    return null;
+  },
 
-## 検出すべき詐欺・違法サイトカテゴリ（19種）と実際の手口パターン
-
-### 1. 闇バイト（犯罪実行者募集）
-警察庁統計: 2024年首都圏連続強盗19件・46人逮捕。Telegram/Signal経由で指示。
-**検出フレーズ:**
-- 「高額報酬」「高額バイト」「即日払い」「即日即金」「ホワイト案件」
-- 「楽に稼げる」「リスクのない」「～するだけ」「日給5万円から」
-- 「人から物を受け取るだけ」「現金を引き出すだけの高額バイト」
-- 「荷物を受け取るだけ」「運びの仕事」「引っ越し 即日払い10万円」
-- 「報酬35万円 資金調達」「深夜に人を運んでください」
-**隠語:** UD/受け出し、U/受け子、D/出し子、T/タタキ/叩き、打ち子、荷受け、運び、飛ばし
-**特徴:** SNS(X/Instagram)→Telegram/Signalへ誘導、身分証提出要求→脅迫で逃げられなくなる
-
-### 2. 投資詐欺（SNS型）
-2024年被害: 10,237件・1,271.9億円（前年比179.4%増）。金融庁相談15,054件中83.2%が実被害。
-**検出フレーズ:**
-- 「必ず儲かる」「元本保証」「確実に利益が出る」「上場確実」
-- 「あなただけにご紹介」「限定○名」「今だけ特別」「無料の投資セミナー」
-- 「著名人○○が推薦」（有名人なりすまし広告）
-- 「先生のおかげで利益が出ました」「先生の指示どおりにやって成功しました」（サクラ投稿）
-- 「出金には手数料が必要です」「税金を支払わないと出金できません」（出金拒否）
-**手口:** Facebook/Instagram偽広告→LINEグループ誘導→「先生」「アシスタント」が指導→サクラが利益報告→少額出金で信用→高額投入→連絡断絶or出金手数料要求
-**有名人偽装事例:** 森永卓郎(偽広告3,035件)、堀江貴文、前澤友作、池上彰
-**関連法令:** 金融商品取引法で「断定的判断の提供」禁止。金融庁無登録業者リスト公表中。登録番号詐称事例あり。
-
-### 3. フィッシング
-2024年通報: 年間171.8万件（過去最多）。12月単月23.2万件。74.9%が送信元偽装。
-**なりすまし上位10ブランド:** Amazon、えきねっと、PayPay、佐川急便、国税庁、Mastercard、Apple、三井住友カード、JA Bank、JCB（上位10で73.7%）
-**検出フレーズ（SMS/メール）:**
-- 「不在のため持ち帰りました」「お荷物投函のお知らせ」（宅配偽装）
-- 「お客様の口座が不正アクセスされています」「セキュリティの再設定が必要です」
-- 「カードの利用を一時停止しました」「不正利用の可能性がある」
-- 「暗証番号の有効期限が切れる」「○日間ログインされていません」
-- 「至急対応が必要です」「24時間以内に」「アカウントが停止されます」
-- 「【えきねっと】お支払い情報のご確認と更新のお願い」
-- 「Amazonアカウントの情報を更新する必要があります」
-- 「未納の税金があります」「【国税庁】重要なお知らせ」
-- 「電力供給が停止される可能性があります」（東京電力偽装）
-
-### 4. 偽通販
-JC3通報: 2023年47,278件（前年比+64%）。国民生活センター: インターネット通販関連年間27万件超。
-**検出パターン:**
-- 激安価格（正規の80-95%引き）、先払いのみ（銀行振込/プリペイドカード）
-- 振込先が個人名義口座（外国人名義含む）
-- 不自然な日本語（機械翻訳調）、中国語使用の見慣れない漢字
-- 実在しない会社情報、特商法表記の欠如、連絡先なし
-- 正規ECサイトのデザイン・商品写真を無断コピー
-- 不審TLD: .top/.xyz/.site/.online/.fun/.icu
-**結末:** 商品未着・偽物送付・空箱送付。代金騙し取り後に連絡不能。
-
-### 5. 健康詐欺・医療広告違反
-**薬機法違反（逮捕事例）:**
-- 「がん細胞が自滅する」→ シンゲンメディカル社逮捕(2019年)
-- 「ズタボロになった肝臓が半年で復活」→ ステラ漢方社逮捕(2020年)
-- 「血液をきれいにする」「糖尿病が治る」→ 医療機器販売会社逮捕(2025年)
-- 「アトピーが治る」「がんに効く」→ 書類送検。化粧品「シワがなくなる」「シミが消える」→ 効能範囲逸脱
-- 無承認医薬品: ダイエットジェリー(シブトラミン検出・6名健康被害)、美白クリーム(皮膚障害)
-**景品表示法違反（措置命令事例）:**
-- 「食事制限や運動なしで短期間で痩身効果」→ シボローカ/フラボス措置命令(2024年3月)
-- 「短期間で薄毛改善」「白髪→黒髪」→ MIHORE措置命令(2024年10月)
-- 「摂取するだけで腹部の脂肪が落ちる」→ メラット措置命令(2023年)
-- 「シミが99.9%消える」→ HappyLifeBio社措置命令(2024年)
-**検出キーワード:** 「飲むだけで」「塗るだけで」「楽ヤセ」「不治の病が完治」「奇跡の○○」「食事制限不要」「驚きの効果」
-**医療広告ガイドライン違反（厚労省 2023年度: 1,098サイト/6,328件）:**
-- 美容362サイト、歯科374サイト、がん68サイト
-- 「必ず治る」「100%安全」「副作用なし」「痛みゼロ」→ 誇大広告
-- ビフォーアフター写真でリスク・副作用記載不十分、未承認医薬品を用いる自由診療の情報提供不足
-**施術所広告違反（あはき法・柔整法）:** 「交通事故専門」「肩こり治療」→行政指導対象。無資格マッサージ→エーワン社逮捕。
-
-### 6. 被害回復詐欺（二次被害詐欺）
-特殊詐欺全体: 2024年21,043件・717.6億円（前年比+58.6%）。被害者リスト流通で二次被害が発生。
-**型A: 古典的被害回復詐欺（劇場型・偽公的機関型）**
-- 「詐欺被害を取り戻す」「返金保証」「被害者救済」「被害を回復してあげます」
-- 「△△社の株を買ってくれたら、あとで高く買い取ります」（劇場型二次被害）
-- 「以前の投資の損を取り戻せる」「振り込んだお金を取り戻す手続きがある」
-- 偽の検察庁通知「被害回復給付金支給」で手数料請求。振り込め詐欺救済法を悪用した手数料名目の金銭要求。
-**型B: 調査会社・デジタルフォレンジック型（近年急増）**
-詐欺被害者をターゲットに「調査会社」「デジタルフォレンジック」を名乗り、被害金回収の調査費用を請求する手口。実際には仮想通貨の回収はほぼ不可能。
-**重要な事実: 暗号資産（仮想通貨）は一度送金すると、海外ウォレットへ移動された資金を民間企業が回収することは技術的にほぼ不可能。「ブロックチェーン解析で追跡・回収」は非現実的な主張。**
-**型Bの検出フレーズ:**
-- 「騙し取られたお金を追跡」「被害金回収」「被害金の回収」「返金の可能性を調査」
-- 「ブロックチェーン解析」「デジタルフォレンジック」「資金の流れを追跡」「資金移動の経路特定」
-- 「仮想通貨の追跡」「ウォレットアドレスの追跡」「暗号資産の回収」
-- 「警察や弁護士では難しい」「弁護士に断られた」「警察が動いてくれない」→「当社なら」
-- 「証拠収集のプロ」「専門の調査会社にお任せ」「調査会社だからできる」
-- 「無料一次調査」「無料で調査」「被害金回収の可能性を無料で」
-- 「手遅れになる前に」「早めの対応が重要」「今なら回収できる可能性」
-**型Bの危険シグナル:**
-- 仮想通貨詐欺の「返金事例」「回収事例」を掲載（実際には回収不可能なケースがほとんど）
-- 探偵業届出番号の不記載（調査業を営むには公安委員会届出が必要）
-- 「弁護士や警察ではできない」と不安を煽り、自社サービスに誘導
-- 被害者の恐怖心・焦りを煽る緊急性表現の多用
-- 投資詐欺の手口を詳しく解説→「心当たりがあれば今すぐ相談」の構成
-- 調査費用が被害額の数%（高額被害だと調査費用自体が数十万〜数百万円）
-**正当な被害回復サービスとの区別（重要）:**
-振り込め詐欺救済法（犯罪利用預金口座等に係る資金による被害回復分配金の支払等に関する法律）に基づき、国内銀行口座への振込詐欺では口座凍結→被害金分配による回収が法的に可能。以下は正当なサービス:
-- 弁護士が振り込め詐欺救済法に基づく口座凍結・分配金申請を支援
-- 弁護士が発信者情報開示請求・損害賠償請求を代理
-- 警察への被害届提出を支援する行政書士・弁護士
-→ 弁護士（日本弁護士連合会登録番号あり）が法的手続きの範囲で被害回復を行うサイトは正当。減点しない。
-**詐欺と判定すべきケース:**
-- 弁護士資格なしで「被害金回収」を主要サービスとして謳う調査会社
-- 仮想通貨・暗号資産の「回収」「追跡して取り戻す」を謳うサービス（技術的にほぼ不可能）
-- 「弁護士や警察では無理→当社なら」と法的専門家を否定して自社に誘導
-- 探偵業届出番号の記載なく調査業務を謳う
-→ これらが該当する場合、scam_patternを20以下、claim_credibilityを30以下とすること。
-
-### 7. サポート詐欺
-IPA 2024年Q1相談: 1,385件（偽ウイルス警告のみ）。2023年以降ネットバンキング乗っ取り事例あり。
-**検出フレーズ（偽警告画面）:**
-- 「Windows Defender セキュリティセンター」（偽装）
-- 「トロイの木馬スパイウェアに感染したPC」
-- 「エラーコード: #0x898778」「エラーコード #0x2680d3」
-- 「この PC へのアクセスはブロックされました」
-- 「このウィンドウを閉じると、個人情報が危険にさらされ Windows 登録が停止されます」
-- 「今すぐサポートセンターに電話してください」
-- 電話番号050-xxxx-xxxx or 0101-xxx-xxxx（国際電話）
-**手口:** ブラウザ全画面偽警告+音声再生→電話させる→プリペイドカード購入指示 or AnyDesk/TeamViewer遠隔操作→ネットバンキング不正送金
-**偽装ブランド:** Microsoft、Windows Defender、McAfee、Norton、Apple
-
-### 8. ロマンス詐欺（豚殺し/Pig Butchering）
-2024年1-9月被害: 271億円（前年2.4倍）。平均被害額1,242.7万円。
-**検出フレーズ:**
-- 「一緒に投資しませんか」「2人の将来のために」「一緒に稼ごう」
-- 「投資でお金を増やそう」「あなたのことが好きです」
-- 「会いたいから旅費を送って」「病気の家族の治療費が必要」
-- 「荷物を送るから手数料を払って」
-**手口:** マッチングアプリ/SNS DM→LINE/WhatsApp/Telegramで親密化→偽取引プラットフォームへ誘導→偽の利益表示→出金時に手数料/税金要求
-**大型事例:** 女性社長がSNSで知り合った外国人に約80回・4.6億円を送金
-
-### 9. 違法オンラインカジノ
-2024年賭博事犯検挙279人（前年比2.6倍・過去最多）。利用者推定330万人、掛金1兆円超。日本国内からの利用は賭博罪。
-**検出フレーズ:**
-- 「オンラインカジノ」「ライブカジノ」「オンラインスロット」「ネットポーカー」
-- 「入金ボーナス100%」「初回入金ボーナス」「フリースピン」「キャッシュバック」
-- 「出金条件」「賭け条件」「ベット額」「VIPプログラム」
-- 「必勝法」「攻略ツール」「カジノ攻略」「勝てるスロット」
-- 「ライセンス取得済み」「マルタライセンス」「キュラソーライセンス」（海外ライセンスで合法を装う）
-**サイト構造の特徴:** 派手なUI、ゲーム一覧グリッド、入金/出金ボタン、ライブチャットウィジェット、年齢確認ダイアログ、多通貨対応（JPY/BTC）
-**注意:** 海外で合法でも日本からの利用は犯罪。「合法」「安全」と謳う日本語サイトは全て違法勧誘。
-
-### 10. 偽造品・ブランドコピー品販売
-2024年税関差止33,019件（過去最多）。商標法違反：10年以下の懲役/1,000万円以下の罰金。
-**検出フレーズ:**
-- 「スーパーコピー」「N級品」「S級品」「レプリカ」「コピー品」
-- 「本物と見分けがつかない」「正規品と同品質」「1:1再現」
-- 「激安ブランド」「アウトレット特価」「工場直販」「海外直送」
-- 「ルイヴィトン 激安」「ロレックス コピー」等のブランド名+激安/コピー
-**サイト構造の特徴:** 正規価格から80-95%引きの異常な低価格、大量のブランド名羅列、銀行振込のみ（クレカ不可と異なる表示）、不自然な日本語、whois海外登録
-**消費者庁事例:** ブランド品公式サイトを装った偽サイトが年間数百件確認。代金を騙し取るか、粗悪品・偽物・空箱を送付。
-
-### 11. 架空請求・ワンクリック詐欺
-手口は陳腐化傾向だがIPA相談は四半期15件程度で継続中。
-**検出フレーズ（偽請求画面）:**
-- 「ご登録ありがとうございます」「有料会員登録が完了しました」
-- 「料金が発生しました」「利用料金○○万円」「延滞金が加算されます」
-- 「○日以内にお支払いください」「期限内にお振込みください」
-- 「法的措置を取らせていただきます」「少額訴訟の手続きに移行」
-- 「お客様のIPアドレス」「個体識別番号」「端末情報を取得しました」（脅迫要素）
-- 「退会希望の方はこちら」（連絡させてさらに騙す）
-**サイト構造の特徴:** IPアドレス/ユーザーエージェント表示、カウントダウンタイマー、振込先銀行口座情報の表示、閉じるボタンの無効化
-
-### 12. 副業・タスク詐欺
-消費者庁への相談1,615件、送金額合計10億円超（2024年）。平均被害額約106万円。
-**検出フレーズ:**
-- 「スマホだけで月○万円」「1日5分で稼げる」「すき間時間で副収入」
-- 「いいねを押すだけ」「スクショを撮るだけ」「動画を見るだけ」「タップするだけ」
-- 「未経験OK」「スキル不要」「誰でもできる」「主婦でも稼げる」
-- 「初期費用0円」「無料で始められる」→後から高額マニュアル/ツール購入を要求
-- 「LINE登録で詳細」「公式LINE追加」→LINEグループで洗脳
-**手口:** SNS広告/DM→LINE登録→少額タスク（いいね等）で少額報酬支払い→「上位タスク」として高額送金を要求→出金不可
-**特徴:** Telegramグループへの誘導、送金先が個人名義の口座
-
-### 13. なりすまし広告詐欺（フェイク広告）
-2024年上半期被害額506億円。Meta社提訴（被害者30人、請求3億円超）。
-**検出フレーズ:**
-- 「○○氏も推薦」「○○が実践する投資法」（著名人名の無断使用）
-- 偽ニュース記事風LP：「【速報】○○氏が語る驚きの投資法」「NHKニュースで話題」「日経新聞掲載」
-- 「衝撃の事実」「まだ知らないの？」「○○だけが知っている」
-- 「期間限定 無料公開中」「今だけ特別に」「先着○名」
-**サイト構造の特徴:** ニュース記事風デザイン、偽のメディアロゴ、著名人の写真大量使用、Facebook/Instagram広告からの遷移、最終的にLINE誘導
-**偽装対象:** 森永卓郎、堀江貴文、前澤友作、池上彰等。NHK・日経新聞等のメディアロゴ偽装。
-**AIディープフェイク(JFC 2024年検証330件):** 堀江貴文AI音声→被害2.2億円、前澤友作→Meta提訴、岸田首相偽動画。偽ニュース:「柳井正拘束」「高市議員提訴」→JFC虚偽判定。災害偽情報: 能登震災「人工地震」10万件・偽救助要請2.1万件・偽寄付募集350件。
-
-### 14. 仮想通貨・暗号資産詐欺
-SNS型投資詐欺(暗号資産含む): 2024年10,237件・1,271.9億円。金融庁2024年: KuCoin/Bybit/MEXC/Bitget/Bitcastle5社に無登録警告。
-**大型事件:** ジュビリーエース650億円(2021年7人逮捕)、テキシアジャパン460億円(1.3万人被害)、OZプロジェクト65億円(「4カ月で2.5倍」)
-**検出フレーズ:**
-- 「年利○○%保証」「月利○%確定」「必ず値上がりする」「元本保証のステーキング」
-- 「AI自動売買」「最新AIが自動で運用」「完全自動で利益」
-- 「ICO特別先行販売」「プレセール限定」「上場確定コイン」
-- 「出金手数料○万円」「マイニング報酬」「エアドロップ」
-- 「ウォレット接続」（偽DeFiサイトでのウォレット資金窃取）
-**サイト構造の特徴:** 偽の取引チャート/利益表示、リアルタイム風の取引履歴、金融庁登録番号の偽造、著名取引所のUIコピー
-**注意:** 金融庁の暗号資産交換業者登録一覧にない業者は全て無登録違法業者。
-
-### 15. 情報商材詐欺
-国民生活センター相談: 2017年6,593件(ピーク)。連鎖販売取引相談年間約1万件。
-**消費者庁事業者名公表:** 株式会社サポート(副業マニュアル2022年)、株式会社協栄商事/フィールド(遠隔操作アプリ悪用2024年)、株式会社和(「月50万が当たり前」2024年)
-**マルチ商法:** 日本アムウェイ6カ月業務停止命令(2022年10月、マッチングアプリ/SNS経由勧誘)
-**検出フレーズ:**
-- 「稼げるノウハウ」「○○するだけで月収100万円の方法」
-- 「限定公開」「残り○名」「期間限定」「本日23:59まで」
-- 「通常価格○○万円→今だけ○万円」（二重価格）
-- 「成功者の声」「実践者○○人が成果を出した」（サクラの体験談）
-- 「返金保証付き」（条件が厳しく実質返金不可）
-- 「無料セミナー」「無料ウェビナー」→高額バックエンド商材への誘導
-**サイト構造の特徴:** 縦長LP、カウントダウンタイマー、スクロール追従CTAボタン、煽り色（赤/黄）の多用、偽の「残り○名」表示、札束/高級車の画像
-**手口:** 無料メルマガ/LINE→無料セミナー→30万〜200万円の「塾」「コンサル」「ツール」購入を迫る
-
-### 16. 闇金・違法貸金業（ソフト闇金/給料ファクタリング含む）
-警察庁: 2023年検挙671事件。被害額55億円超(2022年)。最高裁「給料ファクタリングは貸金業法適用の貸付」(2023年)。
-**逮捕事例:** クレカ現金化85億円貸付(BPMH社13人逮捕2025年)、先払い買取「買取キング」2億3,800万円(2024年)、「まるかい」延べ1.2万人(2024年)、後払い現金化「ギフリー」(2023年)
-**手口の進化:** 給料ファクタリング→後払い現金化→先払い買取→クレカ現金化と形態を変え復活
-**検出フレーズ:**
-- 「ブラックOK」「ブラックでも借りれる」「審査なし」「審査不要」
-- 「即日融資」「即日振込」「来店不要」「誰でも借りれる」
-- 「ソフト闇金」「優良ソフト闇金」（自称する違法業者が多数存在）
-- 「給料買取」「給料ファクタリング」「後払い現金化」（実質高利貸し）
-- 「090-xxxx-xxxx」「080-xxxx-xxxx」（携帯番号のみ＝090金融）
-**サイト構造の特徴:** 携帯電話番号のみの連絡先、貸金業登録番号の記載なし or 偽造、「お申し込みはLINEで」
-**注意:** 正規の貸金業者は必ず財務局または都道府県知事の登録番号を持つ。登録番号は金融庁のデータベースで確認可能。
-
-### 17. 著作権侵害・海賊版サイト
-年間被害額3,300〜4,300億円超。漫画だけで年間1兆円超との推計。月間約6億アクセス。
-**検出フレーズ:**
-- 「全巻無料」「全話無料」「最新話 無料」「先読み 無料」
-- 「無料で読める」「無料視聴」「無料ダウンロード」
-- 「manga raw」「manga free」「zip ダウンロード」「torrent」
-- 「○○ 全巻 rar」「○○ raw」（作品名+raw/zip/rar）
-- 「映画 無料 フル」「アニメ 無料 全話」「ドラマ 見逃し 無料」
-**サイト構造の特徴:** 大量のコンテンツリスト（漫画/アニメ/映画）、aggressive広告（ポップアップ/リダイレクト多数）、Cloudflare等のCDN使用、海外ドメイン、広告ブロッカー検出
-**注意:** 2021年著作権法改正により海賊版と知りながらのダウンロードも違法化。漫画村の賠償額17.3億円（2024年判決）。
-
-### 18. 還付金詐欺・偽行政サイト
-2024年還付金詐欺 認知件数4,070件・被害額63.7億円。偽マイナポータルサイトも出現。
-**検出フレーズ:**
-- 「還付金があります」「払い戻しのお知らせ」「医療費の還付手続き」
-- 「保険料の過払い」「年金の未払い分」「税金の還付」
-- 「手続き期限が迫っています」「○月○日までに手続きしないと無効」
-- 「マイナポータル」「e-Tax」「ねんきんネット」（行政サイト偽装）
-- 「マイナンバーを入力してください」「本人確認のため暗証番号を入力」
-**サイト構造の特徴:** 行政機関のロゴ・デザインを模倣、.go.jpでないドメイン、マイナンバー/暗証番号の入力フォーム
-**注意:** 行政機関が還付金の手続きでATM操作やネットバンキングを指示することは絶対にない。公式サイトのドメインは必ず.go.jp。
-
-### 19. 霊感商法・スピリチュアル詐欺・疑似科学
-開運商法PIO-NET相談: 年間1,200〜1,500件。占いサイト相談: 年間2,000件超(8割女性)。2022年消費者契約法改正で霊感商法取消期間5→10年。不当寄附勧誘防止法2023年施行。
-**逮捕事例:** 「神世界」ヒーリングサロン5,000万円詐取(2011年)、統一教会関連10件40名逮捕
-**占いサイト詐欺事例:** 120万円(守護霊で引き止め)、55万円(宝くじ高額当選を保証)、400万円。1通1,000〜1,500円のポイント課金。
-**疑似科学商品:** 水素水(国民生活センター2,260件・3社+生成器4社措置命令)、マイナスイオン空気清浄機2社措置命令(2023年)、ゲルマニウムブレスレット(含有ゼロ・健康効果根拠なし)、EM菌(科学的検証データなし)
-**検出キーワード（霊感系）:**
-- 「前世の因縁」「先祖の祟り」「悪霊」「水子の霊」「霊障」「除霊」「浄霊」「お祓い」
-- 「開運印鑑」「パワーストーン」「霊感鑑定」「霊視」「祈祷料」「供養料」
-**検出キーワード（占い詐欺）:**
-- 「無料鑑定」「あなたは特別」「金運」「守護霊」「宝くじ当選」「あと一通で完了」
-**検出キーワード（疑似科学）:**
-- 「水素水」「活性水素」「マイナスイオン」「ゲルマニウム」「EM菌」「波動水」
-- 「活性酸素を除去」「デトックス」「好転反応」「クラスター水」「遠赤外線効果」
-**共通の危険シグナル:** 「科学では説明できない」「医者も驚く」「奇跡の」「好転反応（一時的な悪化は効果の証拠）」
-
-## 広告・表示規制違反パターン（実際の行政処分事例）
-以下は主に正規企業にも適用される景品表示法・特商法の違反パターンです。上記19カテゴリと異なり、一見正当なサイトでも該当し得ます。
-
-**虚偽No.1表示(2024年14社集中取締り):** 「顧客満足度No.1」「売上No.1」「医師の○%が推奨」→ 実態はイメージ調査のみ。検出: 「No.1」「第1位」「満足度98%」+ 根拠調査の記載なし。
-**効果なし商品(合理的根拠なし):** 「糖質カット」炊飯器8社(水分希釈)、「空間除菌」4社、「クレベリン」10社 → 全て措置命令。検出: 「除菌」「糖質カット」+ 根拠なし。
-**二重価格・有利誤認:** 「通常価格○○円→今だけ△△円」(販売実績なし)。メルセデス・ベンツ12.3億円課徴金(2024年)。
-**ステルスマーケティング(2023年10月施行・6件処分):** 祐真会(初処分)・RIZAP・大正製薬・ロート製薬 → 口コミ・体験談にPR/広告表記なし。検出: レビューに「PR」「広告」「提供」表記がない。
-**打消し表示:** 強調表示と矛盾する条件文が極小フォント(8pt未満)。例:「いつでもどこでも」+小文字「エリアにより不可」。
-**定期購入ダークパターン(年間約9万件相談):** 「初回550円」→2回目3.9万円自動発送、「いつでも解約」→クーポンで定期コース変更、解約条件の深い位置配置。検出: 「初回限定」「お試し」「97%OFF」+ 解約条件不明瞭。
-**グリーンウォッシュ:** 「生分解性」プラ製品10社措置命令(2022年)。検出: 根拠なき「エコ」「地球にやさしい」「カーボンニュートラル」。
-
-## 誤検知防止ガイド（重要）
-以下に該当するサイトは、上記カテゴリのキーワードに部分一致しても安全性を高く評価すること。
-
-**運営者透明性の評価ルール（重要）:**
-- 特定商取引法に基づく表記は「通信販売」を行う事業者にのみ義務付けられている。病院・学校・NPO・メディア・企業コーポレートサイト・行政機関等、物品販売やサービスの通信販売を行っていないサイトには不要であり、表記がなくても減点しないこと。
-- 会社概要・連絡先・プライバシーポリシーが「リンクあり（別ページに存在）」の場合、別ページに情報が存在する正当な構成であるため、「なし」と同等に減点しないこと。トップページやサービスページに直接記載されていなくても、フッターリンク等から辿れるなら十分。
-- 会社概要・特商法表記がいずれもないサイトでも、商品販売を行っていない情報提供サイト・ブログ・メディアであれば問題ない。
-- 運営者情報は「会社概要」以外にも多様な形式で記載される。法律事務所なら「事務所概要」「代表弁護士」「弁護士登録番号」「所属弁護士会」、医療機関なら「院長」「診療科目」「医療法人名」、NPOなら「団体概要」「代表理事」等。本文中にこれらの情報が含まれていれば、見出しの有無にかかわらず運営者情報ありと評価すること。
-
-**運営者情報の偽装パターンに注意:**
-以下は運営者情報があるように見せかける詐欺的手法。これらに該当する場合は運営者透明性を高く評価しないこと:
-- 「弁護士監修」「専門家監修」「医師推奨」→ 監修と運営は別物。実際の運営者・責任者が不明なら不透明。
-- 「○○協会認定」「○○機構公認」→ 実在しない団体名や自作団体の可能性。公的な登録番号（弁護士登録番号、金融商品取引業者登録番号、探偵業届出番号等）と異なり、検証不能な肩書きは信頼の根拠にならない。
-- 住所がバーチャルオフィスやレンタルポスト（例: 「○○ビル△号室」だけで、検索すると格安レンタルオフィス）で、かつ電話番号がIP電話（050-）のみ → 実体がない可能性。
-- 「代表 ○○」とフルネームがあるが、検索しても存在確認できない人物名。
-- 登録番号の体系が正しくない（例: 弁護士登録番号は5-6桁の数字、金商登録は「関東財務局長(金商)第○○号」形式）。
-
-**正当な金融サービスの特徴:**
-- 金融庁の登録番号（関東財務局長(金商)第○○号等）が記載され、番号体系が正しい
-- 金融商品取引法に基づくリスク説明・手数料開示がある
-- 「元本割れの可能性があります」等のリスク注意文がある
-→ 「投資」「利益」等のキーワードがあっても、これらが揃っていれば正当な金融サービス。
-
-**正当な健康食品・サプリ販売の特徴:**
-- 「栄養補助食品」「個人の感想です」「効果を保証するものではありません」等の免責表記
-- 特定商取引法に基づく表記が完備（事業者名・住所・電話番号・返品条件）
-- 機能性表示食品の届出番号や特定保健用食品の許可番号
-→ 「健康」「サプリ」等のキーワードだけで減点しない。
-
-**正当な占い・スピリチュアルサービスの特徴:**
-- 料金体系が明確に表示されている
-- 特商法表記が完備、解約方法が明示
-- 「娯楽目的」等の位置づけが適切
-→ 「占い」「鑑定」等のキーワードだけで減点しない。正当な有料サービスと詐欺的サイトの違いは、料金の透明性・解約容易性・煽り表現の有無。
-
-**正当なECサイトの特徴:**
-- 特商法表記完備、クレジットカード決済対応、返品ポリシー明示
-- 会社情報が実在確認可能、電話番号あり
-→ 「セール」「割引」等のキーワードだけで偽通販と判定しない。
-
-**グレーゾーンの扱い:**
-正当なサービスと詐欺の境界にあるサイト（例: 高額だが違法ではない情報商材、誇大だが薬機法ギリギリの広告）は、具体的にどの点が懸念されるかをfindingsで説明し、最終判断はユーザーに委ねる。中間スコア（40-70）を使う。
-
-**重要: 明白な詐欺サイトへの対応:**
-上記の誤検知防止ガイドは、正当なサービスを不当に低評価しないためのもの。以下の特徴が複数該当するサイトは詐欺の可能性が高く、積極的に低スコアを付けること:
-- 19カテゴリの手口パターンに明確に合致する表現・構成がある
-- 煽り表現（「今すぐ」「残りわずか」「本日限り」）が複数箇所にある
-- 連絡先・運営者情報が欠如し、かつ金銭の支払いや個人情報入力を求めている
-- 非現実的な利益・効果を断定的に約束している（「確実」「保証」「絶対」）
-- 不審なドメイン構造（ランダム文字列、ブランド偽装、不審TLD）と内容の危険性が重なる
-これらが該当する場合、overall_riskをhigh以上とし、対応するスコアを30以下にすること。
-
-**注意: 詐欺サイトは正当に見える外観を持つことがある:**
-会社名・住所・電話番号・特商法リンクがあっても、サービス内容自体が詐欺的なら高評価にしない。特に被害回復詐欺（Cat6型B）は、プロフェッショナルな外観・会社概要・調査事例を揃えて信頼感を演出するが、核心のサービス（仮想通貨の回収等）が技術的に不可能。運営者情報の有無よりサービス内容の実現可能性を重視すること。
+  // fetchData: worker /fetch payload. Hops come from fetchData.hops, or are
+  // rebuilt from redirectChain (without status codes) for older workers.
+  // clientRedirects: HtmlExtractor's meta-refresh / script redirects of the final
+  // page; one the worker did not follow is appended as an unfetched hop.
+  // Returns null without redirects, else { hops, penalties, issues }; each hop
+  // is { url, status, site, shortener, crossSite, downgrade, cloaked, title?,
+  // via?: 'meta' | 'script', unfetched?, issues }.
+  analyze(urlStr, fetchData, mainIssues = [], clientRedirects = []) {
+    const chain = fetchData?.redirectChain || [];
+    const finalUrl = fetchData?.finalUrl || urlStr;
+    const fetched = chain.length
+      ? (Array.isArray(fetchData.hops) && fetchData.hops.length
+        ? fetchData.hops
+        : [{ url: urlStr, status: null }, ...chain.map(url => ({ url, status: null }))])
+      : [{ url: finalUrl, status: Number.isInteger(fetchData?.status) ? fetchData.status : null }];
+    const pending = this._pendingClient(clientRedirects, finalUrl, new Set(fetched.map(h => h.url)));
+    if (!chain.length && !pending) return null;
+    const raw = [...fetched];
+    if (pending) {
+      raw[raw.length - 1] = { ...raw[raw.length - 1], location: pending.url, via: pending.kind, delay: pending.delay };
+      raw.push({ url: pending.url, status: null, unfetched: true });
+    }
 
-## 評価基準
-各次元を0-100で評価（100が最も安全）:
-- domain_trust: ドメイン信頼性（URL構造、TLD、ブランド偽装、SSL）
-- content_safety: コンテンツ安全性（不審キーワード、煽り表現、緊急性）
-- operator_transparency: 運営者透明性（特商法表記、会社概要、連絡先）
-- claim_credibility: 主張の信頼性（誇大広告、非現実的保証、法令違反表現）
-- scam_pattern: 詐欺パターン非合致度（既知パターンとの非類似度。高いほど安全）
-- tech_safety: 技術的安全性（SSL、難読化、隠しフォーム）
+    const issues = [];
+    let domain = 0;
+    let tech = 0;
+    const seenTitles = new Set(mainIssues.map(i => i.title));
+    let lastSite = null;
+    const hops = raw.map((h, idx) => {
+      const host = this._host(h.url);
+      const site = PublicSuffix.registrableDomain(host) || host;
+      const shortener = this.isShortener(host);
+      const hop = {
+        url: h.url,
+        status: Number.isInteger(h.status) ? h.status : null,
+        site,
+        shortener,
+        crossSite: !shortener && lastSite !== null && site !== lastSite,
+        downgrade: idx > 0 && /^http:/i.test(h.url) && /^https:/i.test(raw[idx - 1].url),
+        cloaked: this._isCloaked(h),
+        ...(h.title ? { title: String(h.title).slice(0, 200) } : {}),
+        ...(h.via === 'meta' || h.via === 'script' ? { via: h.via } : {}),
+        ...(h.unfetched ? { unfetched: true } : {}),
+        issues: []
+      };
+      if (!shortener) lastSite = site;
+
+      // The input URL was analyzed already; every later hop gets the same checks
+      if (idx > 0) {
+        const result = UrlAnalyzer.analyze(h.url);
+        domain = Math.max(domain, 100 - result.domain_trust);
+        result.issues.filter(i => i.title !== 'SSL未使用（HTTP）').forEach(i => {
+          hop.issues.push(i.title);
+          if (seenTitles.has(i.title)) return;
+          seenTitles.add(i.title);
+          issues.push({ title: `転送先: ${i.title}`, severity: i.severity, desc: `${h.url} — ${i.desc || ''}` });
+        });
+      }
+      return hop;
+    });
+    domain = Math.min(domain, this.MAX_HOP_PENALTY);
 
-`;
+    const final = hops[hops.length - 1];
+    if (chain.length) {
+      const reached = fetched[fetched.length - 1].url;
+      issues.unshift({ title: 'リダイレクト検出', severity: 'low',
+        desc: `${chain.length}回転送され、最終URL ${reached} に到達します。` });
+    }
+
+    // Redirects made by the page itself (meta refresh / script), followed or not
+    hops.forEach((h, idx) => {
+      const next = hops[idx + 1];
+      if (!h.via || !next) return;
+      const cross = next.crossSite || (next.shortener && next.site !== h.site);
+      if (cross) domain += 10;
+      const how = h.via === 'meta'
+        ? `<meta http-equiv="refresh">で${raw[idx].delay ? `${raw[idx].delay}秒後に` : ''} ${next.url} へ移動させます。`
+        : `ページ内のスクリプトで ${next.url} へ移動させる処理があります。`;
+      issues.push({
+        title: h.via === 'meta' ? 'メタリフレッシュによる転送' : 'スクリプトによる転送',
+        severity: cross ? 'medium' : 'low',
+        desc: `${h.url} は${how}` +
+          (cross ? 'HTTPの転送ではなくページ内で別ドメインへ移動させる方法は、検査ツールをすり抜けるためにフィッシングサイトでも使われます。' : '') +
+          (next.unfetched ? '（転送先の内容は取得していません）' : '')
+      });
+    });
+
+    const shortIdx = hops.findIndex(h => h.shortener);
+    if (shortIdx === 0 && !hops.slice(1).some(h => h.shortener)) {
+      issues.push({ title: '短縮URLの展開', severity: 'low',
+        desc: `${hops[0].site} の短縮URLの実際の転送先は ${final.url} です。` });
+    } else if (shortIdx >= 0) {
+      domain += 10;
+      issues.push({ title: '転送途中に短縮URL', severity: 'medium',
+        desc: `転送の途中で短縮URL（${hops.slice(1).filter(h => h.shortener).map(h => h.site).join('、')}）を経由し、行き先を隠しています。` });
+    }
+
+    const jumps = hops.filter(h => h.crossSite).length;
+    if (jumps >= 2) {
+      domain += 10;
+      const sites = hops.filter(h => !h.shortener).map(h => h.site).filter((s, i, a) => s !== a[i - 1]);
+      issues.push({ title: '複数ドメインを経由する転送', severity: 'medium', desc: `転送が ${sites.join(' → ')} と${jumps}回ドメインをまたいでいます。` });
+    } else if (jumps === 1) {
+      const toIdx = hops.findIndex(h => h.crossSite);
+      const to = hops[toIdx];
+      // A page-level jump was already reported with its meta-refresh / script issue
+      if (!hops[toIdx - 1].via) issues.push({ title: '別ドメインへの転送', severity: 'low', desc: `${to.site} へ転送されます。` });
+    }
+
+    const downgrade = hops.find(h => h.downgrade);
+    if (downgrade) {
+      tech += 20;
+      issues.push({ title: 'HTTPSからHTTPへの転送', severity: 'high',
+        desc: `暗号化された接続から暗号化されていないページ（${downgrade.url}）へ転送されます。` });
+    }
+
+    const cloaked = hops.filter(h => h.cloaked);
+    if (cloaked.length) {
+      tech += 10;
+      issues.push({ title: 'リダイレクト応答に別のページ', severity: 'medium',
+        desc: `${cloaked[0].url} は転送を指示しながら独自のページ${cloaked[0].title ? `（「${cloaked[0].title}」）` : ''}も返しています。転送に従わない検査ツールや検索エンジンにだけ別の内容を見せる手口（クローキング）の可能性があります。` });
+    }
+
+    return { hops, penalties: { domain_trust: domain, tech_safety: tech }, issues };
+  },
+
+  statusClass(status, via) {
+    if (via) return 'redirect';
+    if (!status) return 'unknown';
+    if (status >= 400) return 'error';
+    return status >= 300 ? 'redirect' : 'ok';
+  },
+
+  // Short tags for a hop (timeline, exports)
+  tags(hop, idx, count) {
+    const tags = [];
+    if (idx === 0) tags.push('入力URL');
+    if (idx === count - 1 && !hop.unfetched) tags.push('最終URL');
+    if (hop.shortener) tags.push('短縮URL');
+    if (hop.crossSite) tags.push('別ドメイン');
+    if (hop.downgrade) tags.push('HTTPへ格下げ');
+    if (hop.cloaked) tags.push('応答に別ページ');
+    if (hop.via === 'meta') tags.push('メタリフレッシュ');
+    if (hop.via === 'script') tags.push('スクリプト転送');
+    if (hop.unfetched) tags.push('未取得');
+    return tags;
+  },
+
+  // "[301] https://bit.ly/x（短縮URL） → [200] https://…" for exports
+  label(hops) {
+    return hops.map((h, idx) => {
+      const tags = this.tags(h, idx, hops.length).filter(t => t !== '入力URL' && t !== '最終URL');
+      return `[${h.status ?? '-'}] ${h.url}${tags.length ? `（${tags.join('・')}）` : ''}`;
+    }).join(' → ');
+  }
+};
+
+// ============================================================
+// Domain Age (RDAP registration data via the worker)
+// ============================================================
+const DomainAge = {
+  TIMEOUT: 10000,
+  // First matching band applies
+  AGE_BANDS: [
+    { days: 30, penalty: 30, severity: 'high' },
+    { days: 90, penalty: 15, severity: 'medium' },
+    { days: 365, penalty: 5, severity: 'low' }
+  ],
+  HOLD_STATUS_RE: /hold|redemption|pending delete/i,
+
+  // Worker /rdap result for the registrable domain of hostname; null when
+  // unavailable. Never throws.
+  async lookup(config, hostname, cancelSignal) {
+    const domain = PublicSuffix.registrableDomain(hostname);
+    if (!domain) return null;
+    try {
+      const workerUrl = (config.workerUrl || DEFAULT_WORKER_URL).replace(/\/+$/, '');
+      const resp = await fetch(`${workerUrl}/rdap?domain=${encodeURIComponent(domain)}`, {
+        headers: AiClient.workerHeaders(config),
+        signal: _combinedSignal(cancelSignal, this.TIMEOUT)
+      });
+      if (!resp.ok) return null;
+      const data = await resp.json();
+      return data && !data.error ? data : null;
+    } catch {
+      return null;
+    }
+  },
+
+  ageDays(rdap) {
+    if (!rdap?.created) return null;
+    const t = new Date(rdap.created).getTime();
+    return isNaN(t) ? null : Math.max(0, Math.floor((Date.now() - t) / 86400000));
+  },
+
+  // Returns { penalty, issues } for domain_trust
+  analyze(rdap) {
+    const issues = [];
+    let penalty = 0;
+    if (!rdap?.found) return { penalty, issues };
+
+    const days = this.ageDays(rdap);
+    const band = days === null ? null : this.AGE_BANDS.find(b => days <= b.days);
+    if (band) {
+      penalty += band.penalty;
+      const registrar = rdap.registrar ? `（レジストラ: ${rdap.registrar}）` : '';
+      issues.push({
+        title: `登録から${days}日のドメイン`,
+        severity: band.severity,
+        desc: `${rdap.domain} は${new Date(rdap.created).toLocaleDateString('ja-JP')}に登録されました${registrar}。` +
+          (band.severity === 'low' ? '登録から1年未満のドメインです。' : '登録から日の浅いドメインは詐欺サイトで多用されます。')
+      });
+    }
+
+    const held = (rdap.status || []).filter(st => this.HOLD_STATUS_RE.test(st));
+    if (held.length) {
+      penalty += 10;
+      issues.push({ title: 'ドメインが停止・削除手続き中', severity: 'medium',
+        desc: `登録ステータス: ${held.join(', ')}。レジストリやレジストラにより利用停止されている可能性があります。` });
+    }
+    return { penalty, issues };
+  },
+
+  // One-line summary for the prompt and exports
+  label(rdap) {
+    if (!rdap) return '取得不可';
+    if (!rdap.found) return `RDAPで情報なし（${rdap.domain}）`;
+    const days = this.ageDays(rdap);
+    const parts = [`${rdap.domain} 登録日 ${rdap.created ? rdap.created.slice(0, 10) : '不明'}${days !== null ? `（登録から${days}日）` : ''}`];
+    if (rdap.registrar) parts.push(`レジストラ ${rdap.registrar}`);
+    if (rdap.status?.length) parts.push(`ステータス ${rdap.status.join(', ')}`);
+    return parts.join('、');
+  }
+};
+
+// ============================================================
+// DNS Signals (mail records, nameservers, address spread via the worker)
+// ============================================================
+const DnsSignals = {
+  TIMEOUT: 8000,
+  // Nameservers operated by domain-parking / for-sale marketplaces
+  PARKING_NS_RE: /(^|\.)(sedoparking\.com|parkingcrew\.net|bodis\.com|above\.com|parklogic\.com|dan\.com|afternic\.com|uniregistrymarket\.link|ztomy\.com|voodoo\.com|domaincontrol-parking\.com)\.?$/i,
+  // Free DNS hosting frequently used for throwaway domains
+  FREE_NS_RE: /(^|\.)(freenom\.com|afraid\.org|dnsexit\.com)\.?$/i,
+  // Address spread only: DoH resolvers report the TTL left in their cache,
+  // not the zone's, so record TTLs are not scored
+  FLUX_MIN_ADDRESSES: 5,
+  FLUX_MIN_NETWORKS: 3, // distinct /16 networks
+
+  // Worker /dns result for hostname; null when unavailable. Never throws.
+  async lookup(config, hostname, cancelSignal) {
+    const domain = PublicSuffix.registrableDomain(hostname);
+    if (!domain) return null;
+    try {
+      const workerUrl = (config.workerUrl || DEFAULT_WORKER_URL).replace(/\/+$/, '');
+      const params = new URLSearchParams({ host: hostname.toLowerCase(), domain });
+      const resp = await fetch(`${workerUrl}/dns?${params}`, {
+        headers: AiClient.workerHeaders(config),
+        signal: _combinedSignal(cancelSignal, this.TIMEOUT)
+      });
+      if (!resp.ok) return null;
+      const data = await resp.json();
+      return data && !data.error ? data : null;
+    } catch {
+      return null;
+    }
+  },
+
+  spf(dns) {
+    return (dns?.txt || []).find(r => /^v=spf1\b/i.test(r.data))?.data || null;
+  },
+
+  // RFC 7505 null MX ("0 .") explicitly declares that the domain takes no mail
+  hasNullMx(dns) {
+    return (dns?.mx || []).some(r => /^0\s+\.$/.test(r.data.trim()));
+  },
+
+  // Returns { penalty, issues } for domain_trust
+  analyze(dns) {
+    const issues = [];
+    let penalty = 0;
+    if (!dns || dns.nxdomain) return { penalty, issues };
+
+    const mailless = !dns.mx?.length;
+    const spf = this.spf(dns);
+    const dmarc = dns.dmarc?.length > 0;
+    if (mailless) {
+      penalty += 5;
+      issues.push({ title: 'メール受信設定（MX）なし', severity: 'low',
+        desc: `${dns.domain} にはMXレコードがなく、このドメイン宛てのメールを受け取れません。問い合わせ窓口として機能していない可能性があります。` });
+    }
+    if (!spf && !dmarc && !this.hasNullMx(dns)) {
+      penalty += 10;
+      issues.push({ title: 'SPF・DMARCともに未設定', severity: 'medium',
+        desc: `${dns.domain} には送信ドメイン認証（SPF/DMARC）がなく、このドメインを名乗るなりすましメールを防げません。` });
+    } else if (!spf || !dmarc) {
+      penalty += 3;
+      issues.push({ title: `${spf ? 'DMARC' : 'SPF'}未設定`, severity: 'low',
+        desc: `${dns.domain} には${spf ? 'DMARCレコード（_dmarc）' : 'SPFレコード'}がありません。` });
+    }
+
+    const nameservers = (dns.ns || []).map(r => r.data.toLowerCase().replace(/\.$/, ''));
+    const parked = nameservers.filter(ns => this.PARKING_NS_RE.test(ns));
+    const free = nameservers.filter(ns => this.FREE_NS_RE.test(ns));
+    if (parked.length) {
+      penalty += 25;
+      issues.push({ title: 'パーキング用ネームサーバー', severity: 'high',
+        desc: `ネームサーバー（${parked.join(', ')}）はドメインの駐車・売買サービスのものです。運営実体のあるサイトとは考えにくい状態です。` });
+    } else if (free.length) {
+      penalty += 10;
+      issues.push({ title: '無料DNSサービスのネームサーバー', severity: 'medium',
+        desc: `ネームサーバー（${free.join(', ')}）は使い捨てドメインで多用される無料DNSサービスです。` });
+    }
+
+    const networks = new Set((dns.a || []).map(r => r.data.split('.').slice(0, 2).join('.')));
+    if ((dns.a || []).length >= this.FLUX_MIN_ADDRESSES && networks.size >= this.FLUX_MIN_NETWORKS) {
+      penalty += 15;
+      issues.push({ title: 'ファストフラックスの疑い', severity: 'medium',
+        desc: `${networks.size}系統のネットワークにまたがる${dns.a.length}件のIPアドレスが返されました。摘発を逃れるため接続先を頻繁に切り替える手口の特徴です。` });
+    }
+    return { penalty, issues };
+  },
+
+  // One-line summary for the prompt and exports
+  label(dns) {
+    if (!dns) return '取得不可';
+    if (dns.nxdomain) return `${dns.host} は存在しないドメイン（NXDOMAIN）`;
+    const ips = [...(dns.a || []), ...(dns.aaaa || [])].map(r => r.data);
+    const parts = [
+      `IP ${ips.length ? ips.slice(0, 4).join(', ') + (ips.length > 4 ? ` 他${ips.length - 4}件` : '') : 'なし'}`,
+      `MX ${dns.mx?.length ? 'あり' : 'なし'}`,
+      `SPF ${this.spf(dns) ? 'あり' : 'なし'}`,
+      `DMARC ${dns.dmarc?.length ? 'あり' : 'なし'}`
+    ];
+    if (dns.ns?.length) parts.push(`NS ${dns.ns.slice(0, 2).map(r => r.data.replace(/\.$/, '')).join(', ')}`);
+    return parts.join('、');
+  }
+};
+
+// ============================================================
+// Operator Profile (特商法 / 会社概要 / privacy sub-pages)
+// ============================================================
+// The main page usually only links to the operator disclosures. Up to
+// MAX_PAGES same-site links are fetched through the worker's /crawl route,
+// and label/value pairs (tables, definition lists, "ラベル：値" lines) are
+// read into one profile. Fields found on the main page itself take priority.
+const OperatorProfile = {
+  MAX_PAGES: 4, // worker MAX_CRAWL_PAGES
+  CRAWL_TIMEOUT: 20000,
+  MAX_VALUE: 200,
+  MAX_LABEL: 30,
+  MAX_PAIRS: 300,
+
+  // Link kinds, in crawl priority order
+  LINK_KINDS: [
+    { kind: 'commerce', label: '特定商取引法表記', re: /特定商取引|特商法|tokusho|tokutei|commercial[-_ ]?(transaction|law)|legal[-_ ]?notice/i },
+    { kind: 'company', label: '会社概要', re: /会社概要|会社案内|企業情報|企業概要|運営会社|運営者情報|about[-_ ]?us|\/company(\/|\.html?)?$|\/corporate(\/|\.html?)?$/i },
+    { kind: 'returns', label: '返品・返金ポリシー', re: /返品|返金|refund|return[-_ ]?policy/i },
+    { kind: 'privacy', label: 'プライバシーポリシー', re: /プライバシー|個人情報保護|privacy/i }
+  ],
+
+  // Profile fields; a label is matched against each re in order
+  FIELDS: [
+    { key: 'companyName', label: '事業者名', re: /^(販売(事)?業者|事業者|会社|運営(会社|者|事業者|元)|法人|屋号|商号|社名|名称)(の)?(名|名称|名前)?$|^company(name)?$/i },
+    { key: 'representative', label: '代表者', re: /代表者|代表取締役|責任者|^代表$/ },
+    { key: 'address', label: '所在地', re: /^(?!.*(返品|返送|送付)).*(所在地|住所)/ },
+    { key: 'phone', label: '電話番号', re: /電話|^tel|phone/i },
+    { key: 'email', label: 'メールアドレス', re: /メール|e-?mail/i },
+    { key: 'returnPolicy', label: '返品・返金', re: /^(?!.*(住所|送付先|連絡先)).*(返品|返金|キャンセル|交換|解約)/ }
+  ],
+
+  PHONE_RE: /(?:\+81[-\s]?|0)\d{1,4}[-\s(（]?\d{1,4}[-\s)）]?\d{3,4}/,
+  // "disclosed on request" is a legitimate 特商法 answer for phone/address
+  ON_REQUEST_RE: /請求|開示|遅滞なく/,
+
+  // Same-site candidate links from the main page, at most one per kind
+  pickLinks(anchors, baseUrl) {
+    let base;
+    try { base = new URL(baseUrl); } catch { return []; }
+    const picked = [];
+    for (const { kind, re } of this.LINK_KINDS) {
+      for (const a of anchors) {
+        let href;
+        try { href = new URL(a.getAttribute('href'), base); } catch { continue; }
+        if (!/^https?:$/.test(href.protocol) || !PublicSuffix.sameSite(href.hostname, base.hostname)) continue;
+        href.hash = '';
+        if (href.href === base.href || picked.some(p => p.url === href.href)) continue;
+        const text = (a.textContent || '').replace(/\s+/g, ' ').trim();
+        let path = href.pathname;
+        try { path = decodeURIComponent(path); } catch { /* malformed escape: match the raw path */ }
+        if (!re.test(text) && !re.test(path)) continue;
+        picked.push({ kind, url: href.href, text: text.slice(0, 50) });
+        break;
+      }
+      if (picked.length >= this.MAX_PAGES) break;
+    }
+    return picked;
+  },
+
+  // Fetch picked links via the worker and read their label/value pairs.
+  // Failures are kept per page; only cancel re-throws.
+  async crawl(config, baseUrl, links, cancelSignal) {
+    if (links.length === 0) return [];
+    const workerUrl = (config.workerUrl || DEFAULT_WORKER_URL).replace(/\/+$/, '');
+    // The worker bounds the crawl to this registrable domain
+    const site = PublicSuffix.registrableDomain(new URL(baseUrl).hostname);
+    const query = `base=${encodeURIComponent(baseUrl)}` + (site ? `&site=${encodeURIComponent(site)}` : '') +
+      links.map(l => `&url=${encodeURIComponent(l.url)}`).join('');
+    try {
+      const resp = await fetch(`${workerUrl}/crawl?${query}`, {
+        headers: AiClient.workerHeaders(config),
+        signal: _combinedSignal(cancelSignal, this.CRAWL_TIMEOUT)
+      });
+      const data = await resp.json().catch(() => ({}));
+      if (!resp.ok || !Array.isArray(data.pages)) {
+        throw new Error(data.error || `HTTP ${resp.status}`);
+      }
+      return links.map(l => {
+        const page = data.pages.find(p => p.url === l.url);
+        if (!page || page.error) return { ...l, error: page?.error || '応答なし' };
+        if (page.status >= 400) return { ...l, error: `HTTP ${page.status}` };
+        if (!page.isHtml || !page.html) return { ...l, error: 'HTML以外' };
+        const doc = new DOMParser().parseFromString(page.html, 'text/html');
+        const pairs = this.pairs(doc, true);
+        // Only a page that reads as a 特商法 disclosure gets the checklist
+        const isDisclosure = l.kind === 'commerce' &&
+          CommerceLawChecker.isDisclosure(`${doc.title}\n${doc.body?.textContent || ''}`, pairs);
+        return { ...l, pairs, isDisclosure };
+      });
+    } catch (e) {
+      if (cancelSignal?.aborted) throw e;
+      const error = e.name === 'TimeoutError' ? 'タイムアウト' : e.message;
+      return links.map(l => ({ ...l, error }));
+    }
+  },
+
+  // [label, value] pairs of a parsed document: table rows, definition lists,
+  // then text lines (see pairsFromText). Replaces <br> with newlines in doc.
+  pairs(doc, loose = false) {
+    const pairs = [];
+    doc.querySelectorAll('br').forEach(br => br.replaceWith('\n'));
+    doc.querySelectorAll('tr').forEach(tr => {
+      const cells = tr.querySelectorAll('th,td');
+      if (cells.length >= 2) pairs.push([cells[0].textContent, cells[1].textContent]);
+    });
+    doc.querySelectorAll('dt').forEach(dt => {
+      const dd = dt.nextElementSibling;
+      if (dd && dd.tagName === 'DD') pairs.push([dt.textContent, dd.textContent]);
+    });
+    doc.querySelectorAll('p,li,div,h1,h2,h3,h4,h5,h6,dd,td').forEach(el => el.append('\n'));
+    const text = doc.body ? doc.body.textContent : '';
+    return this._normalize([...pairs, ...this.pairsFromText(text, loose)]);
+  },
+
+  // "ラベル：値" / "【ラベル】値" / "ラベル<tab>値" (a copied table) lines.
+  // loose: also pair a bare known-label line with the next line (operator
+  // pages only — on a main page that pairs navigation links).
+  pairsFromText(text, loose = false) {
+    const pairs = [];
+    const raw = String(text || '').split(/\n/).filter(l => l.trim());
+    const lines = raw.map(l => l.replace(/\s+/g, ' ').trim());
+    lines.forEach((line, i) => {
+      const tab = raw[i].trim().match(/^([^\t]{1,30})\t+(.+)$/);
+      if (tab) {
+        pairs.push([tab[1], tab[2]]);
+        return;
+      }
+      const m = line.match(/^[【\[■●・]?\s*([^:：【】\[\]]{1,30}?)\s*(?:[】\]]\s*|[:：]\s*)(.+)$/);
+      if (m) {
+        pairs.push([m[1], m[2]]);
+      } else if (loose && i + 1 < lines.length && this._isLabel(line) && !this._isLabel(lines[i + 1])) {
+        pairs.push([line, lines[i + 1]]);
+      }
+    });
+    return this._normalize(pairs);
+  },
+
+  // Profile fields from pairs; the first usable pair per field wins
+  fields(pairs) {
+    const found = {};
+    pairs.forEach(([label, value]) => this._put(found, label, value));
+    return found;
+  },
+
+  // Merge main-page pairs with crawled pages (see crawl) into the stored profile
+  build(mainPairs, pages) {
+    const profile = { fields: {}, sources: {}, pages: [] };
+    const take = (fields, source) => {
+      for (const { key } of this.FIELDS) {
+        if (fields[key] && !profile.fields[key]) {
+          profile.fields[key] = fields[key];
+          profile.sources[key] = source;
+        }
+      }
+    };
+    take(this.fields(mainPairs || []), null);
+    pages.forEach(p => {
+      const entry = { kind: p.kind, url: p.url };
+      if (p.error) {
+        entry.error = p.error;
+      } else {
+        const fields = this.fields(p.pairs);
+        entry.fieldCount = Object.keys(fields).length;
+        take(fields, p.url);
+      }
+      profile.pages.push(entry);
+    });
+    return profile;
+  },
+
+  isEmpty(profile) {
+    return !profile || (Object.keys(profile.fields || {}).length === 0 && (profile.pages || []).length === 0);
+  },
+
+  kindLabel(kind) {
+    return this.LINK_KINDS.find(k => k.kind === kind)?.label || kind;
+  },
+
+  // Labels come normalized from _normalize (no spaces, brackets or colons)
+  _fieldFor(label) {
+    return this.FIELDS.find(f => f.re.test(label)) || null;
+  },
+
+  _isLabel(line) {
+    const label = this.normalizeLabel(line);
+    return label.length > 0 && label.length <= this.MAX_LABEL &&
+      !!(this._fieldFor(label) || CommerceLawChecker.itemFor(label));
+  },
+
+  normalizeLabel(label) {
+    return String(label || '').replace(/[\s【】\[\]■●・:：]/g, '');
+  },
+
+  // Normalized labels, whitespace-collapsed values; drops empty and paragraph-like labels
+  _normalize(pairs) {
+    return pairs
+      .map(([label, value]) => [this.normalizeLabel(label), String(value || '').replace(/\s+/g, ' ').trim()])
+      .filter(([label, value]) => label && label.length <= this.MAX_LABEL && value && value !== '-' && value !== '－')
+      .slice(0, this.MAX_PAIRS);
+  },
+
+  _put(found, label, value) {
+    const field = this._fieldFor(label);
+    if (!field || found[field.key]) return;
+    let v = value;
+    if (field.key === 'phone' && !this.ON_REQUEST_RE.test(v)) {
+      const m = v.match(this.PHONE_RE);
+      if (!m) return;
+      v = m[0];
+    }
+    found[field.key] = v.length > this.MAX_VALUE ? v.slice(0, this.MAX_VALUE) + '…' : v;
+  }
+};
+
+// ============================================================
+// 特定商取引法 Disclosure Checker
+// ============================================================
+// Checks a 特商法 disclosure — the checked page itself, or else the crawled
+// commerce page — for the items 特定商取引法 第11条 requires of mail-order
+// sellers, and flags values that are present but doubtful. The checklist
+// lowers operator_transparency (ContentScorer), goes into the prompt and is
+// shown on the results screen.
+const CommerceLawChecker = {
+  MIN_ITEMS: 3, // labelled items needed to treat a page as a disclosure
+  MAX_PENALTY: 40,
+  MAX_VALUE: 100,
+  STATUS_LABELS: { ok: '記載あり', warn: '要確認', missing: '記載なし' },
+
+  // weight: operator_transparency penalty when missing (half when doubtful)
+  ITEMS: [
+    { key: 'seller', label: '販売業者', weight: 10, re: /^(販売(事)?業者|事業者|会社|法人|屋号|商号|社名|名称|運営(会社|事業者|者))(の)?(名|名称|名前|氏名)?$|^company(name)?$/i },
+    { key: 'manager', label: '運営統括責任者', weight: 6, re: /責任者|代表者|代表取締役|^代表$/ },
+    { key: 'address', label: '所在地', weight: 10, re: /^(?!.*(返品|返送|送付)).*(所在地|住所)/ },
+    { key: 'phone', label: '電話番号', weight: 8, re: /^(?!.*(受付|時間)).*(電話|^tel|phone)/i },
+    { key: 'email', label: 'メールアドレス', weight: 4, re: /メール|e-?mail/i },
+    { key: 'price', label: '販売価格', weight: 5, re: /^(?!.*(以外|送料|手数料)).*(価格|代金|料金|値段|対価)/ },
+    { key: 'extraCost', label: '商品代金以外の必要料金', weight: 3, re: /以外|送料|手数料|必要料金|付帯費用/ },
+    { key: 'payment', label: '支払方法', weight: 5, re: /(支払|支払い|決済)(の)?(方法|手段)/ },
+    { key: 'paymentTiming', label: '支払時期', weight: 3, re: /(支払|支払い|決済)(の)?(時期|期限|期日)/ },
+    { key: 'delivery', label: '引渡時期', weight: 5, re: /引(き)?渡|発送|配送|お届け|納期|出荷|提供時期/ },
+    { key: 'returns', label: '返品特約', weight: 8, re: /^(?!.*(住所|送付先|連絡先|送料)).*(返品|返金|キャンセル|交換|解約)/ }
+  ],
+
+  DISCLOSURE_RE: /特定商取引|特商法/,
+  FREE_MAIL_RE: /@(gmail\.com|googlemail\.com|yahoo\.co\.jp|ymail\.ne\.jp|(hotmail|outlook|live)\.(com|jp|co\.jp)|msn\.com|icloud\.com|me\.com|mac\.com|aol\.com|yandex\.(com|ru)|mail\.ru|qq\.com|163\.com|126\.com|protonmail\.com|proton\.me|gmx\.(com|net))\b/i,
+  INTL_PHONE_RE: /\+(?!81)\d{1,3}[-\s]?\d[\d\s-]{6,}/,
+  EMAIL_RE: /[\w.+-]+@[\w-]+(\.[\w-]+)+/,
+  VIRTUAL_OFFICE_RE: /バーチャルオフィス|レンタルオフィス|シェアオフィス|コワーキング|私書箱|郵便受|転送/,
+  PREFECTURE_RE: /北海道|東京都|京都府|大阪府|(青森|岩手|宮城|秋田|山形|福島|茨城|栃木|群馬|埼玉|千葉|神奈川|新潟|富山|石川|福井|山梨|長野|岐阜|静岡|愛知|三重|滋賀|兵庫|奈良|和歌山|鳥取|島根|岡山|広島|山口|徳島|香川|愛媛|高知|福岡|佐賀|長崎|熊本|大分|宮崎|鹿児島|沖縄)県/,
+  BLOCK_NUMBER_RE: /\d|[一二三四五六七八九十]+丁目|番地/,
+
+  itemFor(label) {
+    return this.ITEMS.find(item => item.re.test(label)) || null;
+  },
+
+  // text: page title/headings/body; pairs: OperatorProfile.pairs() output
+  isDisclosure(text, pairs) {
+    if (!this.DISCLOSURE_RE.test(text || '')) return false;
+    return new Set(pairs.map(([label]) => this.itemFor(label)?.key).filter(Boolean)).size >= this.MIN_ITEMS;
+  },
+
+  // Returns { source, items: [{ key, label, status, value, note }] };
+  // source is the page URL, or null for the checked page itself
+  check(pairs, source = null) {
+    const values = {};
+    pairs.forEach(([label, value]) => {
+      const item = this.itemFor(label);
+      if (item) (values[item.key] ||= []).push(value);
+    });
+    const items = this.ITEMS.map(({ key, label }) => {
+      const candidates = values[key] || [];
+      if (candidates.length === 0) return { key, label, status: 'missing', value: '', note: '' };
+      const { status, note, value } = this._evaluate(key, candidates, pairs);
+      const v = value.length > this.MAX_VALUE ? value.slice(0, this.MAX_VALUE) + '…' : value;
+      return { key, label, status, value: v, note };
+    });
+    return { source, items };
+  },
+
+  penalty(result) {
+    if (!result) return 0;
+    let p = 0;
+    result.items.forEach(i => {
+      const weight = this.ITEMS.find(item => item.key === i.key)?.weight || 0;
+      if (i.status === 'missing') p += weight;
+      else if (i.status === 'warn') p += weight / 2;
+    });
+    return Math.min(this.MAX_PENALTY, p);
+  },
+
+  counts(result) {
+    const c = { ok: 0, warn: 0, missing: 0 };
+    (result?.items || []).forEach(i => { if (i.status in c) c[i.status]++; });
+    return c;
+  },
+
+  // Picks the best candidate value for an item and judges it
+  _evaluate(key, candidates, pairs) {
+    const ok = (value, note = '') => ({ status: 'ok', value, note });
+    const warn = (value, note) => ({ status: 'warn', value, note });
+    const onRequest = candidates.find(v => OperatorProfile.ON_REQUEST_RE.test(v));
+
+    if (key === 'phone') {
+      const value = candidates.find(v => OperatorProfile.PHONE_RE.test(v));
+      if (!value) {
+        const intl = candidates.find(v => this.INTL_PHONE_RE.test(v));
+        if (intl) return warn(intl, '海外の電話番号のみ');
+        return onRequest ? ok(onRequest, '請求時に開示する旨の表記') : warn(candidates[0], '電話番号の形式ではありません');
+      }
+      const numbers = value.match(new RegExp(OperatorProfile.PHONE_RE.source, 'g')).map(n => n.replace(/[^\d+]/g, ''));
+      if (numbers.every(n => /^(\+81|0)[789]0/.test(n))) return warn(value, '携帯電話番号のみ');
+      return ok(value);
+    }
+    if (key === 'email') {
+      const value = candidates.find(v => this.EMAIL_RE.test(v))
+        || pairs.map(([, v]) => v).find(v => this.EMAIL_RE.test(v));
+      if (!value) return warn(candidates[0], 'メールアドレスの形式ではありません');
+      const email = value.match(this.EMAIL_RE)[0];
+      return this.FREE_MAIL_RE.test(email) ? warn(email, 'フリーメールアドレス') : ok(email);
+    }
+    if (key === 'address') {
+      const value = candidates.find(v => this.PREFECTURE_RE.test(v)) || candidates[0];
+      if (!this.PREFECTURE_RE.test(value) && onRequest) return ok(onRequest, '請求時に開示する旨の表記');
+      if (this.VIRTUAL_OFFICE_RE.test(value)) return warn(value, 'バーチャルオフィス等の記載');
+      if (!this.PREFECTURE_RE.test(value)) return warn(value, '都道府県の記載がありません');
+      if (!this.BLOCK_NUMBER_RE.test(value.slice(value.search(this.PREFECTURE_RE)))) return warn(value, '番地までの記載がありません');
+      return ok(value);
+    }
+    if (key === 'manager' && onRequest && candidates.length === 1) {
+      return ok(onRequest, '請求時に開示する旨の表記');
+    }
+    return ok(candidates[0]);
+  }
+};
+
+// ============================================================
+// Threat Blocklist (imported feeds, kept in IndexedDB)
+// ============================================================
+// Feeds are imported in settings: plain domain / hosts / adblock-style lists,
+// CSV with a "url" column (URLhaus, PhishTank, JPCERT) and URL lists, also
+// defanged ones (hxxp://, [.]). Entries are stored normalized: domains as
+// "host", URLs as "host/path?query". A domain entry covers its subdomains; a
+// URL entry covers that URL and the paths below it.
+const Blocklist = {
+  MAX_BYTES: 50 * 1024 * 1024,
+  MAX_ENTRIES: 500000,
+  MAX_LISTS: 20,
+  MAX_ISSUES: 5,
+  BATCH_SIZE: 5000,
+  TIMEOUT: 60000,
+  CHECK_TIMEOUT: 5000,
+  // CSV columns quoted next to a hit (PhishTank target, URLhaus threat, JPCERT description)
+  NOTE_COLUMNS: ['target', 'threat', 'description', 'brand'],
+  WHERE_LABELS: { input: '入力URL', redirect: '転送先', external: 'リンク先' },
+
+  // "hxxps://evil[.]example/" → "https://evil.example/"
+  _refang(s) {
+    return s.replace(/^hxxp/i, 'http').replace(/\[(\.|:|dot)\]|\((\.|dot)\)/gi, m => (m.includes(':') ? ':' : '.'));
+  },
+
+  // { kind: 'domain' | 'url', value } for a feed cell, or null
+  normalize(raw) {
+    const s = this._refang(String(raw).trim().replace(/^["']|["']$/g, ''));
+    if (!s || /\s/.test(s)) return null;
+    const hasScheme = /^[a-z][a-z0-9+.-]*:\/\//i.test(s);
+    try {
+      const u = new URL(hasScheme ? s : 'http://' + s);
+      if (!['http:', 'https:'].includes(u.protocol)) return null;
+      const host = u.hostname.toLowerCase().replace(/\.$/, '');
+      const isIp = /^[\d.]+$/.test(host) || host.startsWith('[');
+      // Never a whole public suffix ("co.jp", "github.io")
+      if (!isIp && !PublicSuffix.registrableDomain(host)) return null;
+      if (!hasScheme && !s.includes('/')) return { kind: 'domain', value: host };
+      return { kind: 'url', value: host + u.pathname + u.search };
+    } catch {
+      return null;
+    }
+  },
+
+  // Quoted CSV/TSV cells of one line
+  _csvCells(line) {
+    const cells = [];
+    let cur = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+      const ch = line[i];
+      if (quoted) {
+        if (ch === '"' && line[i + 1] === '"') { cur += '"'; i++; }
+        else if (ch === '"') quoted = false;
+        else cur += ch;
+      } else if (ch === '"') quoted = true;
+      else if (ch === ',' || ch === '\t') { cells.push(cur.trim()); cur = ''; }
+      else cur += ch;
+    }
+    cells.push(cur.trim());
+    return cells;
+  },
+
+  // Unique entries [{ kind, value, note? }] of a feed; throws a user-facing Error
+  parse(text) {
+    const entries = new Map();
+    let cols = null; // CSV header: { url, note } column indexes
+    for (const rawLine of text.replace(/^\uFEFF/, '').split(/\r?\n/)) {
+      const line = rawLine.trim();
+      if (!line) continue;
+      // Header row, possibly commented out (URLhaus: "# id,dateadded,url,…")
+      if (!cols) {
+        const header = this._csvCells(line.replace(/^[#;]\s*/, '')).map(c => c.toLowerCase());
+        if (header.length > 1 && header.includes('url')) {
+          cols = { url: header.indexOf('url'), note: header.findIndex(c => this.NOTE_COLUMNS.includes(c)) };
+          continue;
+        }
+      }
+      if (/^[#!;[]/.test(line)) continue; // comments, adblock headers
+
+      let raw;
+      let note = '';
+      if (cols) {
+        const cells = this._csvCells(line);
+        raw = cells[cols.url];
+        if (cols.note >= 0) note = cells[cols.note] || '';
+      } else {
+        const plain = line.replace(/\s+#.*$/, '');
+        const hosts = plain.match(/^(?:0\.0\.0\.0|127\.0\.0\.1|::1?)\s+(\S+)/);
+        const adblock = plain.match(/^\|\|([^^/$]+)\^?(?:\$.*)?$/);
+        raw = hosts ? hosts[1] : adblock ? adblock[1] : this._csvCells(plain).find(c => this.normalize(c));
+      }
+      const entry = raw && this.normalize(raw);
+      if (!entry || entries.has(entry.value)) continue;
+      if (note) entry.note = note.slice(0, 100);
+      entries.set(entry.value, entry);
+      if (entries.size > this.MAX_ENTRIES) throw new Error(`ブロックリストの件数が多すぎます（最大${this.MAX_ENTRIES.toLocaleString()}件）`);
+    }
+    if (!entries.size) throw new Error('ブロックリストに有効なドメイン・URLが見つかりません');
+    return [...entries.values()];
+  },
+
+  // Imported lists [{ id, name, count, imported }], by name
+  async lists() {
+    const all = await Idb.request('blocklists', 'readonly', s => s.getAll());
+    return (all || []).sort((a, b) => a.name.localeCompare(b.name));
+  },
+
+  // Stores a feed; one imported again from the same source replaces the old entries
+  async import(name, source, text) {
+    if (text.length > this.MAX_BYTES) throw new Error('ブロックリストが大きすぎます');
+    const entries = this.parse(text);
+    const lists = await this.lists();
+    if (!lists.some(l => l.id === source) && lists.length >= this.MAX_LISTS) {
+      throw new Error(`ブロックリストは${this.MAX_LISTS}件まで登録できます。不要なリストを削除してください。`);
+    }
+    await this._clearEntries(source);
+    for (let i = 0; i < entries.length; i += this.BATCH_SIZE) {
+      const batch = entries.slice(i, i + this.BATCH_SIZE);
+      await Idb.request('blocklist', 'readwrite', s => { batch.forEach(e => s.put({ ...e, list: source })); });
+    }
+    const meta = { id: source, name: name.slice(0, 100), count: entries.length, imported: new Date().toISOString() };
+    await Idb.request('blocklists', 'readwrite', s => s.put(meta));
+    return meta;
+  },
+
+  async loadFromUrl(url) {
+    let parsed;
+    try { parsed = new URL(url); } catch { throw new Error('URLの形式が正しくありません'); }
+    if (parsed.protocol !== 'https:') throw new Error('ブロックリストのURLはhttps://で始まる必要があります');
+    let resp;
+    try {
+      resp = await fetch(parsed.href, { signal: AbortSignal.timeout(this.TIMEOUT) });
+    } catch (e) {
+      throw new Error(`ブロックリストを取得できませんでした（${e.name === 'TimeoutError' ? 'タイムアウト' : e.message}）。配布元がブラウザからの取得を許可していない場合は、ファイルに保存してから読み込んでください。`);
+    }
+    if (!resp.ok) throw new Error(`ブロックリストを取得できませんでした（HTTP ${resp.status}）`);
+    return this.import(parsed.hostname + parsed.pathname, parsed.href, await resp.text());
+  },
+
+  async loadFromFile(file) {
+    if (file.size > this.MAX_BYTES) throw new Error('ブロックリストのファイルが大きすぎます');
+    return this.import(file.name, 'file:' + file.name, await file.text());
+  },
+
+  async remove(id) {
+    await this._clearEntries(id);
+    await Idb.request('blocklists', 'readwrite', s => s.delete(id));
+  },
+
+  _clearEntries(id) {
+    return Idb.request('blocklist', 'readwrite', s => {
+      const cursor = s.index('list').openKeyCursor(IDBKeyRange.only(id));
+      cursor.onsuccess = () => {
+        if (!cursor.result) return;
+        s.delete(cursor.result.primaryKey);
+        cursor.result.continue();
+      };
+    });
+  },
+
+  // host and its parent domains down to the registrable domain
+  _domainKeys(host) {
+    const stop = PublicSuffix.registrableDomain(host) || host;
+    const keys = [host];
+    for (let h = host; h !== stop && h.includes('.');) {
+      h = h.slice(h.indexOf('.') + 1);
+      keys.push(h);
+    }
+    return keys;
+  },
+
+  // Domain keys plus "host/", "host/a", "host/a/", … "host/a/b?q"
+  _urlKeys(urlStr) {
+    let u;
+    try { u = new URL(urlStr); } catch { return []; }
+    const host = u.hostname.toLowerCase().replace(/\.$/, '');
+    const keys = this._domainKeys(host);
+    const segments = u.pathname.split('/').slice(1);
+    let path = '';
+    segments.forEach(seg => {
+      path += '/';
+      keys.push(host + path);
+      if (seg) { path += seg; keys.push(host + path); }
+    });
+    if (u.search) keys.push(host + u.pathname + u.search);
+    return [...new Set(keys)];
+  },
+
+  // targets: [{ url } | { domain }, each with where: 'input' | 'redirect' | 'external'].
+  // Returns hits [{ list, value, kind, note?, target, where }]; never throws.
+  async check(targets) {
+    let timer;
+    try {
+      const lookup = (async () => {
+        const lists = await this.lists();
+        if (!lists.length) return null;
+        const probes = targets.flatMap(t =>
+          (t.url ? this._urlKeys(t.url) : this._domainKeys(String(t.domain).toLowerCase())).map(key => ({ key, t })));
+        const rows = await Idb.request('blocklist', 'readonly', s => probes.map(p => s.index('value').getAll(p.key)));
+        return { lists, probes, rows };
+      })();
+      lookup.catch(() => {}); // still pending when the timeout wins
+      // A stuck database must not hold up the check
+      const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error('Blocklist lookup timed out')), this.CHECK_TIMEOUT);
+      });
+      const found = await Promise.race([lookup, timeout]);
+      if (!found) return [];
+      const { lists, probes, rows } = found;
+      const names = Object.fromEntries(lists.map(l => [l.id, l.name]));
+      const hits = [];
+      const seen = new Set();
+      rows.forEach((matches, i) => matches.forEach(r => {
+        const id = `${r.list}\n${r.value}`;
+        if (seen.has(id) || !names[r.list]) return;
+        seen.add(id);
+        const { t } = probes[i];
+        hits.push({ list: names[r.list], value: r.value, kind: r.kind, ...(r.note ? { note: r.note } : {}),
+          target: t.url || t.domain, where: t.where });
+      }));
+      return hits;
+    } catch (e) {
+      console.warn('Blocklist check failed:', e);
+      return [];
+    } finally {
+      clearTimeout(timer);
+    }
+  },
+
+  // Marks clientAnalysis as blocked: domain_trust 0, one critical issue per hit
+  apply(clientAnalysis, hits) {
+    clientAnalysis.blocklist = hits;
+    clientAnalysis.domain_trust = 0;
+    clientAnalysis.issues.unshift(...hits.slice(0, this.MAX_ISSUES).map(h => ({
+      title: `ブロックリストに一致（${h.list}）`,
+      severity: 'critical',
+      desc: `${this.WHERE_LABELS[h.where] || ''} ${h.target} が「${h.list}」に${h.kind === 'domain' ? 'ドメイン' : 'URL'} ${h.value} として登録されています` +
+        `${h.note ? `（${h.note}）` : ''}。`
+    })));
+  }
+};
+
+// ============================================================
+// Site Overrides (team allow / deny lists)
+// ============================================================
+// Kept in localStorage and edited in settings. ScoreIntegrator applies a
+// matching entry as an explicit override: the verdict changes, the computed
+// one is kept and both are shown on the results screen.
+const OVERRIDES_KEY = 'ssc_overrides';
+
+const SiteOverrides = {
+  SCHEMA: 'site-safety-checker/overrides',
+  MAX_ENTRIES: 500,
+  MAX_NOTE: 200,
+  MAX_BYTES: 1024 * 1024,
+  ACTION_LABELS: { allow: '許可', deny: '拒否' },
+  SCOPE_LABELS: { host: 'ホスト名', site: '登録ドメイン', prefix: 'URL前方一致' },
+  // Most specific scope wins; on a tie deny wins
+  SCOPE_ORDER: ['prefix', 'host', 'site'],
+
+  // Entries [{ action, scope, pattern, note, expires, added }], expired ones included
+  list() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(OVERRIDES_KEY) || '[]');
+      return Array.isArray(stored) ? stored.filter(e => e && this.ACTION_LABELS[e.action] && this.SCOPE_LABELS[e.scope]) : [];
+    } catch {
+      return [];
+    }
+  },
+
+  _save(entries) {
+    localStorage.setItem(OVERRIDES_KEY, JSON.stringify(entries));
+  },
+
+  // Validated entry with a canonical pattern; throws an Error with a user-facing message
+  normalize(e) {
+    if (!e || typeof e !== 'object') throw new Error('項目の形式が正しくありません');
+    if (!this.ACTION_LABELS[e.action]) throw new Error('種類は「許可」か「拒否」を指定してください');
+    if (!this.SCOPE_LABELS[e.scope]) throw new Error('対象の種類が正しくありません');
+    const raw = typeof e.pattern === 'string' ? e.pattern.trim() : '';
+    if (!raw) throw new Error('ドメインまたはURLを入力してください');
+    let pattern;
+    try {
+      const u = new URL(/^https?:\/\//i.test(raw) ? raw : 'https://' + raw);
+      if (e.scope === 'prefix') {
+        if (!/^https?:\/\//i.test(raw)) throw new Error();
+        pattern = u.href;
+      } else {
+        pattern = u.hostname.toLowerCase().replace(/\.$/, '');
+        if (e.scope === 'site') pattern = PublicSuffix.registrableDomain(pattern);
+      }
+    } catch {
+      pattern = null;
+    }
+    if (!pattern || (e.scope !== 'prefix' && !pattern.includes('.'))) {
+      throw new Error(e.scope === 'prefix'
+        ? `「${raw}」はhttp://またはhttps://で始まるURLではありません`
+        : `「${raw}」から${this.SCOPE_LABELS[e.scope]}を取得できません`);
+    }
+    const expires = typeof e.expires === 'string' && e.expires ? e.expires : null;
+    if (expires && (!/^\d{4}-\d{2}-\d{2}$/.test(expires) || isNaN(new Date(expires)))) {
+      throw new Error(`有効期限「${expires}」はYYYY-MM-DD形式で指定してください`);
+    }
+    return {
+      action: e.action,
+      scope: e.scope,
+      pattern,
+      note: typeof e.note === 'string' ? e.note.trim().slice(0, this.MAX_NOTE) : '',
+      expires,
+      added: typeof e.added === 'string' && !isNaN(new Date(e.added)) ? e.added : new Date().toISOString()
+    };
+  },
+
+  // Adds or replaces (same scope and pattern) entries; returns them normalized
+  add(...entries) {
+    const added = entries.map(e => this.normalize(e));
+    const key = e => `${e.scope}\n${e.pattern}`;
+    const keys = new Set(added.map(key));
+    const next = [...this.list().filter(e => !keys.has(key(e))), ...added];
+    if (next.length > this.MAX_ENTRIES) throw new Error(`登録できるのは${this.MAX_ENTRIES}件までです`);
+    this._save(next);
+    return added;
+  },
+
+  remove(idx) {
+    const entries = this.list();
+    entries.splice(idx, 1);
+    this._save(entries);
+  },
+
+  // An entry is valid through the end of its expiry day (local time)
+  isExpired(e, now = new Date()) {
+    return !!e.expires && now > new Date(`${e.expires}T23:59:59.999`);
+  },
+
+  _matches(e, u) {
+    if (e.scope === 'prefix') return u.href.startsWith(e.pattern);
+    const host = u.hostname.toLowerCase();
+    return e.scope === 'host' ? host === e.pattern : PublicSuffix.registrableDomain(host) === e.pattern;
+  },
+
+  // Active entry applying to urlStr, or null
+  match(urlStr, now = new Date()) {
+    let u;
+    try { u = new URL(urlStr); } catch { return null; }
+    const hits = this.list().filter(e => !this.isExpired(e, now) && this._matches(e, u));
+    hits.sort((a, b) => this.SCOPE_ORDER.indexOf(a.scope) - this.SCOPE_ORDER.indexOf(b.scope) ||
+      (a.action === 'deny' ? -1 : 0) - (b.action === 'deny' ? -1 : 0));
+    return hits[0] || null;
+  },
+
+  // Entry for a fetched URL and where it led: urls is the input URL, each
+  // redirect target and the final URL. A deny anywhere in the chain wins; an
+  // allow holds only for the final URL, or for the input URL while the chain
+  // ends on the same site (an allow-listed link redirecting elsewhere is not
+  // vouched for).
+  matchChain(urls, now = new Date()) {
+    const chain = urls.filter(Boolean);
+    if (chain.length === 0) return null;
+    const hits = chain.map(u => this.match(u, now));
+    const deny = hits.find(e => e?.action === 'deny');
+    if (deny) return deny;
+    const final = chain[chain.length - 1];
+    if (hits[hits.length - 1]) return hits[hits.length - 1];
+    try {
+      if (hits[0] && PublicSuffix.sameSite(new URL(chain[0]).hostname, new URL(final).hostname)) return hits[0];
+    } catch {
+      // unparsable URLs never match
+    }
+    return null;
+  },
+
+  toJson() {
+    return JSON.stringify({ schema: this.SCHEMA, exported: new Date().toISOString(), entries: this.list() }, null, 2);
+  },
+
+  // Merges a file written by toJson(); returns the number of entries read
+  import(text) {
+    if (text.length > this.MAX_BYTES) throw new Error('ファイルが大きすぎます');
+    let data;
+    try { data = JSON.parse(text); } catch { throw new Error('JSONの解析に失敗しました'); }
+    if (!data || data.schema !== this.SCHEMA || !Array.isArray(data.entries)) {
+      throw new Error(`schemaが「${this.SCHEMA}」のファイルではありません`);
+    }
+    const entries = data.entries.map((e, i) => {
+      try { return this.normalize(e); } catch (err) { throw new Error(`${i + 1}件目: ${err.message}`); }
+    });
+    this.add(...entries);
+    return entries.length;
+  },
+
+  // "許可リスト（登録ドメイン example.co.jp）"
+  label(e) {
+    return `${this.ACTION_LABELS[e.action]}リスト（${this.SCOPE_LABELS[e.scope]} ${e.pattern}）`;
+  }
+};
+
+// ============================================================
+// Rule Pack (scam categories for the prompt + offline detection)
+// ============================================================
+// Built-in pack is DEFAULT_RULE_PACK (js/rule-pack.js). A newer pack loaded
+// in settings is kept in localStorage and used while it is not older than
+// the built-in one (an app update then wins over a stale custom pack).
+const RULE_PACK_KEY = 'ssc_rule_pack';
+
+const RulePack = {
+  SCHEMA: 'site-safety-checker/rule-pack',
+  MAX_BYTES: 2 * 1024 * 1024,
+  MAX_TERM_LENGTH: 200,
+  REGEX_SYNTAX_RE: /[\\^$.|?*+()[\]{}]/,
+  // "d+" / "s*" without a backslash: \d or \s written in a JS string that
+  // dropped the escape
+  LOST_ESCAPE_RE: /(^|[^\\])[ds][*+{]/,
+  _current: null,
+
+  current() {
+    if (!this._current) {
+      this._current = DEFAULT_RULE_PACK;
+      try {
+        this.validate(DEFAULT_RULE_PACK);
+      } catch (e) {
+        console.error('Built-in rule pack:', e.message);
+      }
+      try {
+        const stored = JSON.parse(localStorage.getItem(RULE_PACK_KEY) || 'null');
+        if (stored) {
+          this.validate(stored);
+          if (this.compareVersions(stored.version, DEFAULT_RULE_PACK.version) >= 0) this._current = stored;
+        }
+      } catch (e) {
+        console.warn('Stored rule pack ignored:', e);
+      }
+    }
+    return this._current;
+  },
+
+  isCustom() {
+    return this.current() !== DEFAULT_RULE_PACK;
+  },
+
+  // Numeric dotted versions ("1.2.0"); missing parts count as 0
+  compareVersions(a, b) {
+    const pa = String(a).split('.').map(Number);
+    const pb = String(b).split('.').map(Number);
+    for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+      const d = (pa[i] || 0) - (pb[i] || 0);
+      if (d !== 0) return d;
+    }
+    return 0;
+  },
+
+  // Throws an Error with a user-facing message when the pack is malformed
+  validate(pack) {
+    const fail = msg => { throw new Error(`ルールパックの形式が正しくありません: ${msg}`); };
+    const isStrArr = v => Array.isArray(v) && v.every(x => typeof x === 'string');
+    const isBlock = b => b && typeof b.label === 'string' &&
+      (b.text == null || typeof b.text === 'string') &&
+      (b.items == null || isStrArr(b.items)) &&
+      (b.conclusion == null || typeof b.conclusion === 'string');
+    const checkDetection = (rules, where) => {
+      if (!Array.isArray(rules)) fail(`${where}.detection`);
+      rules.forEach((r, i) => {
+        const at = `${where}.detection[${i}]`;
+        if (!r || typeof r.label !== 'string' || !r.weights || typeof r.weights !== 'object') fail(at);
+        for (const [dim, w] of Object.entries(r.weights)) {
+          if (!ScoreIntegrator.CONTENT_DIMS.includes(dim) || typeof w !== 'number' || w < 0 || w > 100) fail(`${at}.weights.${dim}`);
+        }
+        if (r.samples != null && !isStrArr(r.samples)) fail(`${at}.samples`);
+        [...(r.terms || []), ...(r.mitigators || [])].forEach(t => {
+          if (typeof t !== 'string' || t.length > this.MAX_TERM_LENGTH) fail(`${at} の語句`);
+          if (this.LOST_ESCAPE_RE.test(t)) fail(`${at} の正規表現「${t}」は\\d・\\sのバックスラッシュが抜けています`);
+          let re;
+          try { re = new RegExp(t, 'i'); } catch { fail(`${at} の正規表現「${t}」`); }
+          // A pattern must match one of the rule's sample phrases; a plain
+          // literal is its own sample
+          if (this.REGEX_SYNTAX_RE.test(t) && !(r.samples || []).some(x => re.test(x))) {
+            fail(`${at} の正規表現「${t}」がsamplesのどの例文にも一致しません`);
+          }
+        });
+        if (!isStrArr(r.terms) || r.terms.length === 0) fail(`${at}.terms`);
+        if (r.mitigators != null && !isStrArr(r.mitigators)) fail(`${at}.mitigators`);
+      });
+    };
+
+    if (!pack || typeof pack !== 'object') fail('JSONオブジェクトではありません');
+    if (pack.schema !== this.SCHEMA) fail(`schemaが「${this.SCHEMA}」ではありません`);
+    if (typeof pack.version !== 'string' || !/^\d+(\.\d+){0,2}$/.test(pack.version)) fail('version');
+    if (typeof pack.updated !== 'string' || isNaN(new Date(pack.updated))) fail('updated');
+    if (!Array.isArray(pack.categories) || pack.categories.length === 0) fail('categories');
+    pack.categories.forEach((c, i) => {
+      const at = `categories[${i}]`;
+      if (!c || typeof c.id !== 'string' || typeof c.name !== 'string') fail(at);
+      if (c.summary != null && typeof c.summary !== 'string') fail(`${at}.summary`);
+      ['phrases', 'legal', 'falsePositive'].forEach(k => { if (!isStrArr(c[k])) fail(`${at}.${k}`); });
+      if (c.jargon != null && !isStrArr(c.jargon)) fail(`${at}.jargon`);
+      if (c.aliases != null && !isStrArr(c.aliases)) fail(`${at}.aliases`);
+      if (!Array.isArray(c.notes) || !c.notes.every(isBlock)) fail(`${at}.notes`);
+      checkDetection(c.detection, at);
+    });
+    if (pack.commonDetection != null) checkDetection(pack.commonDetection, 'commonDetection');
+    ['adRegulations', 'falsePositiveGuide'].forEach(k => {
+      const g = pack[k];
+      if (!g || typeof g.intro !== 'string' || !Array.isArray(g.items) || !g.items.every(isBlock)) fail(k);
+    });
+    return pack;
+  },
+
+  // Validates and stores a pack; rejects one older than the built-in pack
+  install(pack) {
+    this.validate(pack);
+    if (this.compareVersions(pack.version, DEFAULT_RULE_PACK.version) < 0) {
+      throw new Error(`内蔵のルールパック（v${DEFAULT_RULE_PACK.version}）より古いバージョン（v${pack.version}）は読み込めません。`);
+    }
+    localStorage.setItem(RULE_PACK_KEY, JSON.stringify(pack));
+    this._current = pack;
+    return pack;
+  },
+
+  reset() {
+    localStorage.removeItem(RULE_PACK_KEY);
+    this._current = null;
+  },
+
+  async loadFromUrl(url) {
+    let parsed;
+    try { parsed = new URL(url); } catch { throw new Error('URLの形式が正しくありません'); }
+    if (parsed.protocol !== 'https:') throw new Error('ルールパックのURLはhttps://で始まる必要があります');
+    let resp, text;
+    try {
+      resp = await fetch(parsed.href, { signal: AbortSignal.timeout(15000) });
+      if (resp.ok) text = await resp.text();
+    } catch (e) {
+      throw new Error(`ルールパックを取得できませんでした（${e.name === 'TimeoutError' ? 'タイムアウト' : e.message}）。配布元がブラウザからの取得を許可していない場合は、ファイルに保存してから読み込んでください。`);
+    }
+    if (!resp.ok) throw new Error(`ルールパックを取得できませんでした（HTTP ${resp.status}）`);
+    return this.install(this._parse(text));
+  },
+
+  async loadFromFile(file) {
+    if (file.size > this.MAX_BYTES) throw new Error('ルールパックのファイルが大きすぎます');
+    return this.install(this._parse(await file.text()));
+  },
+
+  _parse(text) {
+    if (text.length > this.MAX_BYTES) throw new Error('ルールパックが大きすぎます');
+    try { return JSON.parse(text); } catch { throw new Error('ルールパックのJSON解析に失敗しました'); }
+  },
+
+  label(pack = this.current()) {
+    return `v${pack.version}（${pack.updated}更新）`;
+  },
+
+  // Markdown for the AI prompt: categories, ad-regulation patterns, false-positive guide
+  toPrompt(pack) {
+    const block = b => {
+      const lines = [];
+      const multiline = b.items?.length || (b.text || '').includes('\n');
+      lines.push(`**${b.label}:**` + (b.text && !multiline ? ` ${b.text}` : ''));
+      if (b.text && multiline) lines.push(b.text);
+      (b.items || []).forEach(it => lines.push(`- ${it}`));
+      if (b.conclusion) lines.push(`→ ${b.conclusion}`);
+      return lines.join('\n');
+    };
+
+    const cats = pack.categories.map((c, i) => {
+      const parts = [`### ${i + 1}. ${c.name}`];
+      if (c.summary) parts.push(c.summary);
+      if (c.phrases.length) parts.push(block({ label: c.phrasesLabel || '検出フレーズ', items: c.phrases }));
+      if (c.jargon?.length) parts.push(`**隠語:** ${c.jargon.join('、')}`);
+      c.notes.forEach(n => parts.push(block(n)));
+      if (c.legal.length) parts.push(block({ label: '関連法令・注意', items: c.legal }));
+      if (c.falsePositive.length) parts.push(block({ label: '誤検知注意（正当なサービスとの区別）', items: c.falsePositive }));
+      return parts.join('\n');
+    });
+
+    return [
+      `## 検出すべき詐欺・違法サイトカテゴリ（${pack.categories.length}種）と実際の手口パターン`,
+      '',
+      cats.join('\n\n'),
+      '',
+      '## 広告・表示規制違反パターン（実際の行政処分事例）',
+      pack.adRegulations.intro,
+      '',
+      pack.adRegulations.items.map(block).join('\n'),
+      '',
+      '## 誤検知防止ガイド（重要）',
+      pack.falsePositiveGuide.intro,
+      '',
+      pack.falsePositiveGuide.items.map(block).join('\n\n'),
+    ].join('\n');
+  }
+};
+
+// ============================================================
+// Content Rule Scorer (offline phrase/regex engine, no AI)
+// ============================================================
+// Rules come from the rule pack (category detection + commonDetection).
+// Each rule subtracts its weights from the listed dimensions when any of its
+// terms match; a mitigator (legitimate-service marker) halves the penalty.
+const ContentScorer = {
+  BASE_SCORE: 80, // keyword scan alone cannot vouch for a site
+  SNIPPET_RADIUS: 30,
+  MAX_FINDINGS: 20,
+
+  _compiled: null,
+  _compiledFor: null,
+
+  _rules() {
+    const pack = RulePack.current();
+    if (this._compiledFor !== pack) {
+      const rules = [
+        ...pack.categories.flatMap(c => c.detection.map(r => ({ ...r, label: r.label || c.name }))),
+        ...(pack.commonDetection || [])
+      ];
+      this._compiled = rules.map(r => ({
+        ...r,
+        res: r.terms.map(t => new RegExp(t, 'i')),
+        mit: (r.mitigators || []).map(t => new RegExp(t, 'i'))
+      }));
+      this._compiledFor = pack;
+    }
+    return this._compiled;
+  },
+
+  // htmlContent: HtmlExtractor result (or the text-mode equivalent)
+  // Returns { scores, findings } with findings in the AI findings shape.
+  score(htmlContent) {
+    const text = htmlContent._bodyTextFull || htmlContent.bodyText || '';
+    const penalty = { content_safety: 0, operator_transparency: 0, claim_credibility: 0, scam_pattern: 0 };
+    const findings = [];
+
+    this._rules().forEach(rule => {
+      const hits = [];
+      rule.res.forEach(re => {
+        const m = re.exec(text);
+        if (m) hits.push({ term: m[0], index: m.index });
+      });
+      if (hits.length === 0) return;
+
+      // Extra distinct terms add half weight each (max two extra)
+      let factor = 1 + 0.5 * Math.min(hits.length - 1, 2);
+      const mitigated = rule.mit.some(re => re.test(text));
+      if (mitigated) factor /= 2;
+      let maxWeight = 0;
+      for (const [dim, w] of Object.entries(rule.weights)) {
+        penalty[dim] += w * factor;
+        maxWeight = Math.max(maxWeight, w * factor);
+      }
+
+      const dimLabels = Object.keys(rule.weights)
+        .map(k => ScoreIntegrator.DIMENSIONS.find(d => d.key === k)?.shortLabel || k);
+      findings.push({
+        dimension: `ルール検出: ${dimLabels.join('・')}`,
+        severity: maxWeight >= 30 ? 'high' : maxWeight >= 15 ? 'medium' : 'low',
+        title: `${rule.label}の表現`,
+        description: `該当語: ${hits.map(h => `「${h.term}」`).join(' ')}` +
+          (mitigated ? '（正当なサービスの表記もあるため減点を軽減）' : ''),
+        quote: this._snippet(text, hits[0].index, hits[0].term.length),
+        terms: hits.map(h => h.term)
+      });
+    });
+
+    penalty.operator_transparency += CommerceLawChecker.penalty(htmlContent.commerceLaw);
+
+    const scores = {
+      content_safety: this.BASE_SCORE - penalty.content_safety,
+      operator_transparency: this._operatorBase(htmlContent) - penalty.operator_transparency,
+      claim_credibility: this.BASE_SCORE - penalty.claim_credibility,
+      scam_pattern: this.BASE_SCORE - penalty.scam_pattern
+    };
+    for (const k of Object.keys(scores)) {
+      scores[k] = Math.max(0, Math.min(100, Math.round(scores[k])));
+    }
+
+    const sevOrder = ['high', 'medium', 'low'];
+    findings.sort((a, b) => sevOrder.indexOf(a.severity) - sevOrder.indexOf(b.severity));
+    return { scores, findings: findings.slice(0, this.MAX_FINDINGS) };
+  },
+
+  // Structural disclosure signals; info on a linked page counts (see prompt guide),
+  // and counts fully once the operator profile actually read it from that page
+  _operatorBase(c) {
+    const profile = c.operatorProfile;
+    const found = profile?.fields || {};
+    let s = 30;
+    if (c.companyInfoInContent || found.companyName) s += 30;
+    else if (c.hasCompanyInfo) s += 20;
+    if (c.hasContact || found.phone || found.email || found.address) s += 15;
+    if (c.hasPrivacyPolicy) s += 10;
+    if (c.commerceLawInContent || profile?.pages?.some(p => p.kind === 'commerce' && p.fieldCount > 0)) s += 15;
+    else if (c.hasCommerceLaw) s += 10;
+    return s;
+  },
+
+  _snippet(text, index, length) {
+    const start = Math.max(0, index - this.SNIPPET_RADIUS);
+    const end = Math.min(text.length, index + length + this.SNIPPET_RADIUS);
+    return (start > 0 ? '…' : '') + text.slice(start, end) + (end < text.length ? '…' : '');
+  }
+};
+
+// ============================================================
+// LLM Providers (Gemini / OpenAI-compatible / local LLM)
+// ============================================================
+// Each provider maps the shared prompt + response schema onto its own
+// request shape and structured-output mechanism.
+const DEFAULT_OPENAI_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_LOCAL_BASE_URL = 'http://localhost:11434';
+
+function _workerBase(config) {
+  return (config.workerUrl || DEFAULT_WORKER_URL).replace(/\/+$/, '');
+}
+
+// Server-issued access token for workers that require one
+function _workerAuth(config) {
+  return config.workerToken ? { 'X-Access-Token': config.workerToken } : {};
+}
+
+// Access-control and rate-limit refusals from the worker ({ error, code, … })
+const WORKER_ERROR_MESSAGES = {
+  missing_key: 'WorkerがAPIキーを受け付けませんでした。GeminiのAPIキーを設定するか、設定画面で「Workerアクセストークン」を入力してください。',
+  invalid_key: 'WorkerがAPIキーを受け付けませんでした。GeminiのAPIキーを設定するか、設定画面で「Workerアクセストークン」を入力してください。',
+  invalid_token: 'Workerアクセストークンが正しくありません。設定画面で確認してください。',
+  token_required: 'このWorkerはアクセストークンが必要です。設定画面で「Workerアクセストークン」を入力してください。',
+  key_check_unavailable: 'APIキーを確認できませんでした。しばらく待ってから再度お試しください。',
+  upstream_not_allowed: 'このWorkerは指定されたOpenAI互換APIのURLへの接続を許可していません。設定画面でURLを確認するか、Workerの管理者に許可を依頼してください。'
+};
+
+// { code, message, retryAfter } for a structured worker refusal (retryAfter in
+// seconds, from the body or the Retry-After header), or null for other errors
+function _workerErrorInfo(resp, text) {
+  let body;
+  try { body = JSON.parse(text); } catch { return null; }
+  if (!body || typeof body.code !== 'string') return null;
+  if (body.code === 'rate_limited') {
+    const retryAfter = Math.max(1, Math.ceil(Number(body.retryAfter ?? resp.headers.get('Retry-After')) || 60));
+    const per = body.scope === 'ip' ? '接続元IP' : 'APIキー';
+    return {
+      code: body.code,
+      retryAfter,
+      message: `Workerの利用上限に達しました（${per}ごとに${Number(body.window) || 60}秒あたり${Number(body.limit) || '-'}回）。約${retryAfter}秒後に再度お試しください。`
+    };
+  }
+  const message = WORKER_ERROR_MESSAGES[body.code];
+  return message ? { code: body.code, retryAfter: null, message } : null;
+}
+
+// OpenAI strict structured output: every property required, no extras
+function _strictJsonSchema(schema) {
+  if (schema.type === 'object') {
+    const properties = {};
+    for (const [k, v] of Object.entries(schema.properties || {})) properties[k] = _strictJsonSchema(v);
+    return { ...schema, properties, required: Object.keys(properties), additionalProperties: false };
+  }
+  if (schema.type === 'array') return { ...schema, items: _strictJsonSchema(schema.items) };
+  return { ...schema };
+}
+
+function _chatCompletionsBody(model, prompt, schema) {
+  return {
+    model,
+    messages: [{ role: 'user', content: prompt }],
+    temperature: 0.1,
+    response_format: {
+      type: 'json_schema',
+      json_schema: { name: 'site_safety_analysis', strict: true, schema: _strictJsonSchema(schema) }
+    }
+  };
+}
+
+const LlmProviders = {
+  // Google Gemini via the worker's /models/* proxy (responseSchema)
+  gemini: {
+    label: 'Gemini API',
+    timeoutMs: 60000,
+    MODELS: ['gemini-2.5-flash', 'gemini-2.5-flash-lite', 'gemini-2.5-pro', 'gemini-2.0-flash'],
+    DEFAULT_FALLBACKS: ['gemini-2.5-flash-lite'],
+    isConfigured: cfg => !!cfg.apiKey,
+    // Primary model first, then the user's ordered fallback list
+    models(cfg) {
+      return [...new Set([cfg.gemini?.model || this.MODELS[0], ...(cfg.gemini?.fallbacks ?? this.DEFAULT_FALLBACKS)])];
+    },
+    buildRequest(cfg, model, prompt, schema) {
+      return {
+        url: `${_workerBase(cfg)}/models/${model}:generateContent`,
+        headers: { 'Content-Type': 'application/json', 'X-API-Key': cfg.apiKey, ..._workerAuth(cfg) },
+        body: {
+          contents: [{ parts: [{ text: prompt }] }],
+          generationConfig: {
+            responseMimeType: 'application/json',
+            // Gemini emits keys alphabetically unless told; scores first lets
+            // the streamed result fill in the chart before the findings
+            responseSchema: { ...schema, propertyOrdering: Object.keys(schema.properties) },
+            temperature: 0.1
+          }
+        }
+      };
+    },
+    extractText: data => data.candidates?.[0]?.content?.parts?.[0]?.text,
+    // Server-sent events via the worker's /models/<model>:streamGenerateContent route
+    buildStreamRequest(cfg, model, prompt, schema) {
+      const req = this.buildRequest(cfg, model, prompt, schema);
+      return { ...req, url: req.url.replace(/:generateContent$/, ':streamGenerateContent') };
+    },
+    // One event: its text delta and the output tokens generated so far
+    extractStreamChunk: data => ({
+      text: data.candidates?.[0]?.content?.parts?.[0]?.text || '',
+      tokens: data.usageMetadata?.candidatesTokenCount
+    })
+  },
+
+  // OpenAI-compatible chat completions via the worker's /openai/* proxy (json_schema)
+  openai: {
+    label: 'OpenAI互換API',
+    timeoutMs: 60000,
+    isConfigured: cfg => !!(cfg.openai?.apiKey && cfg.openai?.model),
+    models: cfg => [...new Set([cfg.openai?.model, ...(cfg.openai?.fallbacks || [])].filter(Boolean))],
+    buildRequest(cfg, model, prompt, schema) {
+      return {
+        url: `${_workerBase(cfg)}/openai/chat/completions`,
+        headers: {
+          'Content-Type': 'application/json',
+          'X-API-Key': cfg.openai.apiKey,
+          'X-Upstream-Base': cfg.openai.baseUrl || DEFAULT_OPENAI_BASE_URL,
+          ..._workerAuth(cfg)
+        },
+        body: _chatCompletionsBody(model, prompt, schema)
+      };
+    },
+    extractText: data => data.choices?.[0]?.message?.content
+  },
+
+  // Local Ollama (/api/chat + format) or llama.cpp server (OpenAI shape), called directly
+  local: {
+    label: 'ローカルLLM',
+    timeoutMs: 180000,
+    isConfigured: cfg => !!cfg.local?.model,
+    models: cfg => [...new Set([cfg.local?.model, ...(cfg.local?.fallbacks || [])].filter(Boolean))],
+    buildRequest(cfg, model, prompt, schema) {
+      const base = (cfg.local.baseUrl || DEFAULT_LOCAL_BASE_URL).replace(/\/+$/, '');
+      if (cfg.local.server === 'llamacpp') {
+        return {
+          url: `${base}/v1/chat/completions`,
+          headers: { 'Content-Type': 'application/json' },
+          body: _chatCompletionsBody(model, prompt, schema)
+        };
+      }
+      return {
+        url: `${base}/api/chat`,
+        headers: { 'Content-Type': 'application/json' },
+        body: {
+          model,
+          messages: [{ role: 'user', content: prompt }],
+          format: schema,
+          stream: false,
+          options: { temperature: 0.1 }
+        }
+      };
+    },
+    extractText: data => data.message?.content ?? data.choices?.[0]?.message?.content
+  }
+};
+
+// ============================================================
+// Incremental JSON Parser (streamed AI output)
+// ============================================================
+// Parses the part of a JSON document that has arrived so far. Objects keep
+// the members whose values are complete (nested objects and arrays are kept
+// while still open), arrays keep only their finished elements, and cut-off
+// strings, numbers and literals are left out.
+const PartialJson = {
+  // Returns the partial value, or undefined when nothing usable has arrived
+  // or the text is not JSON
+  parse(text) {
+    const st = { text: String(text), pos: 0 };
+    try {
+      return this._value(st)?.value;
+    } catch {
+      return undefined;
+    }
+  },
+
+  _ws(st) {
+    while (st.pos < st.text.length && /\s/.test(st.text[st.pos])) st.pos++;
+  },
+
+  // { value, done } for the value at st.pos, or null when it is cut off before
+  // anything usable; open objects and arrays come back with done: false
+  _value(st) {
+    this._ws(st);
+    const ch = st.text[st.pos];
+    if (ch === undefined) return null;
+    if (ch === '{') return this._object(st);
+    if (ch === '[') return this._array(st);
+    if (ch === '"') return this._string(st);
+    return this._scalar(st);
+  },
+
+  _object(st) {
+    const value = {};
+    st.pos++;
+    for (;;) {
+      this._ws(st);
+      const ch = st.text[st.pos];
+      if (ch === undefined) return { value, done: false };
+      if (ch === '}') { st.pos++; return { value, done: true }; }
+      if (ch === ',') { st.pos++; continue; }
+      const key = this._string(st);
+      this._ws(st);
+      if (!key || st.pos >= st.text.length) return { value, done: false };
+      if (st.text[st.pos] !== ':') throw new SyntaxError('Expected ":"');
+      st.pos++;
+      const member = this._value(st);
+      if (!member) return { value, done: false };
+      if (member.done || typeof member.value === 'object') value[key.value] = member.value;
+      if (!member.done) return { value, done: false };
+    }
+  },
+
+  _array(st) {
+    const value = [];
+    st.pos++;
+    for (;;) {
+      this._ws(st);
+      const ch = st.text[st.pos];
+      if (ch === undefined) return { value, done: false };
+      if (ch === ']') { st.pos++; return { value, done: true }; }
+      if (ch === ',') { st.pos++; continue; }
+      const item = this._value(st);
+      if (!item?.done) return { value, done: false };
+      value.push(item.value);
+    }
+  },
+
+  _string(st) {
+    if (st.text[st.pos] !== '"') throw new SyntaxError('Expected string');
+    let end = st.pos + 1;
+    while (end < st.text.length && st.text[end] !== '"') end += st.text[end] === '\\' ? 2 : 1;
+    if (end >= st.text.length) return null;
+    const value = JSON.parse(st.text.slice(st.pos, end + 1));
+    st.pos = end + 1;
+    return { value, done: true };
+  },
+
+  _scalar(st) {
+    const rest = st.text.slice(st.pos);
+    const m = rest.match(/^(?:-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null)/);
+    // A number or literal that runs to the end of the text may still grow
+    if (!m || m[0].length === rest.length) {
+      if (/^(?:-?[\d.eE+-]*|t(?:r(?:ue?)?)?|f(?:a(?:l(?:se?)?)?)?|n(?:u(?:ll?)?)?)$/.test(rest)) return null;
+      throw new SyntaxError('Unexpected token');
+    }
+    st.pos += m[0].length;
+    return { value: JSON.parse(m[0]), done: true };
+  }
+};
+
+// ============================================================
+// AI Analysis Client (prompt, schema, provider dispatch)
+// ============================================================
+const AiClient = {
+  // Part of the AI cache key: bump when the prompt or response schema changes
+  PROMPT_VERSION: 1,
+
+  provider(config) {
+    return LlmProviders[config.provider] || LlmProviders.gemini;
+  },
+
+  isConfigured(config) {
+    return this.provider(config).isConfigured(config);
+  },
+
+  // Headers for the worker's data routes (/fetch, /crawl, /cert, /rdap, /dns):
+  // the Gemini key as X-API-Key (the only key the worker can verify), plus the
+  // access token if set
+  workerHeaders(config) {
+    return { ...(config.apiKey ? { 'X-API-Key': config.apiKey } : {}), ..._workerAuth(config) };
+  },
+
+  MAX_ATTEMPTS: 3,
+  BACKOFF_BASE_MS: 1000,
+  // Typical output length of one analysis; streamed progress is measured against it
+  STREAM_EXPECTED_TOKENS: 1500,
+
+  // Tries the provider's model list in order, moving on after 429/5xx with
+  // exponential back-off (the last model is retried until MAX_ATTEMPTS).
+  // onPartial(partial, ratio) streams the reply where the provider supports it:
+  // partial is the PartialJson snapshot (unguarded), ratio the share of
+  // STREAM_EXPECTED_TOKENS received (below 1). contentAnalysis is the caller's
+  // ContentScorer.score() result (null without page text), used by AiGuard.
+  async analyze(config, urlStr, urlAnalysis, htmlContent, contentAnalysis, headers, cancelSignal, onPartial = null) {
+    const provider = this.provider(config);
+
+    const sensitivity = loadSensitivity();
+    const prompt = this._buildPrompt(urlStr, urlAnalysis, htmlContent, headers, sensitivity);
+    const schema = this._responseSchema();
+    const models = provider.models(config);
+    const attempts = Math.max(models.length, this.MAX_ATTEMPTS);
+    const failed = [];
+    let lastErr;
+
+    for (let i = 0; i < attempts; i++) {
+      const model = models[Math.min(i, models.length - 1)];
+      if (i > 0) await _abortableSleep(this.BACKOFF_BASE_MS * 2 ** (i - 1), cancelSignal);
+      try {
+        const parsed = AiGuard.check(await this._request(provider, config, model, prompt, schema, cancelSignal, onPartial),
+          urlAnalysis, htmlContent, contentAnalysis);
+        parsed._provider = config.provider || 'gemini';
+        parsed._model = model;
+        parsed._fallbackFrom = failed.filter(m => m !== model);
+        return parsed;
+      } catch (e) {
+        if (cancelSignal?.aborted) throw e;
+        // Worker limits apply to every model, so they are not a reason to switch
+        if (!(e.status === 429 || e.status >= 500) || e.code === 'rate_limited') throw e;
+        lastErr = e;
+        if (!failed.includes(model)) failed.push(model);
+      }
+    }
+    throw lastErr;
+  },
+
+  async _request(provider, config, model, prompt, schema, cancelSignal, onPartial = null) {
+    let stream = !!(onPartial && provider.buildStreamRequest);
+    const send = req => fetch(req.url, {
+      method: 'POST',
+      headers: req.headers,
+      body: JSON.stringify(req.body),
+      signal: _combinedSignal(cancelSignal, provider.timeoutMs)
+    });
+    let resp = await send(stream
+      ? provider.buildStreamRequest(config, model, prompt, schema)
+      : provider.buildRequest(config, model, prompt, schema));
+
+    // A worker without the streaming route refuses it (400 "Invalid API path"
+    // or 404); ask once more without streaming
+    let errText = null;
+    if (stream && (resp.status === 400 || resp.status === 404)) {
+      errText = await resp.text();
+      if (!_workerErrorInfo(resp, errText)) {
+        stream = false;
+        errText = null;
+        resp = await send(provider.buildRequest(config, model, prompt, schema));
+      }
+    }
+
+    if (!resp.ok) {
+      errText ??= await resp.text();
+      const workerErr = _workerErrorInfo(resp, errText);
+      const err = workerErr
+        ? new Error(workerErr.message)
+        : resp.status === 429
+          ? new Error(`${provider.label}の利用上限に達しました（${model}）。しばらく待ってから再度お試しください。`)
+          : new Error(`${provider.label} error ${resp.status} (${model}): ${errText.slice(0, 200)}`);
+      err.status = resp.status;
+      if (workerErr) Object.assign(err, { code: workerErr.code, retryAfter: workerErr.retryAfter });
+      throw err;
+    }
+
+    const text = stream ? await this._readStream(provider, resp, onPartial) : provider.extractText(await resp.json());
+    if (!text) throw new Error(`${provider.label} returned empty response`);
+    let parsed;
+    try { parsed = JSON.parse(text); } catch { throw new Error('AI応答のJSON解析に失敗しました'); }
+    // Field-level problems are repaired by AiGuard; only reject a shapeless reply
+    if (!parsed || typeof parsed !== 'object' || !parsed.scores || typeof parsed.scores !== 'object') {
+      throw new Error('AI応答に必須フィールドがありません');
+    }
+    return parsed;
+  },
+
+  // Reads a server-sent event stream into the full reply text, reporting the
+  // partial JSON after each event. A body that is not an event stream (Gemini's
+  // JSON array of chunks, as sent without alt=sse) is read in one go.
+  async _readStream(provider, resp, onPartial) {
+    let text = '';
+    const take = data => {
+      if (data?.error) {
+        const err = new Error(`${provider.label} error (stream): ${String(data.error.message || '').slice(0, 200)}`);
+        err.status = data.error.code;
+        throw err;
+      }
+      const chunk = provider.extractStreamChunk(data);
+      if (!chunk.text) return;
+      text += chunk.text;
+      // Rough estimate when the event carries no token count
+      const tokens = chunk.tokens || Math.ceil(text.length / 3);
+      onPartial(PartialJson.parse(text), Math.min(0.99, tokens / this.STREAM_EXPECTED_TOKENS));
+    };
+
+    if (!/text\/event-stream/i.test(resp.headers.get('Content-Type') || '')) {
+      const data = await resp.json();
+      (Array.isArray(data) ? data : [data]).forEach(take);
+      return text;
+    }
+
+    const reader = resp.body.getReader();
+    const decoder = new TextDecoder();
+    let buf = '';
+    for (;;) {
+      const { done, value } = await reader.read();
+      buf += decoder.decode(value, { stream: !done });
+      const events = buf.split(/\r?\n\r?\n/);
+      buf = done ? '' : events.pop();
+      for (const event of events) {
+        const data = event.split(/\r?\n/).filter(l => l.startsWith('data:')).map(l => l.slice(5).trim()).join('\n');
+        if (!data) continue;
+        let parsed;
+        try { parsed = JSON.parse(data); } catch { throw new Error('AI応答のストリームを解析できませんでした'); }
+        take(parsed);
+      }
+      if (done) return text;
+    }
+  },
+
+  _buildPrompt(urlStr, urlAnalysis, htmlContent, headers, sensitivity) {
+    const today = new Date().toISOString().slice(0, 10);
+
+    let sensitivityInstruction = '';
+    if (sensitivity === 'high') {
+      sensitivityInstruction = '\n## 感度設定: 高感度モード\n疑わしい場合は積極的に低スコアを付けてください。グレーゾーンのサイトは安全側ではなく危険側に寄せて判定してください。\n';
+    } else if (sensitivity === 'low') {
+      sensitivityInstruction = '\n## 感度設定: 低感度モード\n明確な根拠がある場合のみ低スコアを付けてください。グレーゾーンのサイトは危険側ではなく安全側に寄せて判定してください。\n';
+    }
+
+    return `あなたはサイバーセキュリティ専門家です。以下のウェブサイト情報を分析し、詐欺・危険サイトかどうかを判定してください。
+本日の日付: ${today}
+
+## 回答ルール（最重要・厳守）
+0. **必ず日本語で回答してください。** findings/detected_categories/summaryの全フィールドを日本語で記述すること。
+1. findingsのquoteには、サイト本文からの「そのまま引用」のみ記載。存在しない文言を捏造しない。
+2. 引用できる原文がない場合はquoteを空文字にする。
+3. detected_categoriesのevidenceも、サイト内の具体的表現を根拠として示す。
+4. 正当なサイトには高スコアを付ける。疑わしい点がなければ安全と判定する。
+5. 推測や可能性だけで低スコアを付けない。具体的根拠がある場合のみ減点する。ただし根拠が明確な場合は躊躇なく低スコアを付けること。
+6. 複数カテゴリの部分一致だけで危険と判定しない。文脈と全体像を重視する。ただし、19カテゴリの手口パターンに明確に合致する場合は、scam_patternを20以下にすること。
+7. この分析は「現時点でのこのページの内容」のみが対象。過去の行政処分歴や企業の評判は判断材料にしない。
+8. 誤検知防止ガイドは正当なサービスを守るためのもの。詐欺サイトが正当なサービスの特徴を装っている場合（例: 偽の登録番号、コピペされた免責文）は保護対象外。
+${sensitivityInstruction}
+## 対象URL
+${urlStr}
+
+## クライアント側URL分析結果
+- ドメイン信頼スコア: ${urlAnalysis.domain_trust}/100
+- 技術安全スコア: ${urlAnalysis.tech_safety}/100
+- 検出された問題: ${urlAnalysis.issues.length > 0 ? urlAnalysis.issues.map(i => i.title).join(', ') : 'なし'}
+- 証明書（CTログ）: ${SecurityHeaders.certLabel(urlAnalysis.certificate)}
+- ドメイン登録（RDAP）: ${DomainAge.label(urlAnalysis.registration)}
+- DNS: ${DnsSignals.label(urlAnalysis.dns)}
+
+## HTTPレスポンスヘッダー
+${headers ? Object.entries(headers).map(([k,v]) => `${k}: ${v}`).join('\n') : '取得不可'}
+
+## サイトコンテンツ
+タイトル: ${htmlContent?.title || '不明'}
+見出し: ${htmlContent?.headings?.join(' / ') || 'なし'}
+本文テキスト:
+${htmlContent?.bodyText || '取得不可'}
+
+外部リンク数: ${htmlContent?.externalLinkCount || 0}
+外部ドメイン: ${htmlContent?.externalDomains?.join(', ') || 'なし'}
+フォーム: ${htmlContent?.forms?.length || 0}個${htmlContent?.forms?.some(f => f.hasPassword) ? '（パスワード入力あり）' : ''}${htmlContent?.forms?.some(f => f.hasCard) ? '（クレジットカード入力あり）' : ''}
+インラインスクリプト: ${htmlContent?.inlineScriptChars || 0}文字
+難読化の疑い: ${htmlContent?.obfuscationSuspect ? 'あり' : 'なし'}
+隠しフォーム要素: ${htmlContent?.hiddenFormFields || 0}個
+会社概要: ${htmlContent?.companyInfoInContent ? 'ページ内に記載あり' : htmlContent?.hasCompanyInfo ? 'リンクあり（別ページに存在）' : 'なし'}
+連絡先: ${htmlContent?.hasContact ? 'あり' : 'なし'}
+プライバシーポリシー: ${htmlContent?.hasPrivacyPolicy ? 'あり' : 'なし'}
+特定商取引法表記: ${htmlContent?.commerceLawInContent ? 'ページ内に記載あり' : htmlContent?.hasCommerceLaw ? 'リンクあり（別ページに存在）' : 'なし'}
+${this._operatorPrompt(htmlContent?.operatorProfile)}${this._commerceLawPrompt(htmlContent?.commerceLaw)}
+${RulePack.toPrompt(RulePack.current())}
+
+## 評価基準
+各次元を0-100で評価（100が最も安全）:
+- domain_trust: ドメイン信頼性（URL構造、TLD、ブランド偽装、SSL）
+- content_safety: コンテンツ安全性（不審キーワード、煽り表現、緊急性）
+- operator_transparency: 運営者透明性（特商法表記、会社概要、連絡先）
+- claim_credibility: 主張の信頼性（誇大広告、非現実的保証、法令違反表現）
+- scam_pattern: 詐欺パターン非合致度（既知パターンとの非類似度。高いほど安全）
+- tech_safety: 技術的安全性（SSL、難読化、隠しフォーム）
+
+`;
+  },
+
+  // Operator profile section; empty when nothing was crawled or extracted
+  _operatorPrompt(profile) {
+    if (OperatorProfile.isEmpty(profile)) return '';
+    const lines = ['', '## 運営者情報（特商法表記・会社概要等のページから抽出）'];
+    if (profile.pages.length > 0) {
+      lines.push('参照ページ: ' + profile.pages.map(p =>
+        `${OperatorProfile.kindLabel(p.kind)} ${p.url}${p.error ? `（取得失敗: ${p.error}）` : ''}`).join(' / '));
+    }
+    OperatorProfile.FIELDS.forEach(({ key, label }) => {
+      const value = profile.fields[key];
+      lines.push(`- ${label}: ${value ? value + (profile.sources[key] ? `（${profile.sources[key]}）` : '（このページ）') : '抽出できず'}`);
+    });
+    lines.push('※ ページの表・項目名から機械的に抽出した値です。「抽出できず」は記載がないことを意味しません。抽出値と本文の記載が食い違う場合や、所在地・電話番号が実在性に欠ける場合は運営者透明性の評価に反映してください。');
+    return lines.join('\n') + '\n';
+  },
+
+  // 特商法 checklist section; empty when no disclosure was checked
+  _commerceLawPrompt(result) {
+    if (!result) return '';
+    const c = CommerceLawChecker.counts(result);
+    const lines = ['', `## 特定商取引法表記チェック（${result.source ? result.source : 'このページ'}）`,
+      `必須項目${result.items.length}件中 記載なし${c.missing}件・要確認${c.warn}件`];
+    result.items.forEach(i => {
+      lines.push(`- ${i.label}: ${CommerceLawChecker.STATUS_LABELS[i.status]}${i.note ? `（${i.note}）` : ''}${i.value ? ` 「${i.value}」` : ''}`);
+    });
+    lines.push('※ 項目名からの機械的な判定です。記載なし・要確認の項目は operator_transparency の評価に反映してください（表記の体裁が異なるだけの場合を除く）。');
+    return lines.join('\n') + '\n';
   },
 
   _responseSchema() {
@@ -778,6 +2987,180 @@ SNS型投資詐欺(暗号資産含む): 2024年10,237件・1,271.9億円。金
   }
 };
 
+// ============================================================
+// AI Output Guard (cross-check AI response against extracted facts)
+// ============================================================
+// Repairs, drops or flags AI output that contradicts what the client actually
+// extracted. Every action is recorded in parsed._guard and shown in results.
+const AiGuard = {
+  ACTION_LABELS: { repaired: '修正', dropped: '除外', flagged: '要確認' },
+  RISKS: ['safe', 'low', 'medium', 'high', 'critical'],
+  CONFIDENCES: ['high', 'medium', 'low'],
+  SEVERITIES: ['critical', 'high', 'medium', 'low', 'info'],
+
+  // "<disclosure>…がない/見当たらない" statements (absence word shortly after the keyword)
+  COMMERCE_LAW_ABSENT_RE: /(特定商取引法|特商法)[^。]{0,20}(なし|ない|無い|ありません|見当たら|確認できな|欠如|不記載|未記載|存在しな)/,
+  COMPANY_INFO_ABSENT_RE: /(会社概要|運営者情報|運営会社|事業者情報|運営者の情報|企業情報)[^。]{0,20}(なし|ない|無い|ありません|見当たら|確認できな|欠如|不記載|未記載|不明|存在しな)/,
+  NO_PROBLEM_RE: /問題(は|も)?(ない|無い|ありません)/,
+
+  check(parsed, urlAnalysis, htmlContent, contentAnalysis = null) {
+    const notes = [];
+    const note = (action, message) => notes.push({ action, message });
+    const text = htmlContent?._bodyTextFull || htmlContent?.bodyText || '';
+    const pageIdx = text ? Evidence.index(text) : null;
+
+    this._checkScores(parsed, urlAnalysis, contentAnalysis, note);
+
+    if (parsed.overall_risk != null && !this.RISKS.includes(parsed.overall_risk)) {
+      note('dropped', `総合リスク「${String(parsed.overall_risk).slice(0, 20)}」は無効な値のため無視しました。`);
+      delete parsed.overall_risk;
+    }
+
+    // Categories must be among the rule pack's known categories
+    if (!Array.isArray(parsed.detected_categories)) {
+      if (parsed.detected_categories != null) note('repaired', '検出カテゴリの形式が不正なため空として扱いました。');
+      parsed.detected_categories = [];
+    }
+    parsed.detected_categories = parsed.detected_categories.filter(c => {
+      const name = this.matchCategory(c?.category);
+      if (!name) {
+        note('dropped', `既知の${RulePack.current().categories.length}カテゴリにない「${String(c?.category ?? '').slice(0, 40)}」を検出カテゴリから除外しました。`);
+        return false;
+      }
+      if (name !== c.category) c.category = name;
+      if (!this.CONFIDENCES.includes(c.confidence)) c.confidence = 'medium';
+      c.evidence = typeof c.evidence === 'string' ? c.evidence : '';
+      return true;
+    });
+
+    if (!Array.isArray(parsed.findings)) {
+      if (parsed.findings != null) note('repaired', '所見の形式が不正なため空として扱いました。');
+      parsed.findings = [];
+    }
+    parsed.findings = parsed.findings.filter(f => {
+      if (!f || typeof f !== 'object' || typeof f.title !== 'string') {
+        note('dropped', 'タイトルのない所見を除外しました。');
+        return false;
+      }
+      if (!this.SEVERITIES.includes(f.severity)) f.severity = 'info';
+      if (this._contradictsDisclosure(f, htmlContent, note)) return false;
+
+      // Quotes must be verbatim page text
+      f.quote = typeof f.quote === 'string' ? f.quote : '';
+      f.quoteFound = Evidence.verify(pageIdx, f.quote);
+      if (f.quoteFound === false) {
+        note('flagged', `所見「${f.title.slice(0, 40)}」の引用がページ本文に見つかりません。`);
+      }
+      return true;
+    });
+
+    if (typeof parsed.summary !== 'string') parsed.summary = '';
+    parsed._guard = notes;
+    return parsed;
+  },
+
+  // Non-numeric scores fall back to client/rule scores; numbers are clamped
+  _checkScores(parsed, urlAnalysis, contentAnalysis, note) {
+    const ruleScores = contentAnalysis?.scores;
+    ScoreIntegrator.DIMENSIONS.forEach(dim => {
+      const raw = parsed.scores[dim.key];
+      const num = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+      if (typeof num !== 'number' || !Number.isFinite(num)) {
+        const fallback = urlAnalysis?.[dim.key] ?? ruleScores?.[dim.key] ?? 50;
+        note('repaired', `「${dim.label}」のスコアが数値でないため、クライアント側の値（${fallback}）で補いました。`);
+        parsed.scores[dim.key] = fallback;
+      } else if (num < 0 || num > 100) {
+        const clamped = Math.max(0, Math.min(100, num));
+        note('repaired', `「${dim.label}」のスコア ${num} を範囲内の ${clamped} に補正しました。`);
+        parsed.scores[dim.key] = clamped;
+      } else {
+        parsed.scores[dim.key] = num;
+      }
+    });
+  },
+
+  // A finding that calls 特商法/company info missing while extraction found it
+  _contradictsDisclosure(f, htmlContent, note) {
+    if (!htmlContent) return false;
+    const claim = `${f.title} ${f.description || ''}`;
+    if (this.NO_PROBLEM_RE.test(claim)) return false;
+    if (this.COMMERCE_LAW_ABSENT_RE.test(claim) && htmlContent.hasCommerceLaw) {
+      note('dropped', `所見「${f.title.slice(0, 40)}」は特商法表記がないとしていますが、ページ内に表記またはリンクを確認したため除外しました。`);
+      return true;
+    }
+    if (this.COMPANY_INFO_ABSENT_RE.test(claim) && htmlContent.hasCompanyInfo) {
+      note('dropped', `所見「${f.title.slice(0, 40)}」は運営者情報がないとしていますが、ページ内に会社概要等の記載またはリンクを確認したため除外しました。`);
+      return true;
+    }
+    return false;
+  },
+
+  // Canonical rule-pack category name, tolerating "1. " prefixes, dropped
+  // parentheticals (e.g. "投資詐欺（SNS型）" given as "投資詐欺") and the
+  // category id or aliases
+  matchCategory(name) {
+    if (typeof name !== 'string' || !name.trim()) return null;
+    const base = s => s.normalize('NFKC')
+      .replace(/^\s*(カテゴリ|cat\.?)?\s*\d+\s*[.:)]?\s*/i, '')
+      .replace(/\([^)]*\)/g, '')
+      .replace(/\s+/g, '')
+      .toLowerCase();
+    const want = base(name);
+    if (!want) return null;
+    // Exact name, id or one of the pack's aliases; anything else is unknown
+    const match = RulePack.current().categories.find(c =>
+      [c.name, c.id, ...(c.aliases || [])].some(n => base(n) === want));
+    return match ? match.name : null;
+  }
+};
+
+// ============================================================
+// AI Result Cache (IndexedDB)
+// ============================================================
+// Guarded AI results keyed by the URL (without fragment) and everything that
+// changes the verdict: sensitivity, rule pack, prompt version and models.
+// Re-checks and the "force refresh" option bypass it.
+const AiCache = {
+  TTL_MS: 6 * 60 * 60 * 1000,
+
+  key(urlStr, config) {
+    let url = urlStr;
+    try { const u = new URL(urlStr); u.hash = ''; url = u.href; } catch {}
+    return [url, loadSensitivity(), RulePack.current().version, AiClient.PROMPT_VERSION,
+      config.provider || 'gemini', AiClient.provider(config).models(config).join(',')].join('\n');
+  },
+
+  // Returns { aiResult, created } for a fresh entry, else null; never throws
+  async get(urlStr, config) {
+    try {
+      const entry = await Idb.request('aiCache', 'readonly', s => s.get(this.key(urlStr, config)));
+      if (!entry || !(Date.now() - Date.parse(entry.created) < this.TTL_MS)) return null;
+      return { aiResult: entry.aiResult, created: entry.created };
+    } catch (e) {
+      console.warn('AI cache read failed:', e);
+      return null;
+    }
+  },
+
+  // Stores the result and drops expired entries; never throws
+  async put(urlStr, config, aiResult) {
+    try {
+      const expired = IDBKeyRange.upperBound(new Date(Date.now() - this.TTL_MS).toISOString());
+      await Idb.request('aiCache', 'readwrite', s => {
+        const cursor = s.index('created').openCursor(expired);
+        cursor.onsuccess = () => {
+          if (!cursor.result) return;
+          cursor.result.delete();
+          cursor.result.continue();
+        };
+        return s.put({ key: this.key(urlStr, config), created: new Date().toISOString(), aiResult });
+      });
+    } catch (e) {
+      console.warn('AI cache write failed:', e);
+    }
+  }
+};
+
 // ============================================================
 // Score Integrator
 // ============================================================
@@ -798,26 +3181,32 @@ const ScoreIntegrator = {
     low:      { criticalDim: 10, warnDim: 20, scamPattern: 20 }
   },
 
-  integrate(clientAnalysis, aiResult) {
+  CONTENT_DIMS: ['content_safety', 'operator_transparency', 'claim_credibility', 'scam_pattern'],
+
+  // contentAnalysis: ContentScorer.score() result, null when no page text
+  // override: SiteOverrides.match()/matchChain() entry for the checked URL, or null
+  integrate(clientAnalysis, aiResult, contentAnalysis = null, override = null) {
     const scores = {};
 
     if (aiResult) {
       // Blend client + AI for domain_trust and tech_safety
       scores.domain_trust = Math.round(clientAnalysis.domain_trust * 0.4 + aiResult.scores.domain_trust * 0.6);
       scores.tech_safety = Math.round(clientAnalysis.tech_safety * 0.4 + aiResult.scores.tech_safety * 0.6);
-      // AI-only for other dimensions
-      scores.content_safety = aiResult.scores.content_safety;
-      scores.operator_transparency = aiResult.scores.operator_transparency;
-      scores.claim_credibility = aiResult.scores.claim_credibility;
-      scores.scam_pattern = aiResult.scores.scam_pattern;
+      // AI for content dimensions; rule scores only pull in where they found
+      // evidence (operator_transparency is structural, so always blended)
+      this.CONTENT_DIMS.forEach(k => {
+        const rule = contentAnalysis?.scores[k];
+        const hasEvidence = rule != null &&
+          (k === 'operator_transparency' || rule < ContentScorer.BASE_SCORE);
+        scores[k] = hasEvidence ? Math.round(aiResult.scores[k] * 0.7 + rule * 0.3) : aiResult.scores[k];
+      });
     } else {
-      // Client-only fallback
+      // Client-only fallback: rule-based content scores when page text exists
       scores.domain_trust = clientAnalysis.domain_trust;
       scores.tech_safety = clientAnalysis.tech_safety;
-      scores.content_safety = 50;
-      scores.operator_transparency = 50;
-      scores.claim_credibility = 50;
-      scores.scam_pattern = 50;
+      this.CONTENT_DIMS.forEach(k => {
+        scores[k] = contentAnalysis ? contentAnalysis.scores[k] : 50;
+      });
     }
 
     // Clamp all
@@ -860,6 +3249,13 @@ const ScoreIntegrator = {
       if (aiIdx > calcIdx) risk = aiResult.overall_risk;
     }
 
+    // A blocklist hit is a verdict by itself
+    if (clientAnalysis.blocklist?.length) risk = 'critical';
+
+    // Team allow / deny entry replaces the verdict; scores stay as computed
+    if (override) {
+      return { scores, risk: override.action === 'allow' ? 'safe' : 'critical', override: { ...override, computedRisk: risk } };
+    }
     return { scores, risk };
   }
 };
@@ -1125,6 +3521,70 @@ const ProgressMgr = {
   }
 };
 
+// ============================================================
+// Evidence (quote verification + page-text highlighting)
+// ============================================================
+// AI quotes often differ from the page in width (ＡＢＣ/ABC), spacing or
+// elisions (…), so matching runs on NFKC-normalized text with whitespace
+// removed, keeping an index map back to the original.
+const Evidence = {
+  MAX_PAGE_TEXT: 50000, // chars of page text kept on the record for the panel
+  MIN_SEGMENT: 4,
+
+  index(text) {
+    let norm = '';
+    const starts = [];
+    const ends = [];
+    for (let i = 0; i < text.length;) {
+      const ch = String.fromCodePoint(text.codePointAt(i));
+      const n = ch.normalize('NFKC').toLowerCase().replace(/\s+/g, '');
+      for (let k = 0; k < n.length; k++) { starts.push(i); ends.push(i + ch.length); }
+      norm += n;
+      i += ch.length;
+    }
+    return { text: norm, starts, ends };
+  },
+
+  // Elided quotes ("A…B") match when every long-enough segment appears in order
+  _segments(quote) {
+    const q = quote.replace(/^[\s「『"'“”]+|[\s」』"'“”]+$/g, '');
+    const parts = q.split(/…+|\.{3,}|\[\.\.\.中略\.\.\.\]|（中略）/)
+      .map(p => this.index(p).text)
+      .filter(Boolean);
+    const long = parts.filter(p => p.length >= this.MIN_SEGMENT);
+    if (long.length) return long;
+    return parts.length === 1 && parts[0].length >= 2 ? parts : [];
+  },
+
+  // Returns [{ start, end }, ...] (one range per segment) in the original
+  // text, or null when not found
+  locate(idx, quote) {
+    const segs = this._segments(quote || '');
+    if (segs.length === 0) return null;
+    const ranges = [];
+    let from = 0;
+    for (const seg of segs) {
+      const at = idx.text.indexOf(seg, from);
+      if (at < 0) return null;
+      ranges.push({ start: idx.starts[at], end: idx.ends[at + seg.length - 1] });
+      from = at + seg.length;
+    }
+    return ranges;
+  },
+
+  // Quoted fragments inside category evidence (「…」/“…”); whole text otherwise
+  fragments(evidence) {
+    const quoted = [...String(evidence || '').matchAll(/[「『“]([^」』”]+)[」』”]/g)].map(m => m[1]);
+    return quoted.length ? quoted : [String(evidence || '')];
+  },
+
+  // true/false for a non-empty quote checked against page text, null when unknown
+  verify(idx, quote) {
+    if (!idx || !quote) return null;
+    return !!this.locate(idx, quote);
+  }
+};
+
 // ============================================================
 // Results Renderer
 // ============================================================
@@ -1137,12 +3597,54 @@ const ResultsRenderer = {
     critical: { text: '複数の深刻な懸念があります', icon: '\u2718' }
   },
 
+  RISK_NAMES: { safe: '安全', low: '低リスク', medium: '中リスク', high: '高リスク', critical: '危険' },
+
+  // Record currently shown on the results screen (see buildRecord)
+  current: null,
+  // What renderPartial() last drew, to skip redraws for unchanged chunks
+  _partialKey: null,
+
+  renderRecord(record) {
+    const aiResult = record.hasAi
+      ? {
+        detected_categories: record.detected_categories,
+        findings: record.findings,
+        summary: record.summary,
+        _provider: record.provider,
+        _model: record.model,
+        _fallbackFrom: record.fallbackFrom,
+        _guard: record.aiGuard || []
+      }
+      : null;
+    this.render(record.url, { scores: record.scores, risk: record.risk }, aiResult,
+      { issues: record.issues, ruleFindings: record.ruleFindings || [], pageText: record.pageText || '',
+        operatorProfile: record.operatorProfile || null, commerceLaw: record.commerceLaw || null,
+        redirectHops: record.redirectHops || [] },
+      record.incomplete);
+    if (record.blocklist?.length) {
+      document.getElementById('riskLevel').textContent = `ブロックリスト「${record.blocklist[0].list}」に登録されています`;
+    }
+    this._renderOverride(record.override);
+    this._renderCache(record);
+    const metaEl = document.getElementById('resultRulePack');
+    metaEl.hidden = !record.rulePack;
+    if (record.rulePack) metaEl.textContent = `判定ルール: ルールパック ${RulePack.label(record.rulePack)}`;
+    this.current = record;
+  },
+
   render(url, integrated, aiResult, clientAnalysis, incomplete) {
     const { scores, risk } = integrated;
+    this.current = null;
+    this._partialKey = null;
+    document.getElementById('streamNotice').hidden = true;
+    document.getElementById('diffCard').hidden = true;
+    document.getElementById('btnBackToBatch').hidden = true;
+    document.getElementById('snapshotNotice').hidden = true;
+    document.getElementById('exportActions').hidden = false;
 
     // Risk banner
     const banner = document.getElementById('riskBanner');
-    banner.className = 'risk-banner ' + risk;
+    banner.className = 'risk-banner ' + (this.RISK_LABELS[risk] ? risk : 'medium');
     const rl = this.RISK_LABELS[risk] || this.RISK_LABELS.medium;
     document.getElementById('riskIcon').textContent = rl.icon;
     document.getElementById('riskLevel').textContent = rl.text;
@@ -1176,18 +3678,34 @@ const ResultsRenderer = {
     });
     barsEl.innerHTML = barsHtml;
 
+    // Evidence marks in the page text (filled while rendering categories/findings)
+    const pageText = clientAnalysis.pageText || '';
+    const pageIdx = pageText ? Evidence.index(pageText) : null;
+    const marks = [];
+    const markFor = (quote, kind) => {
+      const ranges = pageIdx && quote ? Evidence.locate(pageIdx, quote) : null;
+      if (!ranges) return null;
+      const id = `ev-${marks.length}`;
+      ranges.forEach((r, i) => marks.push({ ...r, id: i === 0 ? id : `${id}-${i}`, kind }));
+      return id;
+    };
+    const jumpBtn = id => (id ? `<button class="btn-text evidence-jump" data-mark="${id}">本文で表示</button>` : '');
+
     // Detected categories
     const catCard = document.getElementById('categoriesCard');
     const catList = document.getElementById('categoriesList');
     if (aiResult && aiResult.detected_categories && aiResult.detected_categories.length > 0) {
       catCard.hidden = false;
       const validConf = ['high','medium','low'];
-      catList.innerHTML = aiResult.detected_categories.map(c => `
+      catList.innerHTML = aiResult.detected_categories.map(c => {
+        const ids = Evidence.fragments(c.evidence).map(q => markFor(q, 'category')).filter(Boolean);
+        return `
         <div style="margin-bottom:8px">
           <span class="category-tag ${validConf.includes(c.confidence) ? c.confidence : 'medium'}">${this._esc(c.category)}</span>
-          <div class="category-evidence">${this._esc(c.evidence)}</div>
+          <div class="category-evidence">${this._esc(c.evidence)} ${jumpBtn(ids[0])}</div>
         </div>
-      `).join('');
+      `;
+      }).join('');
     } else {
       catCard.hidden = true;
     }
@@ -1200,6 +3718,7 @@ const ResultsRenderer = {
     // Client findings
     clientAnalysis.issues.forEach(iss => {
       allFindings.push({
+        kind: 'client',
         dimension: 'URL分析',
         severity: iss.severity,
         title: iss.title,
@@ -1208,55 +3727,988 @@ const ResultsRenderer = {
       });
     });
 
+    // Offline rule findings
+    (clientAnalysis.ruleFindings || []).forEach(f => allFindings.push({ ...f, kind: 'rule' }));
+
     // AI findings
     if (aiResult && aiResult.findings) {
-      aiResult.findings.forEach(f => allFindings.push(f));
+      aiResult.findings.forEach(f => allFindings.push({ ...f, kind: 'ai' }));
     }
 
     if (allFindings.length > 0) {
       findCard.hidden = false;
-      findList.innerHTML = allFindings.map(f => `
-        <div class="finding-item">
+      const validSev = ['critical','high','medium','low','info'];
+      findList.innerHTML = allFindings.map(f => {
+        // quoteFound is set at record time against the full page text
+        const unverified = f.quoteFound === false;
+        // Rule findings highlight the matched terms, not the context snippet
+        const markId = f.kind === 'rule'
+          ? (f.terms || []).map(t => markFor(t, 'rule')).filter(Boolean)[0]
+          : f.quote && !unverified ? markFor(f.quote, f.kind) : null;
+        return `
+        <div class="finding-item${unverified ? ' unverified' : ''}">
           <div class="finding-header">
-            <span class="finding-severity ${f.severity}"></span>
+            <span class="finding-severity ${validSev.includes(f.severity) ? f.severity : 'info'}"></span>
             <span class="finding-title">${this._esc(f.title)}</span>
             <span class="finding-dimension">${this._esc(f.dimension)}</span>
           </div>
+          ${unverified ? '<div class="finding-unverified-note">この引用はページ本文に見つかりません（AIの誤りの可能性があります）</div>' : ''}
           ${f.description ? `<div class="finding-desc">${this._esc(f.description)}</div>` : ''}
-          ${f.quote ? `<div class="finding-quote">${this._esc(f.quote)}</div>` : ''}
+          ${f.quote ? `<div class="finding-quote${unverified ? ' unverified' : ''}">${this._esc(f.quote)}</div>` : ''}
+          ${jumpBtn(markId)}
         </div>
-      `).join('');
+      `;
+      }).join('');
     } else {
       findCard.hidden = true;
     }
 
-    // Summary
-    const sumCard = document.getElementById('summaryCard');
-    if (aiResult && aiResult.summary) {
-      sumCard.hidden = false;
-      document.getElementById('summaryText').textContent = aiResult.summary;
-    } else {
-      sumCard.hidden = true;
+    this._renderPageText(pageText, marks, allFindings.filter(f => f.quoteFound === false).length);
+
+    this._renderRedirects(clientAnalysis.redirectHops || []);
+    this._renderOperatorProfile(clientAnalysis.operatorProfile);
+    this._renderCommerceLaw(clientAnalysis.commerceLaw);
+
+    // AI output guard notes
+    const guardNotes = aiResult?._guard || [];
+    document.getElementById('guardCard').hidden = guardNotes.length === 0;
+    document.getElementById('guardList').innerHTML = guardNotes.map(n => `
+      <li class="guard-note ${AiGuard.ACTION_LABELS[n.action] ? n.action : 'flagged'}">
+        <span class="guard-action">${this._esc(AiGuard.ACTION_LABELS[n.action] || '要確認')}</span>${this._esc(n.message)}
+      </li>`).join('');
+
+    // Summary
+    const sumCard = document.getElementById('summaryCard');
+    if (aiResult && aiResult.summary) {
+      sumCard.hidden = false;
+      document.getElementById('summaryText').textContent = aiResult.summary;
+      const modelEl = document.getElementById('summaryModel');
+      if (aiResult._model) {
+        const label = LlmProviders[aiResult._provider]?.label;
+        let text = `分析モデル: ${label ? label + ' / ' : ''}${aiResult._model}`;
+        if (aiResult._fallbackFrom?.length) {
+          text += `（${aiResult._fallbackFrom.join('、')} が利用できなかったため切り替え）`;
+        }
+        modelEl.textContent = text;
+        modelEl.hidden = false;
+      } else {
+        modelEl.hidden = true;
+      }
+    } else {
+      sumCard.hidden = true;
+    }
+
+    // Incomplete notice
+    const noticeEl = document.getElementById('incompleteNotice');
+    if (incomplete) {
+      noticeEl.hidden = false;
+      document.getElementById('incompleteText').textContent = incomplete;
+    } else {
+      noticeEl.hidden = true;
+    }
+
+    showScreen('screenResults');
+  },
+
+  // Team allow / deny override: what was applied and what the checks computed
+  _renderOverride(override) {
+    const card = document.getElementById('overrideNotice');
+    card.hidden = !override;
+    if (!override) return;
+    card.className = `card override-card ${override.action === 'allow' ? 'allow' : 'deny'}`;
+    document.getElementById('riskLevel').textContent = override.action === 'allow'
+      ? 'チームの許可リストに登録されたサイトです'
+      : 'チームの拒否リストに登録されたサイトです';
+    document.getElementById('overrideText').textContent = ResultExporter.overrideLabel(override);
+  },
+
+  // Provisional results while the AI reply streams in: the client checks plus
+  // whatever scores, categories and findings have fully arrived, re-rendered
+  // only when those change. Returns false while there is nothing to show yet.
+  renderPartial(url, partial, ratio, { clientAnalysis, htmlContent, contentAnalysis, redirects }) {
+    const scores = {};
+    ScoreIntegrator.DIMENSIONS.forEach(dim => {
+      if (typeof partial?.scores?.[dim.key] === 'number') scores[dim.key] = partial.scores[dim.key];
+    });
+    const preview = {
+      detected_categories: (Array.isArray(partial?.detected_categories) ? partial.detected_categories : [])
+        .filter(c => typeof c?.category === 'string'),
+      findings: (Array.isArray(partial?.findings) ? partial.findings : []).filter(f => typeof f?.title === 'string'),
+      overall_risk: AiGuard.RISKS.includes(partial?.overall_risk) ? partial.overall_risk : null,
+      summary: typeof partial?.summary === 'string' ? partial.summary : ''
+    };
+    const hasContent = Object.keys(scores).length > 0 || preview.detected_categories.length > 0 || preview.findings.length > 0;
+    if (!hasContent && !this._partialKey) return false;
+
+    const key = JSON.stringify([scores, preview]);
+    if (key !== this._partialKey) {
+      // Dimensions the AI has not scored yet keep their client-side values
+      preview.scores = { ...ScoreIntegrator.integrate(clientAnalysis, null, contentAnalysis).scores, ...scores };
+      this.render(url, ScoreIntegrator.integrate(clientAnalysis, preview, contentAnalysis), preview,
+        { issues: clientAnalysis.issues, ruleFindings: contentAnalysis?.findings || [], pageText: htmlContent?._bodyTextFull || '',
+          operatorProfile: htmlContent?.operatorProfile || null, commerceLaw: htmlContent?.commerceLaw || null,
+          redirectHops: redirects?.hops || [] },
+        null);
+      this._partialKey = key;
+      document.getElementById('exportActions').hidden = true;
+      document.getElementById('riskLevel').textContent = 'AI分析中（暫定の判定）';
+      document.getElementById('streamNotice').hidden = false;
+    }
+    const pct = Math.round(ratio * 100);
+    document.getElementById('streamBar').style.width = pct + '%';
+    document.getElementById('streamPct').textContent = pct + '%';
+    return true;
+  },
+
+  // Age of the cached page fetch / AI result the check reused, at check time
+  _renderCache(record) {
+    const card = document.getElementById('cacheNotice');
+    const cache = record.cache;
+    card.hidden = !cache;
+    if (!cache) return;
+    const age = at => {
+      const min = Math.max(0, Math.floor((Date.parse(record.timestamp) - Date.parse(at)) / 60000));
+      return min < 1 ? '1分以内' : min < 60 ? `${min}分前` : `${Math.floor(min / 60)}時間${min % 60 ? `${min % 60}分` : ''}前`;
+    };
+    const parts = [
+      ...(cache.page ? [`サイトの取得結果（${age(cache.page)}）`] : []),
+      ...(cache.ai ? [`AI分析結果（${age(cache.ai)}）`] : [])
+    ];
+    document.getElementById('cacheText').textContent =
+      `キャッシュされた${parts.join('と')}を使用しています。最新の状態を確認するには再取得してください。`;
+    document.getElementById('btnRefreshCheck').hidden = record.mode !== 'url';
+  },
+
+  // Redirect timeline: one row per response with its status code and flags
+  _renderRedirects(hops) {
+    const card = document.getElementById('redirectCard');
+    card.hidden = hops.length < 2;
+    if (card.hidden) return;
+    document.getElementById('redirectTimeline').innerHTML = hops.map((h, idx) => {
+      const tags = RedirectChain.tags(h, idx, hops.length);
+      const warn = h.downgrade || h.cloaked || h.issues.length > 0 || (h.shortener && idx > 0) ||
+        (h.crossSite && hops[idx - 1].via);
+      return `
+      <li class="redirect-hop${warn ? ' warn' : ''}">
+        <span class="redirect-status ${RedirectChain.statusClass(h.status, h.via)}">${h.status ?? '—'}</span>
+        <div class="redirect-body">
+          <div class="redirect-url">${this._esc(h.url)}</div>
+          <div class="redirect-tags">${tags.map(t => `<span class="redirect-tag">${this._esc(t)}</span>`).join('')}${h.issues.map(t => `<span class="redirect-tag issue">${this._esc(t)}</span>`).join('')}</div>
+          ${h.cloaked && h.title ? `<div class="redirect-title">応答ページ: ${this._esc(h.title)}</div>` : ''}
+        </div>
+      </li>`;
+    }).join('');
+  },
+
+  // Operator profile: extracted fields with their source page, then crawled pages
+  _renderOperatorProfile(profile) {
+    const card = document.getElementById('operatorCard');
+    card.hidden = OperatorProfile.isEmpty(profile);
+    if (card.hidden) return;
+    const pageLink = url => /^https?:\/\//i.test(url)
+      ? `<a href="${this._esc(url)}" target="_blank" rel="noopener noreferrer">${this._esc(url)}</a>`
+      : this._esc(url);
+    document.getElementById('operatorFields').innerHTML = OperatorProfile.FIELDS.map(({ key, label }) => {
+      const value = profile.fields[key];
+      const source = profile.sources[key];
+      return `
+        <tr${value ? '' : ' class="operator-missing"'}>
+          <th>${this._esc(label)}</th>
+          <td>${value ? this._esc(value) : '抽出できず'}${value ? `<div class="operator-source">${source ? '出典: ' + pageLink(source) : '出典: このページ'}</div>` : ''}</td>
+        </tr>`;
+    }).join('');
+    document.getElementById('operatorPages').innerHTML = profile.pages.map(p => `
+      <li class="${p.error ? 'failed' : ''}">
+        <span class="operator-kind">${this._esc(OperatorProfile.kindLabel(p.kind))}</span>${pageLink(p.url)}${p.error ? `<span class="operator-error">取得失敗: ${this._esc(p.error)}</span>` : ''}
+      </li>`).join('');
+  },
+
+  // 特商法 checklist; problem items first
+  _renderCommerceLaw(result) {
+    const card = document.getElementById('commerceLawCard');
+    card.hidden = !result;
+    if (!result) return;
+    const c = CommerceLawChecker.counts(result);
+    const source = result.source
+      ? `<a href="${this._esc(result.source)}" target="_blank" rel="noopener noreferrer">${this._esc(result.source)}</a>`
+      : 'このページ';
+    document.getElementById('commerceLawMeta').innerHTML =
+      `対象: ${source}　必須項目${result.items.length}件中 記載なし${c.missing}件・要確認${c.warn}件`;
+    const order = ['missing', 'warn', 'ok'];
+    const items = [...result.items].sort((a, b) => order.indexOf(a.status) - order.indexOf(b.status));
+    document.getElementById('commerceLawList').innerHTML = items.map(i => `
+      <li class="commerce-item ${CommerceLawChecker.STATUS_LABELS[i.status] ? i.status : 'warn'}">
+        <span class="commerce-status">${this._esc(CommerceLawChecker.STATUS_LABELS[i.status] || '要確認')}</span>
+        <span class="commerce-label">${this._esc(i.label)}</span>
+        ${i.note ? `<span class="commerce-note">${this._esc(i.note)}</span>` : ''}
+        ${i.value ? `<div class="commerce-value">${this._esc(i.value)}</div>` : ''}
+      </li>`).join('');
+  },
+
+  // Page text with evidence marks. Contained marks nest; a mark that only
+  // partially overlaps an open one is dropped and its jump buttons re-pointed.
+  _renderPageText(pageText, marks, unverifiedCount) {
+    const card = document.getElementById('pageTextCard');
+    if (!pageText) {
+      card.hidden = true;
+      return;
+    }
+    card.hidden = false;
+    document.getElementById('pageTextDetails').open = false;
+
+    const sorted = [...marks].sort((a, b) => a.start - b.start || b.end - a.end);
+    const alias = {};
+    const root = { start: 0, end: pageText.length, children: [] };
+    const stack = [root];
+    sorted.forEach(m => {
+      while (stack.length > 1 && stack[stack.length - 1].end <= m.start) stack.pop();
+      const top = stack[stack.length - 1];
+      if (m.end > top.end) {
+        alias[m.id] = top.id;
+        return;
+      }
+      const node = { ...m, children: [] };
+      top.children.push(node);
+      stack.push(node);
+    });
+
+    const emit = node => {
+      let html = '';
+      let pos = node.start;
+      node.children.forEach(c => {
+        html += this._esc(pageText.slice(pos, c.start));
+        html += `<mark class="evidence-mark ${c.kind}" id="${c.id}">${emit(c)}</mark>`;
+        pos = c.end;
+      });
+      return html + this._esc(pageText.slice(pos, node.end));
+    };
+    document.getElementById('pageTextBody').innerHTML = emit(root);
+
+    document.querySelectorAll('#screenResults .evidence-jump').forEach(btn => {
+      if (alias[btn.dataset.mark]) btn.dataset.mark = alias[btn.dataset.mark];
+    });
+
+    const highlighted = new Set(marks.filter(m => !alias[m.id]).map(m => m.id.replace(/^(ev-\d+)-\d+$/, '$1')));
+    let meta = `引用・根拠 ${highlighted.size}件をハイライト`;
+    if (unverifiedCount > 0) meta += `／本文に見つからない引用 ${unverifiedCount}件`;
+    if (pageText.length >= Evidence.MAX_PAGE_TEXT) meta += `（先頭${Evidence.MAX_PAGE_TEXT.toLocaleString()}文字を表示）`;
+    document.getElementById('pageTextMeta').textContent = meta;
+  },
+
+  jumpToMark(id) {
+    const mark = document.getElementById(id);
+    if (!mark) return;
+    document.getElementById('pageTextDetails').open = true;
+    mark.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    mark.classList.remove('flash');
+    void mark.offsetWidth; // restart the animation
+    mark.classList.add('flash');
+  },
+
+  // Read-only view of a result opened from a share link
+  renderShared(record) {
+    this.renderRecord(record);
+    document.getElementById('exportActions').hidden = true;
+    document.getElementById('btnRefreshCheck').hidden = true;
+    document.getElementById('snapshotNotice').hidden = false;
+    document.getElementById('snapshotText').textContent =
+      `共有されたスナップショットです（${new Date(record.timestamp).toLocaleString('ja-JP')} 時点の分析結果）。閲覧専用で、現在のサイトの状態とは異なる可能性があります。`;
+  },
+
+  // Per-dimension comparison against an earlier record of the same URL
+  renderDiff(prev, record) {
+    const card = document.getElementById('diffCard');
+    if (!prev) { card.hidden = true; return; }
+
+    const riskOrder = ['safe','low','medium','high','critical'];
+    const prevIdx = riskOrder.indexOf(prev.risk);
+    const nowIdx = riskOrder.indexOf(record.risk);
+    const metaEl = document.getElementById('diffMeta');
+    let meta = `前回（${new Date(prev.timestamp).toLocaleString('ja-JP')}）: ${this.RISK_NAMES[prev.risk] || prev.risk} → 今回: ${this.RISK_NAMES[record.risk] || record.risk}`;
+    if (nowIdx > prevIdx) meta += '　リスクが上昇しました';
+    else if (nowIdx < prevIdx) meta += '　リスクが低下しました';
+    metaEl.textContent = meta;
+    metaEl.className = 'diff-meta' + (nowIdx > prevIdx ? ' worse' : '');
+
+    document.getElementById('diffList').innerHTML = ScoreIntegrator.DIMENSIONS.map(dim => {
+      const before = Math.round(Number(prev.scores?.[dim.key]) || 0);
+      const after = Math.round(Number(record.scores[dim.key]) || 0);
+      const delta = after - before;
+      const cls = delta < 0 ? 'down' : delta > 0 ? 'up' : 'same';
+      const sign = delta > 0 ? '+' : '';
+      return `
+        <div class="diff-row">
+          <span class="diff-name">${this._esc(dim.label)}</span>
+          <span class="diff-values">${before} → ${after}</span>
+          <span class="diff-delta ${cls}">${delta === 0 ? '±0' : sign + delta}</span>
+        </div>`;
+    }).join('');
+    card.hidden = false;
+  },
+
+  _escDiv: null,
+  _esc(s) {
+    if (!s) return '';
+    if (!this._escDiv) this._escDiv = document.createElement('div');
+    this._escDiv.textContent = s;
+    return this._escDiv.innerHTML;
+  }
+};
+
+// ============================================================
+// Result Record & History
+// ============================================================
+// Serializable snapshot of a finished check (results screen, history, export)
+// meta: { finalUrl, redirectChain } from the worker fetch, when available
+// meta.redirectHops: RedirectChain.analyze() hops, when the fetch was redirected
+// meta.pageText: full extracted body text; quotes are verified against all of
+// it, but only the first Evidence.MAX_PAGE_TEXT chars are stored
+// meta.operatorProfile: OperatorProfile.build() result
+// meta.commerceLaw: CommerceLawChecker.check() result, when a disclosure was checked
+// meta.certificate: worker /cert result (CT logs), when available
+// meta.registration: worker /rdap result, when available
+// meta.dns: worker /dns result, when available
+// meta.cache: analyzeUrl() cache timestamps { page, ai }, when a cached fetch or AI result was used
+// clientAnalysis.blocklist: Blocklist.check() hits, when the site is listed
+function buildRecord(url, mode, integrated, aiResult, clientAnalysis, incomplete, meta = {}, contentAnalysis = null) {
+  const pageIdx = meta.pageText ? Evidence.index(meta.pageText) : null;
+  return {
+    url,
+    mode,
+    timestamp: new Date().toISOString(),
+    finalUrl: meta.finalUrl || null,
+    redirectChain: meta.redirectChain || [],
+    redirectHops: meta.redirectHops || [],
+    sensitivity: loadSensitivity(),
+    provider: aiResult?._provider || null,
+    model: aiResult?._model || null,
+    fallbackFrom: aiResult?._fallbackFrom || [],
+    scores: { ...integrated.scores },
+    risk: integrated.risk,
+    override: integrated.override || null,
+    hasAi: !!aiResult,
+    detected_categories: aiResult?.detected_categories || [],
+    findings: (aiResult?.findings || []).map(f => ({ ...f, quoteFound: f.quoteFound ?? Evidence.verify(pageIdx, f.quote) })),
+    aiGuard: aiResult?._guard || [],
+    summary: aiResult?.summary || '',
+    issues: clientAnalysis.issues.map(i => ({ title: i.title, severity: i.severity, desc: i.desc || '' })),
+    ruleFindings: contentAnalysis?.findings || [],
+    rulePack: { version: RulePack.current().version, updated: RulePack.current().updated },
+    pageText: (meta.pageText || '').slice(0, Evidence.MAX_PAGE_TEXT),
+    operatorProfile: OperatorProfile.isEmpty(meta.operatorProfile) ? null : meta.operatorProfile,
+    commerceLaw: meta.commerceLaw || null,
+    certificate: meta.certificate || null,
+    registration: meta.registration || null,
+    dns: meta.dns || null,
+    cache: meta.cache || null,
+    blocklist: clientAnalysis.blocklist || [],
+    incomplete: incomplete || null
+  };
+}
+
+const HistoryStore = {
+  MAX_ENTRIES: 500,
+
+  async add(record) {
+    await Idb.request('history', 'readwrite', s => s.put(record));
+    const all = await this.list();
+    for (const old of all.slice(this.MAX_ENTRIES)) {
+      await this.remove(old.url, old.timestamp);
+    }
+  },
+
+  // Newest first
+  async list() {
+    const all = await Idb.request('history', 'readonly', s => s.index('timestamp').getAll());
+    return (all || []).reverse();
+  },
+
+  remove(url, timestamp) {
+    return Idb.request('history', 'readwrite', s => s.delete([url, timestamp]));
+  }
+};
+
+const HistoryScreen = {
+  _entries: [],
+
+  async show() {
+    showScreen('screenHistory');
+    const listEl = document.getElementById('historyList');
+    const emptyEl = document.getElementById('historyEmpty');
+    try {
+      this._entries = await HistoryStore.list();
+    } catch (e) {
+      console.warn('History load failed:', e);
+      this._entries = [];
+    }
+    emptyEl.hidden = this._entries.length > 0;
+    const esc = s => ResultsRenderer._esc(s);
+    listEl.innerHTML = this._entries.map((h, idx) => {
+      let host;
+      try { host = new URL(h.url).hostname; } catch { host = h.url; }
+      return `
+        <div class="history-item">
+          <div class="history-main">
+            <span class="risk-badge ${esc(h.risk)}">${esc(ResultsRenderer.RISK_NAMES[h.risk] || h.risk)}</span>
+            <span class="history-host">${esc(host)}</span>
+            <span class="history-date">${esc(new Date(h.timestamp).toLocaleString('ja-JP'))}</span>
+          </div>
+          <div class="history-url">${esc(h.url)}</div>
+          <div class="history-actions">
+            <button class="btn btn-secondary btn-sm" data-action="open" data-idx="${idx}">開く</button>
+            <button class="btn btn-secondary btn-sm" data-action="recheck" data-idx="${idx}"${h.mode === 'url' ? '' : ' disabled title="テキスト貼り付けの結果は再チェックできません"'}>再チェック</button>
+            <button class="btn btn-text" data-action="delete" data-idx="${idx}">削除</button>
+          </div>
+        </div>`;
+    }).join('');
+  },
+
+  async handleAction(action, idx) {
+    const entry = this._entries[idx];
+    if (!entry) return;
+    if (action === 'open') {
+      ResultsRenderer.renderRecord(entry);
+    } else if (action === 'recheck') {
+      runCheck(entry.url, { previous: entry, refresh: true });
+    } else if (action === 'delete') {
+      if (!confirm('この履歴を削除しますか？')) return;
+      try {
+        await HistoryStore.remove(entry.url, entry.timestamp);
+      } catch (e) {
+        alert('履歴の削除に失敗しました: ' + (e.message || '不明なエラー'));
+      }
+      this.show();
+    }
+  }
+};
+
+// ============================================================
+// Result Export (JSON / Markdown / printable report)
+// ============================================================
+const ResultExporter = {
+  SCHEMA: 'site-safety-checker/result',
+  SCHEMA_VERSION: 1,
+  SENSITIVITY_LABELS: { high: '高感度', standard: '標準', low: '低感度' },
+
+  // Versioned, stable JSON shape (bump SCHEMA_VERSION on breaking changes)
+  toJson(record) {
+    return {
+      schema: this.SCHEMA,
+      schemaVersion: this.SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      checkedAt: record.timestamp,
+      mode: record.mode,
+      url: record.url,
+      finalUrl: record.finalUrl || null,
+      redirectChain: record.redirectChain || [],
+      redirectHops: record.redirectHops || [],
+      sensitivity: record.sensitivity || null,
+      provider: record.provider || null,
+      model: record.model || null,
+      fallbackFrom: record.fallbackFrom || [],
+      risk: record.risk,
+      scores: record.scores,
+      detectedCategories: record.detected_categories,
+      findings: record.findings,
+      clientIssues: record.issues,
+      ruleFindings: record.ruleFindings || [],
+      rulePack: record.rulePack || null,
+      operatorProfile: record.operatorProfile || null,
+      commerceLaw: record.commerceLaw || null,
+      certificate: record.certificate || null,
+      registration: record.registration || null,
+      dns: record.dns || null,
+      blocklist: record.blocklist || [],
+      override: record.override || null,
+      cache: record.cache || null,
+      aiGuard: record.aiGuard || [],
+      summary: record.summary || '',
+      incomplete: record.incomplete || null
+    };
+  },
+
+  toMarkdown(record) {
+    const md = s => String(s ?? '').replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+    const rl = ResultsRenderer.RISK_LABELS[record.risk] || ResultsRenderer.RISK_LABELS.medium;
+    const lines = [
+      '# サイト安全性チェック結果',
+      '',
+      `- URL: ${md(record.url)}`,
+      `- 最終URL: ${md(record.finalUrl || record.url)}`,
+    ];
+    if (record.redirectHops?.length) lines.push(`- リダイレクト: ${md(RedirectChain.label(record.redirectHops))}`);
+    else if (record.redirectChain?.length) lines.push(`- リダイレクト: ${record.redirectChain.map(md).join(' → ')}`);
+    lines.push(
+      `- チェック日時: ${new Date(record.timestamp).toLocaleString('ja-JP')}`,
+      `- 判定: ${ResultsRenderer.RISK_NAMES[record.risk] || record.risk}（${rl.text}）`,
+      ...(record.override ? [`- 判定の上書き: ${md(this.overrideLabel(record.override))}`] : []),
+      `- 分析感度: ${this.SENSITIVITY_LABELS[record.sensitivity] || '標準'}`,
+      `- AIモデル: ${this._modelLabel(record)}`,
+      `- ルールパック: ${this._rulePackLabel(record)}`,
+      `- 証明書: ${md(SecurityHeaders.certLabel(record.certificate))}`,
+      `- ドメイン登録: ${md(DomainAge.label(record.registration))}`,
+      `- DNS: ${md(DnsSignals.label(record.dns))}`,
+      '',
+      '## 6軸スコア',
+      '',
+      '| 項目 | スコア |',
+      '|------|-------:|'
+    );
+    ScoreIntegrator.DIMENSIONS.forEach(dim => {
+      lines.push(`| ${dim.label} | ${Math.round(Number(record.scores[dim.key]) || 0)} |`);
+    });
+
+    if (record.detected_categories.length > 0) {
+      lines.push('', '## 検出された詐欺パターン', '');
+      record.detected_categories.forEach(c => {
+        lines.push(`- **${md(c.category)}**（確度: ${md(c.confidence)}）: ${md(c.evidence)}`);
+      });
+    }
+
+    if (record.findings.length > 0) {
+      lines.push('', '## AI所見', '');
+      record.findings.forEach(f => {
+        lines.push(`### [${md(f.severity)}] ${md(f.title)}（${md(f.dimension)}）`, '');
+        if (f.description) lines.push(md(f.description), '');
+        if (f.quote) lines.push(`> ${md(f.quote)}${f.quoteFound === false ? '（※本文に見つからない引用）' : ''}`, '');
+      });
+    }
+
+    if (record.operatorProfile) {
+      const op = record.operatorProfile;
+      lines.push('', '## 運営者情報（自動抽出）', '', '| 項目 | 内容 | 出典 |', '|------|------|------|');
+      OperatorProfile.FIELDS.forEach(({ key, label }) => {
+        const value = op.fields[key];
+        lines.push(`| ${label} | ${value ? md(value) : '抽出できず'} | ${value ? md(op.sources[key] || 'このページ') : ''} |`);
+      });
+      if (op.pages.length) {
+        lines.push('');
+        op.pages.forEach(pg => lines.push(`- ${OperatorProfile.kindLabel(pg.kind)}: ${md(pg.url)}${pg.error ? `（取得失敗: ${md(pg.error)}）` : ''}`));
+      }
+    }
+
+    if (record.commerceLaw) {
+      const c = CommerceLawChecker.counts(record.commerceLaw);
+      lines.push('', '## 特定商取引法表記チェック', '',
+        `対象: ${md(record.commerceLaw.source || 'このページ')}（記載なし${c.missing}件・要確認${c.warn}件）`, '',
+        '| 項目 | 判定 | 内容 |', '|------|------|------|');
+      record.commerceLaw.items.forEach(i => {
+        lines.push(`| ${i.label} | ${CommerceLawChecker.STATUS_LABELS[i.status] || '要確認'}${i.note ? `（${md(i.note)}）` : ''} | ${md(i.value)} |`);
+      });
+    }
+
+    if (record.issues.length > 0) {
+      lines.push('', '## URL分析（クライアント側）', '');
+      record.issues.forEach(i => {
+        lines.push(`- [${md(i.severity)}] ${md(i.title)}${i.desc ? ': ' + md(i.desc) : ''}`);
+      });
+    }
+
+    if (record.ruleFindings?.length) {
+      lines.push('', '## ルール検出（オフライン）', '');
+      record.ruleFindings.forEach(f => {
+        lines.push(`- [${md(f.severity)}] ${md(f.title)}: ${md(f.description)}`);
+        if (f.quote) lines.push(`  > ${md(f.quote)}`);
+      });
+    }
+
+    if (record.aiGuard?.length) {
+      lines.push('', '## AI出力の検証', '');
+      record.aiGuard.forEach(n => lines.push(`- [${AiGuard.ACTION_LABELS[n.action] || '要確認'}] ${md(n.message)}`));
+    }
+
+    if (record.summary) lines.push('', '## AI総合評価', '', record.summary);
+    if (record.incomplete) lines.push('', '## 注意', '', md(record.incomplete));
+    lines.push('', '---', '', this._disclaimer(), '');
+    return lines.join('\n');
+  },
+
+  toPrintHtml(record, chartDataUrl) {
+    const esc = s => ResultsRenderer._esc(s == null ? '' : String(s));
+    const rl = ResultsRenderer.RISK_LABELS[record.risk] || ResultsRenderer.RISK_LABELS.medium;
+    const row = (k, v) => `<tr><th>${esc(k)}</th><td>${esc(v)}</td></tr>`;
+
+    const scoreRows = ScoreIntegrator.DIMENSIONS.map(dim =>
+      `<tr><td>${esc(dim.label)}</td><td class="num">${Math.round(Number(record.scores[dim.key]) || 0)}</td></tr>`).join('');
+    const cats = record.detected_categories.map(c =>
+      `<li><strong>${esc(c.category)}</strong>（確度: ${esc(c.confidence)}）<br>${esc(c.evidence)}</li>`).join('');
+    const findingHtml = f => `
+      <div class="finding">
+        <div class="finding-head"><span class="sev ${esc(f.severity)}">${esc(f.severity)}</span> ${esc(f.title)} <span class="dim">${esc(f.dimension)}</span></div>
+        ${f.description ? `<p>${esc(f.description)}</p>` : ''}
+        ${f.quote ? `<blockquote>${esc(f.quote)}${f.quoteFound === false ? '<br><small>※本文に見つからない引用（AIの誤りの可能性）</small>' : ''}</blockquote>` : ''}
+      </div>`;
+    const findings = record.findings.map(findingHtml).join('');
+    const ruleFindings = (record.ruleFindings || []).map(findingHtml).join('');
+    const guard = (record.aiGuard || []).map(n =>
+      `<li>[${esc(AiGuard.ACTION_LABELS[n.action] || '要確認')}] ${esc(n.message)}</li>`).join('');
+    const op = record.operatorProfile;
+    const operatorRows = op ? OperatorProfile.FIELDS.map(({ key, label }) => op.fields[key]
+      ? `<tr><th>${esc(label)}</th><td>${esc(op.fields[key])}<br><small>出典: ${esc(op.sources[key] || 'このページ')}</small></td></tr>`
+      : row(label, '抽出できず')).join('') : '';
+    const operatorPages = op ? op.pages.map(pg =>
+      `<li>${esc(OperatorProfile.kindLabel(pg.kind))}: ${esc(pg.url)}${pg.error ? `（取得失敗: ${esc(pg.error)}）` : ''}</li>`).join('') : '';
+    const commerceRows = record.commerceLaw ? record.commerceLaw.items.map(i =>
+      `<tr><th>${esc(i.label)}</th><td>${esc(CommerceLawChecker.STATUS_LABELS[i.status] || '要確認')}${i.note ? `（${esc(i.note)}）` : ''}${i.value ? `<br><small>${esc(i.value)}</small>` : ''}</td></tr>`).join('') : '';
+    const issues = record.issues.map(i =>
+      `<li><span class="sev ${esc(i.severity)}">${esc(i.severity)}</span> ${esc(i.title)}${i.desc ? ': ' + esc(i.desc) : ''}</li>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="ja">
+<head>
+<meta charset="UTF-8">
+<title>サイト安全性チェック結果 - ${esc(record.url)}</title>
+<style>
+  @page { size: A4; margin: 16mm; }
+  body { font-family: "Hiragino Sans", "Hiragino Kaku Gothic ProN", "Noto Sans JP", Meiryo, sans-serif; font-size: 10.5pt; line-height: 1.6; color: #1a1a1a; max-width: 780px; margin: 0 auto; padding: 16px; }
+  h1 { font-size: 18pt; color: #2C3E50; border-bottom: 3px solid #4A6FA5; padding-bottom: 6px; }
+  h2 { font-size: 13pt; color: #4A6FA5; border-left: 4px solid #4A6FA5; padding-left: 8px; margin-top: 22px; page-break-after: avoid; }
+  table { border-collapse: collapse; width: 100%; margin: 8px 0; }
+  th, td { border: 1px solid #ccc; padding: 5px 8px; text-align: left; vertical-align: top; word-break: break-all; }
+  th { background: #F0F3F7; width: 28%; }
+  td.num { text-align: right; width: 80px; }
+  .risk { font-size: 13pt; font-weight: 700; padding: 10px 14px; border-left: 5px solid #4A6FA5; background: #F0F3F7; }
+  .risk.high, .risk.critical { border-color: #C0392B; background: #FDEDEC; }
+  .risk.medium { border-color: #F39C12; background: #FEF9E7; }
+  .risk.safe, .risk.low { border-color: #27AE60; background: #D5F5E3; }
+  .chart { display: flex; gap: 16px; align-items: flex-start; }
+  .chart img { width: 260px; height: 260px; flex-shrink: 0; }
+  .chart table { flex: 1; }
+  .finding { border-bottom: 1px solid #ddd; padding: 6px 0; page-break-inside: avoid; }
+  .finding-head { font-weight: 700; }
+  .dim { font-weight: 400; color: #777; font-size: 9pt; }
+  .sev { display: inline-block; font-size: 8.5pt; padding: 0 6px; border-radius: 3px; background: #eee; font-weight: 600; }
+  .sev.critical, .sev.high { background: #FDEDEC; color: #C0392B; }
+  .sev.medium { background: #FEF9E7; color: #B7950B; }
+  blockquote { margin: 4px 0; padding-left: 10px; border-left: 3px solid #ccc; color: #555; font-style: italic; }
+  .summary { white-space: pre-wrap; }
+  .note { background: #FFF8E1; border-left: 4px solid #F39C12; padding: 8px 12px; font-size: 9.5pt; }
+  .disclaimer { margin-top: 24px; font-size: 8.5pt; color: #777; border-top: 1px solid #ddd; padding-top: 8px; }
+  .print-btn { margin: 12px 0; padding: 8px 18px; font-size: 10pt; }
+  @media print { .print-btn { display: none; } }
+</style>
+</head>
+<body>
+<button class="print-btn" onclick="window.print()">印刷 / PDFとして保存</button>
+<h1>サイト安全性チェック結果</h1>
+<p class="risk ${esc(record.risk)}">${esc(ResultsRenderer.RISK_NAMES[record.risk] || record.risk)}: ${esc(rl.text)}</p>
+${record.override ? `<p class="note">判定の上書き: ${esc(this.overrideLabel(record.override))}</p>` : ''}
+<table>
+  ${row('URL', record.url)}
+  ${row('最終URL', record.finalUrl || record.url)}
+  ${record.redirectHops?.length ? row('リダイレクト', RedirectChain.label(record.redirectHops))
+    : record.redirectChain?.length ? row('リダイレクト', record.redirectChain.join(' → ')) : ''}
+  ${row('チェック日時', new Date(record.timestamp).toLocaleString('ja-JP'))}
+  ${row('分析感度', this.SENSITIVITY_LABELS[record.sensitivity] || '標準')}
+  ${row('AIモデル', this._modelLabel(record))}
+  ${row('ルールパック', this._rulePackLabel(record))}
+  ${row('証明書', SecurityHeaders.certLabel(record.certificate))}
+  ${row('ドメイン登録', DomainAge.label(record.registration))}
+  ${row('DNS', DnsSignals.label(record.dns))}
+</table>
+<h2>6軸スコア</h2>
+<div class="chart">
+  ${chartDataUrl ? `<img src="${esc(chartDataUrl)}" alt="信頼性レーダー">` : ''}
+  <table>${scoreRows}</table>
+</div>
+${cats ? `<h2>検出された詐欺パターン</h2><ul>${cats}</ul>` : ''}
+${findings ? `<h2>AI所見</h2>${findings}` : ''}
+${operatorRows ? `<h2>運営者情報（自動抽出）</h2><table>${operatorRows}</table>${operatorPages ? `<ul>${operatorPages}</ul>` : ''}` : ''}
+${commerceRows ? `<h2>特定商取引法表記チェック</h2><p>対象: ${esc(record.commerceLaw.source || 'このページ')}</p><table>${commerceRows}</table>` : ''}
+${issues ? `<h2>URL分析（クライアント側）</h2><ul>${issues}</ul>` : ''}
+${ruleFindings ? `<h2>ルール検出（オフライン）</h2>${ruleFindings}` : ''}
+${guard ? `<h2>AI出力の検証</h2><ul>${guard}</ul>` : ''}
+${record.summary ? `<h2>AI総合評価</h2><p class="summary">${esc(record.summary)}</p>` : ''}
+${record.incomplete ? `<p class="note">${esc(record.incomplete)}</p>` : ''}
+<p class="disclaimer">${esc(this._disclaimer())}<br>Site Safety Checker / 出力日時: ${esc(new Date().toLocaleString('ja-JP'))}</p>
+</body>
+</html>`;
+  },
+
+  exportJson(record) {
+    this._download(this._filename(record, 'json'), JSON.stringify(this.toJson(record), null, 2), 'application/json');
+  },
+
+  exportMarkdown(record) {
+    this._download(this._filename(record, 'md'), this.toMarkdown(record), 'text/markdown');
+  },
+
+  openPrintView(record) {
+    let chartDataUrl = '';
+    try { chartDataUrl = document.getElementById('radarChart').toDataURL('image/png'); } catch {}
+    const win = window.open('', '_blank');
+    if (!win) {
+      alert('ポップアップがブロックされました。ブラウザの設定でポップアップを許可してください。');
+      return;
+    }
+    win.document.open();
+    win.document.write(this.toPrintHtml(record, chartDataUrl));
+    win.document.close();
+  },
+
+  _modelLabel(record) {
+    if (!record.model) return 'なし（AI分析未実施）';
+    const provider = LlmProviders[record.provider];
+    const label = provider ? `${provider.label} / ${record.model}` : record.model;
+    return record.fallbackFrom?.length ? `${label}（${record.fallbackFrom.join('、')} から切り替え）` : label;
+  },
+
+  // "チームの許可リスト（登録ドメイン example.co.jp）により「安全」…"
+  overrideLabel(o) {
+    const names = ResultsRenderer.RISK_NAMES;
+    return `チームの${SiteOverrides.label(o)}により「${names[o.action === 'allow' ? 'safe' : 'critical']}」と判定しました` +
+      `（分析結果のみの判定: ${names[o.computedRisk] || '不明'}）。` +
+      `${o.note ? `メモ: ${o.note}。` : ''}${o.expires ? `有効期限: ${o.expires}。` : ''}`;
+  },
+
+  _rulePackLabel(record) {
+    return record.rulePack ? RulePack.label(record.rulePack) : '不明';
+  },
+
+  _disclaimer() {
+    const el = document.querySelector('.disclaimer-text');
+    return el ? el.textContent.trim() : '';
+  },
+
+  _filename(record, ext) {
+    let host;
+    try { host = new URL(record.url).hostname; } catch { host = 'text'; }
+    const ts = record.timestamp.replace(/[-:]/g, '').replace('T', '-').slice(0, 13);
+    return `ssc-${host.replace(/[^a-z0-9.-]/gi, '_')}-${ts}.${ext}`;
+  },
+
+  _download(filename, content, mime) {
+    const blob = new Blob([content], { type: mime + ';charset=utf-8' });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+  }
+};
+
+// ============================================================
+// Share Link (result encoded in the URL fragment, no server)
+// ============================================================
+const ShareLink = {
+  PREFIX: '#share=',
+  VERSION: 'v1',
+  MAX_PAYLOAD_CHARS: 60000,
+  MAX_JSON_BYTES: 256 * 1024,
+  SEVERITIES: ['critical','high','medium','low','info'],
+  RISKS: ['safe','low','medium','high','critical'],
+
+  async buildUrl(record) {
+    const base = location.href.split('#')[0];
+    return base + this.PREFIX + await this.encode(record);
+  },
+
+  // Compact positional form keeps the fragment short
+  async encode(record) {
+    const compact = {
+      u: record.url,
+      t: record.timestamp,
+      r: record.risk,
+      s: ScoreIntegrator.DIMENSIONS.map(d => Math.round(Number(record.scores[d.key]) || 0)),
+      a: record.hasAi ? 1 : 0,
+      c: record.detected_categories.map(c => [c.category, c.confidence, c.evidence]),
+      f: record.findings.map(f => [f.dimension, f.severity, f.title, f.description, f.quote || '', f.quoteFound === false ? 0 : 1]),
+      i: record.issues.map(i => [i.title, i.severity, i.desc || '']),
+      x: (record.ruleFindings || []).map(f => [f.dimension, f.severity, f.title, f.description, f.quote || '']),
+      m: record.summary || '',
+      p: record.rulePack ? [record.rulePack.version, record.rulePack.updated] : null,
+      g: (record.aiGuard || []).map(n => [n.action, n.message]),
+      o: record.operatorProfile ? [
+        OperatorProfile.FIELDS.map(({ key }) => [record.operatorProfile.fields[key] || '', record.operatorProfile.sources[key] || '']),
+        record.operatorProfile.pages.map(p => [p.kind, p.url, p.error || ''])
+      ] : null,
+      k: record.commerceLaw ? [
+        record.commerceLaw.source || '',
+        record.commerceLaw.items.map(i => [i.key, i.status, i.note, i.value])
+      ] : null,
+      h: (record.redirectHops || []).map(h => [h.url, h.status, h.site,
+        [h.shortener, h.crossSite, h.downgrade, h.cloaked, h.unfetched].map(Number), h.issues, h.title || '', h.via || '']),
+      v: record.override ? [record.override.action, record.override.scope, record.override.pattern,
+        record.override.note, record.override.expires || '', record.override.computedRisk] : null
+    };
+    const bytes = new TextEncoder().encode(JSON.stringify(compact));
+    if (typeof CompressionStream === 'function') {
+      const deflated = await this._pipe(bytes, new CompressionStream('deflate-raw'), Infinity);
+      return `${this.VERSION}.d.${this._toB64url(deflated)}`;
+    }
+    return `${this.VERSION}.j.${this._toB64url(bytes)}`;
+  },
+
+  async decode(payload) {
+    if (payload.length > this.MAX_PAYLOAD_CHARS) throw new Error('共有リンクが長すぎます');
+    const [version, format, data] = payload.split('.');
+    if (version !== this.VERSION || !data) throw new Error('未対応の共有リンク形式です');
+    let bytes = this._fromB64url(data);
+    if (format === 'd') {
+      if (typeof DecompressionStream !== 'function') throw new Error('このブラウザは共有リンクの展開に対応していません');
+      bytes = await this._pipe(bytes, new DecompressionStream('deflate-raw'), this.MAX_JSON_BYTES);
+    } else if (format !== 'j') {
+      throw new Error('未対応の共有リンク形式です');
+    }
+    return this._toRecord(JSON.parse(new TextDecoder().decode(bytes)));
+  },
+
+  // Payload is untrusted: coerce every field to the shape ResultsRenderer expects
+  _toRecord(c) {
+    const str = (v, max = 2000) => (typeof v === 'string' ? v : '').slice(0, max);
+    const arr = v => (Array.isArray(v) ? v.slice(0, 100) : []);
+    const sev = v => (this.SEVERITIES.includes(v) ? v : 'info');
+    const finding = x => ({
+      dimension: str(arr(x)[0], 100),
+      severity: sev(arr(x)[1]),
+      title: str(arr(x)[2], 300),
+      description: str(arr(x)[3]),
+      quote: str(arr(x)[4]),
+      quoteFound: arr(x)[5] === 0 ? false : null
+    });
+    const scores = {};
+    ScoreIntegrator.DIMENSIONS.forEach((d, idx) => {
+      scores[d.key] = Math.max(0, Math.min(100, Math.round(Number(arr(c.s)[idx]) || 0)));
+    });
+    const ts = new Date(str(c.t, 40));
+    const pageUrl = v => (/^https?:\/\//i.test(str(v)) ? str(v) : '');
+    let operatorProfile = null;
+    if (Array.isArray(c.o)) {
+      operatorProfile = { fields: {}, sources: {}, pages: [] };
+      OperatorProfile.FIELDS.forEach(({ key }, idx) => {
+        const x = arr(arr(c.o[0])[idx]);
+        const value = str(x[0], OperatorProfile.MAX_VALUE + 1);
+        if (!value) return;
+        operatorProfile.fields[key] = value;
+        operatorProfile.sources[key] = pageUrl(x[1]) || null;
+      });
+      operatorProfile.pages = arr(c.o[1]).slice(0, OperatorProfile.MAX_PAGES)
+        .filter(x => OperatorProfile.LINK_KINDS.some(k => k.kind === arr(x)[0]) && pageUrl(arr(x)[1]))
+        .map(x => ({ kind: x[0], url: pageUrl(x[1]), ...(str(x[2]) ? { error: str(x[2], 200) } : {}) }));
+      if (OperatorProfile.isEmpty(operatorProfile)) operatorProfile = null;
+    }
+    let commerceLaw = null;
+    if (Array.isArray(c.k)) {
+      const items = arr(c.k[1]).map(arr);
+      commerceLaw = {
+        source: pageUrl(c.k[0]) || null,
+        items: CommerceLawChecker.ITEMS.map(({ key, label }) => {
+          const x = items.find(i => i[0] === key) || [];
+          return {
+            key,
+            label,
+            status: CommerceLawChecker.STATUS_LABELS[x[1]] ? x[1] : 'missing',
+            note: str(x[2], 100),
+            value: str(x[3], CommerceLawChecker.MAX_VALUE + 1)
+          };
+        })
+      };
+    }
+    return {
+      url: str(c.u, 2000),
+      mode: 'shared',
+      shared: true,
+      timestamp: isNaN(ts) ? new Date(0).toISOString() : ts.toISOString(),
+      finalUrl: null,
+      redirectChain: [],
+      sensitivity: null,
+      model: null,
+      scores,
+      risk: this.RISKS.includes(c.r) ? c.r : 'medium',
+      hasAi: !!c.a,
+      detected_categories: arr(c.c).map(x => ({
+        category: str(arr(x)[0], 200),
+        confidence: ['high','medium','low'].includes(arr(x)[1]) ? arr(x)[1] : 'medium',
+        evidence: str(arr(x)[2])
+      })),
+      findings: arr(c.f).map(finding),
+      summary: str(c.m, 5000),
+      issues: arr(c.i).map(x => ({ title: str(arr(x)[0], 300), severity: sev(arr(x)[1]), desc: str(arr(x)[2]) })),
+      ruleFindings: arr(c.x).map(finding),
+      rulePack: Array.isArray(c.p) ? { version: str(c.p[0], 20), updated: str(c.p[1], 20) } : null,
+      override: Array.isArray(c.v) && SiteOverrides.ACTION_LABELS[c.v[0]] && SiteOverrides.SCOPE_LABELS[c.v[1]] ? {
+        action: c.v[0],
+        scope: c.v[1],
+        pattern: str(c.v[2], 500),
+        note: str(c.v[3], SiteOverrides.MAX_NOTE),
+        expires: /^\d{4}-\d{2}-\d{2}$/.test(str(c.v[4])) ? c.v[4] : null,
+        computedRisk: this.RISKS.includes(c.v[5]) ? c.v[5] : null
+      } : null,
+      aiGuard: arr(c.g).map(x => ({
+        action: Object.keys(AiGuard.ACTION_LABELS).includes(arr(x)[0]) ? arr(x)[0] : 'flagged',
+        message: str(arr(x)[1], 500)
+      })),
+      operatorProfile,
+      commerceLaw,
+      redirectHops: arr(c.h).slice(0, 10).filter(x => pageUrl(arr(x)[0])).map(x => {
+        const flags = arr(x[3]);
+        const status = Number(x[1]);
+        return {
+          url: pageUrl(x[0]),
+          status: Number.isInteger(status) && status >= 100 && status < 600 ? status : null,
+          site: str(x[2], 253),
+          shortener: flags[0] === 1,
+          crossSite: flags[1] === 1,
+          downgrade: flags[2] === 1,
+          cloaked: flags[3] === 1,
+          ...(flags[4] === 1 ? { unfetched: true } : {}),
+          ...(x[6] === 'meta' || x[6] === 'script' ? { via: x[6] } : {}),
+          issues: arr(x[4]).slice(0, 10).map(t => str(t, 200)),
+          ...(str(x[5]) ? { title: str(x[5], 200) } : {})
+        };
+      }),
+      incomplete: null
+    };
+  },
+
+  async openFromHash() {
+    const payload = location.hash.slice(this.PREFIX.length);
+    try {
+      const record = await this.decode(payload);
+      ResultsRenderer.renderShared(record);
+    } catch (e) {
+      console.warn('Share link decode failed:', e);
+      alert('共有リンクを読み込めませんでした: ' + (e.message || '不明なエラー'));
+      history.replaceState(null, '', location.pathname + location.search);
     }
+  },
 
-    // Incomplete notice
-    const noticeEl = document.getElementById('incompleteNotice');
-    if (incomplete) {
-      noticeEl.hidden = false;
-      document.getElementById('incompleteText').textContent = incomplete;
-    } else {
-      noticeEl.hidden = true;
+  // Run bytes through a (De)CompressionStream, aborting past maxBytes
+  async _pipe(bytes, transform, maxBytes) {
+    const reader = new Blob([bytes]).stream().pipeThrough(transform).getReader();
+    const chunks = [];
+    let total = 0;
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      total += value.length;
+      if (total > maxBytes) {
+        reader.cancel();
+        throw new Error('共有リンクのデータが大きすぎます');
+      }
+      chunks.push(value);
     }
+    const out = new Uint8Array(total);
+    let off = 0;
+    chunks.forEach(ch => { out.set(ch, off); off += ch.length; });
+    return out;
+  },
 
-    showScreen('screenResults');
+  _toB64url(bytes) {
+    let bin = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      bin += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
   },
 
-  _escDiv: null,
-  _esc(s) {
-    if (!s) return '';
-    if (!this._escDiv) this._escDiv = document.createElement('div');
-    this._escDiv.textContent = s;
-    return this._escDiv.innerHTML;
+  _fromB64url(str) {
+    const bin = atob(str.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = new Uint8Array(bin.length);
+    for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+    return bytes;
   }
 };
 
@@ -1279,114 +4731,256 @@ function _combinedSignal(cancelSignal, timeoutMs) {
   return c.signal;
 }
 
-async function runCheck(urlStr) {
-  if (isChecking) return;
-  checkAbortController?.abort();
-  checkAbortController = new AbortController();
-  const cancelSignal = checkAbortController.signal;
-  isChecking = true;
-  const config = loadConfig();
+// Fetch → extract → AI pipeline for one URL, shared by single and batch checks.
+// onProgress(stage, pct) is optional. Throws only when canceled, or on AI 429
+// when options.throwOnRateLimit is set (batch mode backs off and retries).
+// options.refresh bypasses the worker fetch cache and the AI result cache;
+// the result's cache field has the timestamps of whatever was reused.
+// options.onPartial(partial, ratio, context) receives the AI reply while it
+// streams in (see AiClient.analyze), with the client-side results so far.
+async function analyzeUrl(urlStr, config, cancelSignal, onProgress = () => {}, options = {}) {
   let incomplete = null;
   let aiResult = null;
   let htmlContent = null;
   let headers = null;
+  let redirects = null;
+  let aiCachedAt = null;
+
+  // Stage 1: URL analysis + Worker fetch
+  onProgress('URL構造を分析中...', 5);
+  const clientAnalysis = UrlAnalyzer.analyze(urlStr);
+
+  // A blocklisted input URL needs neither the page nor the AI
+  const inputHits = await Blocklist.check([{ url: urlStr, where: 'input' }]);
+  if (inputHits.length) {
+    Blocklist.apply(clientAnalysis, inputHits);
+    return { clientAnalysis, aiResult: null, htmlContent: null, contentAnalysis: null, fetchData: null,
+      certificate: null, registration: null, dns: null, redirects: null, cache: null,
+      incomplete: 'ブロックリストに一致したため、サイトの取得とAI分析を省略しました。' };
+  }
+  onProgress('サイトを取得中...', 15);
 
-  ProgressMgr.show();
-
+  // Certificate (CT logs), registration (RDAP) and DNS lookups run alongside the page fetch
+  let certPromise = Promise.resolve(null);
+  let registrationPromise = Promise.resolve(null);
+  let dnsPromise = Promise.resolve(null);
   try {
-    // Stage 1: URL analysis + Worker fetch
-    ProgressMgr.update('URL構造を分析中...', 5);
-    const clientAnalysis = UrlAnalyzer.analyze(urlStr);
-    ProgressMgr.update('サイトを取得中...', 15);
+    const target = new URL(urlStr);
+    if (target.protocol === 'https:') certPromise = SecurityHeaders.fetchCert(config, target.hostname, cancelSignal);
+    registrationPromise = DomainAge.lookup(config, target.hostname, cancelSignal);
+    dnsPromise = DnsSignals.lookup(config, target.hostname, cancelSignal);
+  } catch {}
 
-    let fetchData = null;
-    try {
-      const workerUrl = (config.workerUrl || DEFAULT_WORKER_URL).replace(/\/+$/, '');
-      const fetchResp = await fetch(`${workerUrl}/fetch?url=${encodeURIComponent(urlStr)}`, {
-        headers: config.apiKey ? { 'X-API-Key': config.apiKey } : {},
-        signal: _combinedSignal(cancelSignal, 15000)
-      });
-      if (fetchResp.ok) {
-        fetchData = await fetchResp.json();
-        if (fetchData.error) {
-          incomplete = `サイトの取得に失敗しました（${fetchData.error}）。URL分析のみの部分的な結果です。`;
-          fetchData = null;
-        }
-      } else {
-        let errDetail = `HTTP ${fetchResp.status}`;
-        try { const errJson = await fetchResp.json(); errDetail = errJson.error || errDetail; } catch {}
-        incomplete = `サイトの取得に失敗しました（${errDetail}）。URL分析のみの部分的な結果です。`;
+  let fetchData = null;
+  try {
+    const workerUrl = (config.workerUrl || DEFAULT_WORKER_URL).replace(/\/+$/, '');
+    const fetchResp = await fetch(`${workerUrl}/fetch?url=${encodeURIComponent(urlStr)}&followMeta=1${options.refresh ? '&refresh=1' : ''}`, {
+      headers: AiClient.workerHeaders(config),
+      signal: _combinedSignal(cancelSignal, 15000)
+    });
+    if (fetchResp.ok) {
+      fetchData = await fetchResp.json();
+      if (fetchData.error) {
+        incomplete = `サイトの取得に失敗しました（${fetchData.error}）。URL分析のみの部分的な結果です。`;
+        fetchData = null;
       }
-    } catch (e) {
-      incomplete = 'サイトの取得に失敗しました（' + (e.name === 'TimeoutError' ? 'タイムアウト' : e.message) + '）。URL分析のみの部分的な結果です。';
+    } else {
+      const errText = await fetchResp.text().catch(() => '');
+      const workerErr = _workerErrorInfo(fetchResp, errText);
+      if (workerErr?.code === 'rate_limited' && options.throwOnRateLimit) {
+        throw Object.assign(new Error(workerErr.message), { status: 429, code: workerErr.code, retryAfter: workerErr.retryAfter });
+      }
+      let errDetail = `HTTP ${fetchResp.status}`;
+      try { errDetail = JSON.parse(errText).error || errDetail; } catch {}
+      // Worker refusals are complete sentences
+      incomplete = workerErr
+        ? `サイトを取得できませんでした。${workerErr.message}URL分析のみの部分的な結果です。`
+        : `サイトの取得に失敗しました（${errDetail}）。URL分析のみの部分的な結果です。`;
     }
+  } catch (e) {
+    if (cancelSignal.aborted || e.code === 'rate_limited') throw e;
+    incomplete = 'サイトの取得に失敗しました（' + (e.name === 'TimeoutError' ? 'タイムアウト' : e.message) + '）。URL分析のみの部分的な結果です。';
+  }
 
-    // Stage 2: Extract content from fetched HTML
-    ProgressMgr.update('コンテンツを解析中...', 35);
-    if (fetchData) {
-      headers = fetchData.headers || null;
-      if (fetchData.html) {
-        htmlContent = HtmlExtractor.extract(fetchData.html, urlStr);
-      }
+  // Stage 2: Extract content from fetched HTML
+  onProgress('コンテンツを解析中...', 35);
+  if (fetchData) {
+    headers = fetchData.headers || null;
+    if (fetchData.html) {
+      htmlContent = HtmlExtractor.extract(fetchData.html, urlStr);
+    }
 
-      // Check redirects
-      if (fetchData.redirected && fetchData.finalUrl && fetchData.finalUrl !== urlStr) {
-        // Detect login/session redirect
-        const finalLower = fetchData.finalUrl.toLowerCase();
-        if (/\/(login|signin|session|auth|sso|cas|oauth|saml)\b/i.test(finalLower)) {
-          incomplete = 'ログインが必要なページのため、内容を取得できませんでした。「テキスト貼り付け」モードでページ内容をコピペして分析できます。';
-        }
-        clientAnalysis.issues.push({
-          title: 'リダイレクト検出',
-          severity: 'low',
-          desc: `最終URL: ${fetchData.finalUrl}`
-        });
+    // Check redirects
+    if (fetchData.redirected && fetchData.finalUrl && fetchData.finalUrl !== urlStr) {
+      // Detect login/session redirect
+      const finalLower = fetchData.finalUrl.toLowerCase();
+      if (/\/(login|signin|session|auth|sso|cas|oauth|saml)\b/i.test(finalLower)) {
+        incomplete = 'ログインが必要なページのため、内容を取得できませんでした。「テキスト貼り付け」モードでページ内容をコピペして分析できます。';
       }
+    }
+    redirects = RedirectChain.analyze(urlStr, fetchData, clientAnalysis.issues, htmlContent?.clientRedirects || []);
+    if (redirects) {
+      clientAnalysis.domain_trust = Math.max(0, clientAnalysis.domain_trust - redirects.penalties.domain_trust);
+      clientAnalysis.tech_safety = Math.max(0, clientAnalysis.tech_safety - redirects.penalties.tech_safety);
+      clientAnalysis.issues.push(...redirects.issues);
+    }
 
-      // Tech safety adjustments from extracted content
-      if (htmlContent) {
-        if (htmlContent.obfuscationSuspect) {
-          clientAnalysis.tech_safety = Math.max(0, clientAnalysis.tech_safety - 20);
-          clientAnalysis.issues.push({ title: 'スクリプト難読化の疑い', severity: 'medium', desc: 'eval/atob/fromCharCode等の難読化パターンが検出されました。' });
-        }
-        if (htmlContent.hiddenFormFields > 0) {
-          clientAnalysis.tech_safety = Math.max(0, clientAnalysis.tech_safety - 15);
-          clientAnalysis.issues.push({ title: '隠しフォーム要素', severity: 'medium', desc: `${htmlContent.hiddenFormFields}個の非表示フォーム要素があります。` });
-        }
+    // Redirect targets and linked domains against the blocklist
+    const hits = await Blocklist.check([
+      ...(redirects?.hops || []).slice(1).map(h => ({ url: h.url, where: 'redirect' })),
+      ...(htmlContent?.externalHosts || []).map(domain => ({ domain, where: 'external' }))
+    ]);
+    if (hits.length) Blocklist.apply(clientAnalysis, hits);
+
+    // Tech safety adjustments from extracted content
+    if (htmlContent) {
+      if (htmlContent.obfuscationSuspect) {
+        clientAnalysis.tech_safety = Math.max(0, clientAnalysis.tech_safety - 20);
+        clientAnalysis.issues.push({ title: 'スクリプト難読化の疑い', severity: 'medium', desc: 'eval/atob/fromCharCode等の難読化パターンが検出されました。' });
+      }
+      if (htmlContent.hiddenFormFields > 0) {
+        clientAnalysis.tech_safety = Math.max(0, clientAnalysis.tech_safety - 15);
+        clientAnalysis.issues.push({ title: '隠しフォーム要素', severity: 'medium', desc: `${htmlContent.hiddenFormFields}個の非表示フォーム要素があります。` });
       }
     }
+  }
 
-    // Stage 3: Gemini AI analysis
-    if (config.apiKey) {
-      ProgressMgr.update('AI分析中...', 55);
-      try {
-        aiResult = await GeminiClient.analyze(config, urlStr, clientAnalysis, htmlContent, headers, cancelSignal);
-        ProgressMgr.update('AI分析中...', 85);
-      } catch (e) {
-        if (cancelSignal.aborted) throw e; // Re-throw if canceled
-        if (!incomplete) {
-          incomplete = 'AI分析に失敗しました（' + e.message.slice(0, 100) + '）。部分的な結果です。';
-        } else {
-          incomplete += ' AI分析も失敗しました。';
-        }
+  // Security headers, cookies, mixed content and certificate
+  const certificate = await certPromise;
+  clientAnalysis.certificate = certificate;
+  const security = SecurityHeaders.analyze(fetchData, htmlContent, certificate);
+  clientAnalysis.tech_safety = Math.max(0, clientAnalysis.tech_safety - security.penalties.tech_safety);
+  clientAnalysis.domain_trust = Math.max(0, clientAnalysis.domain_trust - security.penalties.domain_trust);
+  clientAnalysis.issues.push(...security.issues);
+
+  // Domain age
+  const registration = await registrationPromise;
+  clientAnalysis.registration = registration;
+  const age = DomainAge.analyze(registration);
+  clientAnalysis.domain_trust = Math.max(0, clientAnalysis.domain_trust - age.penalty);
+  clientAnalysis.issues.push(...age.issues);
+
+  // DNS records
+  const dns = await dnsPromise;
+  clientAnalysis.dns = dns;
+  const dnsSignals = DnsSignals.analyze(dns);
+  clientAnalysis.domain_trust = Math.max(0, clientAnalysis.domain_trust - dnsSignals.penalty);
+  clientAnalysis.issues.push(...dnsSignals.issues);
+
+  // Stage 2b: operator sub-pages (特商法 / 会社概要 / privacy) → operator profile
+  if (htmlContent && !clientAnalysis.blocklist) {
+    let pages = [];
+    if (htmlContent.operatorLinks.length > 0) {
+      onProgress('運営者情報ページを取得中...', 45);
+      pages = await OperatorProfile.crawl(config, urlStr, htmlContent.operatorLinks, cancelSignal);
+    }
+    htmlContent.operatorProfile = OperatorProfile.build(htmlContent.operatorPairs, pages);
+
+    // 特商法 checklist: the checked page itself if it is the disclosure,
+    // otherwise the crawled commerce page if it is one; an unreadable page
+    // leaves the checklist unknown (no penalty)
+    const pageText = [htmlContent.title, ...htmlContent.headings, htmlContent.bodyText].join('\n');
+    const commercePage = pages.find(p => p.kind === 'commerce' && p.isDisclosure);
+    if (CommerceLawChecker.isDisclosure(pageText, htmlContent.operatorPairs)) {
+      htmlContent.commerceLaw = CommerceLawChecker.check(htmlContent.operatorPairs);
+    } else if (commercePage) {
+      htmlContent.commerceLaw = CommerceLawChecker.check(commercePage.pairs, commercePage.url);
+    }
+  }
+
+  const contentAnalysis = htmlContent ? ContentScorer.score(htmlContent) : null;
+
+  // Stage 3: AI analysis (not spent on a blocklisted site)
+  if (clientAnalysis.blocklist) {
+    incomplete = (incomplete || '') + ' ブロックリストに一致したため、AI分析を省略しました。';
+  } else if (AiClient.isConfigured(config)) {
+    const cached = options.refresh ? null : await AiCache.get(urlStr, config);
+    onProgress('AI分析中...', 55);
+    try {
+      if (cached) {
+        aiResult = cached.aiResult;
+        aiCachedAt = cached.created;
+      } else {
+        aiResult = await AiClient.analyze(config, urlStr, clientAnalysis, htmlContent, contentAnalysis, headers, cancelSignal,
+          (partial, ratio) => {
+            onProgress('AI分析中...', 55 + Math.round(30 * ratio));
+            options.onPartial?.(partial, ratio, { clientAnalysis, htmlContent, contentAnalysis, redirects });
+          });
+        // A verdict made without the page is not worth reusing
+        if (fetchData) await AiCache.put(urlStr, config, aiResult);
+      }
+      onProgress('AI分析中...', 85);
+    } catch (e) {
+      if (cancelSignal.aborted) throw e; // Re-throw if canceled
+      if (e.status === 429 && options.throwOnRateLimit) throw e;
+      if (!incomplete) {
+        // Worker refusals (string code, see _workerErrorInfo) are complete sentences
+        incomplete = (typeof e.code === 'string'
+          ? `AI分析を実行できませんでした。${e.message}`
+          : 'AI分析に失敗しました（' + e.message.slice(0, 100) + '）。') + '部分的な結果です。';
+      } else {
+        incomplete += ' AI分析も失敗しました。';
       }
-    } else {
-      incomplete = (incomplete || '') + ' APIキーが未設定のためAI分析をスキップしました。';
     }
+  } else {
+    incomplete = (incomplete || '') + ' APIキーが未設定のためAI分析をスキップしました。';
+  }
+
+  const cache = { page: fetchData?.cached ? fetchData.fetchedAt || null : null, ai: aiCachedAt };
+  return { clientAnalysis, aiResult, htmlContent, contentAnalysis, fetchData, certificate, registration, dns, redirects,
+    cache: cache.page || cache.ai ? cache : null, incomplete: incomplete ? incomplete.trim() : null };
+}
+
+// options.previous: earlier history record to diff against (re-check)
+// options.refresh: skip the fetch and AI caches
+async function runCheck(urlStr, options = {}) {
+  if (isChecking) return;
+  checkAbortController?.abort();
+  checkAbortController = new AbortController();
+  const cancelSignal = checkAbortController.signal;
+  isChecking = true;
+  const config = loadConfig();
+
+  ProgressMgr.show();
+
+  try {
+    const { clientAnalysis, aiResult, htmlContent, contentAnalysis, fetchData, certificate, registration, dns, redirects, cache, incomplete } = await analyzeUrl(urlStr, config, cancelSignal,
+      (stage, pct) => ProgressMgr.update(stage, pct), {
+        refresh: !!options.refresh,
+        // Switch from the overlay to the results screen once the AI reply has something to show
+        onPartial: (partial, ratio, context) => {
+          if (!cancelSignal.aborted && ResultsRenderer.renderPartial(urlStr, partial, ratio, context)) ProgressMgr.hide();
+        }
+      });
 
     // Check if canceled before rendering
     if (cancelSignal.aborted) return;
 
     // Stage 4: Integrate & render
     ProgressMgr.update('結果を統合中...', 95);
-    const integrated = ScoreIntegrator.integrate(clientAnalysis, aiResult);
+    const integrated = ScoreIntegrator.integrate(clientAnalysis, aiResult, contentAnalysis,
+      SiteOverrides.matchChain([urlStr, ...(fetchData?.redirectChain || []), fetchData?.finalUrl]));
+    const record = buildRecord(urlStr, 'url', integrated, aiResult, clientAnalysis, incomplete, {
+      finalUrl: fetchData?.finalUrl,
+      redirectChain: fetchData?.redirectChain,
+      redirectHops: redirects?.hops,
+      pageText: htmlContent?._bodyTextFull,
+      operatorProfile: htmlContent?.operatorProfile,
+      commerceLaw: htmlContent?.commerceLaw,
+      certificate,
+      registration,
+      dns,
+      cache
+    }, contentAnalysis);
 
     ProgressMgr.update('完了', 100);
     await sleep(200);
 
     if (cancelSignal.aborted) return;
     ProgressMgr.hide();
-    ResultsRenderer.render(urlStr, integrated, aiResult, clientAnalysis, incomplete ? incomplete.trim() : null);
+    ResultsRenderer.renderRecord(record);
+    if (options.previous) ResultsRenderer.renderDiff(options.previous, record);
+    HistoryStore.add(record).catch(e => console.warn('History save failed:', e));
 
   } catch (e) {
     if (cancelSignal.aborted) return; // Silently exit if canceled
@@ -1403,8 +4997,8 @@ async function runCheck(urlStr) {
 async function runTextCheck(urlStr, pastedText) {
   if (isChecking) return;
   const config = loadConfig();
-  if (!config.apiKey) {
-    alert('APIキーが設定されていません。設定画面からAPIキーを入力してください。');
+  if (!AiClient.isConfigured(config)) {
+    alert('AI分析の設定がされていません。設定画面からAPIキーまたはローカルLLMを設定してください。');
     return;
   }
   checkAbortController?.abort();
@@ -1423,10 +5017,13 @@ async function runTextCheck(urlStr, pastedText) {
   }
 
   // Build minimal htmlContent from pasted text
+  const isCommercePaste = CommerceLawChecker.DISCLOSURE_RE.test(pastedText);
+  const operatorPairs = OperatorProfile.pairsFromText(pastedText, isCommercePaste);
   const htmlContent = {
     title: '',
     headings: [],
     bodyText: pastedText.slice(0, 10000),
+    _bodyTextFull: pastedText,
     externalLinkCount: 0,
     externalDomains: [],
     forms: [],
@@ -1439,6 +5036,9 @@ async function runTextCheck(urlStr, pastedText) {
     hasCommerceLaw: /特定商取引|特商法/i.test(pastedText),
     companyInfoInContent: true,
     commerceLawInContent: /特定商取引|特商法/i.test(pastedText),
+    operatorProfile: OperatorProfile.build(operatorPairs, []),
+    commerceLaw: isCommercePaste && CommerceLawChecker.isDisclosure(pastedText, operatorPairs)
+      ? CommerceLawChecker.check(operatorPairs) : null,
   };
 
   ProgressMgr.show();
@@ -1446,10 +5046,12 @@ async function runTextCheck(urlStr, pastedText) {
   try {
     ProgressMgr.update('テキストを分析中...', 20);
 
-    // Gemini analysis
+    const contentAnalysis = ContentScorer.score(htmlContent);
+
+    // AI analysis
     ProgressMgr.update('AI分析中...', 40);
     try {
-      aiResult = await GeminiClient.analyze(config, urlStr || '(URLなし・テキスト直接入力)', clientAnalysis, htmlContent, null, cancelSignal);
+      aiResult = await AiClient.analyze(config, urlStr || '(URLなし・テキスト直接入力)', clientAnalysis, htmlContent, contentAnalysis, null, cancelSignal);
       ProgressMgr.update('スコアを統合中...', 85);
     } catch (e) {
       if (cancelSignal.aborted) throw e;
@@ -1458,13 +5060,17 @@ async function runTextCheck(urlStr, pastedText) {
     }
 
     if (cancelSignal.aborted) return;
-    const integrated = ScoreIntegrator.integrate(clientAnalysis, aiResult);
+    const integrated = ScoreIntegrator.integrate(clientAnalysis, aiResult, contentAnalysis, urlStr ? SiteOverrides.match(urlStr) : null);
+    const record = buildRecord(urlStr || '(テキスト入力)', 'text', integrated, aiResult, clientAnalysis,
+      incomplete ? incomplete.trim() : null,
+      { pageText: pastedText, operatorProfile: htmlContent.operatorProfile, commerceLaw: htmlContent.commerceLaw }, contentAnalysis);
     ProgressMgr.update('完了', 100);
     await sleep(200);
 
     if (cancelSignal.aborted) return;
     ProgressMgr.hide();
-    ResultsRenderer.render(urlStr || '(テキスト入力)', integrated, aiResult, clientAnalysis, incomplete ? incomplete.trim() : null);
+    ResultsRenderer.renderRecord(record);
+    HistoryStore.add(record).catch(e => console.warn('History save failed:', e));
 
   } catch (e) {
     if (cancelSignal.aborted) return;
@@ -1477,8 +5083,213 @@ async function runTextCheck(urlStr, pastedText) {
   }
 }
 
+// ============================================================
+// Batch Check (multiple URLs, limited concurrency)
+// ============================================================
+const BatchChecker = {
+  MAX_URLS: 200,
+  MAX_RETRIES: 4,
+  BACKOFF_BASE_MS: 5000,
+  STATUS_LABELS: { pending: '待機中', running: '分析中', retrying: '待機（429）', done: '完了', error: '失敗', canceled: '中止' },
+
+  running: false,
+  rows: [],
+  _abort: null,
+  _sort: { key: 'index', dir: 1 },
+
+  // Accept plain lists or CSV/TSV: pick the first cell of each line that looks like a URL or domain
+  parseInput(text) {
+    const urls = [];
+    const seen = new Set();
+    for (const rawLine of text.split(/\r?\n/)) {
+      const line = rawLine.trim();
+      if (!line || line.startsWith('#')) continue;
+      const cells = line.split(/[,\t;]/).map(c => c.trim().replace(/^"|"$/g, '').trim());
+      let cell = cells.find(c => /^https?:\/\//i.test(c))
+        || cells.find(c => /^[a-z0-9-]+(\.[a-z0-9-]+)+(:\d+)?(\/\S*)?$/i.test(c));
+      if (!cell) continue;
+      if (!/^https?:\/\//i.test(cell)) cell = 'https://' + cell;
+      try {
+        const u = new URL(cell);
+        if (!['http:', 'https:'].includes(u.protocol)) continue;
+        cell = u.href;
+      } catch { continue; }
+      if (seen.has(cell)) continue;
+      seen.add(cell);
+      urls.push(cell);
+    }
+    return urls;
+  },
+
+  async start(urls, concurrency) {
+    if (this.running || isChecking) return;
+    this.running = true;
+    isChecking = true;
+    this._abort = new AbortController();
+    const signal = this._abort.signal;
+    const config = loadConfig();
+
+    this.rows = urls.slice(0, this.MAX_URLS).map((url, index) => ({ index, url, status: 'pending', record: null, error: '' }));
+    this._sort = { key: 'index', dir: 1 };
+    this._setRunningUi(true);
+    this.renderTable();
+
+    const queue = this.rows.slice();
+    const workers = [];
+    for (let i = 0; i < Math.max(1, Math.min(concurrency, queue.length)); i++) {
+      workers.push(this._worker(queue, config, signal));
+    }
+    try {
+      await Promise.all(workers);
+    } finally {
+      this.rows.forEach(r => { if (r.status === 'pending' || r.status === 'running' || r.status === 'retrying') r.status = 'canceled'; });
+      this.running = false;
+      isChecking = false;
+      this._setRunningUi(false);
+      this.renderTable();
+    }
+  },
+
+  cancel() {
+    this._abort?.abort();
+  },
+
+  async _worker(queue, config, signal) {
+    while (queue.length > 0 && !signal.aborted) {
+      const row = queue.shift();
+      row.status = 'running';
+      this.renderTable();
+      try {
+        const { clientAnalysis, aiResult, htmlContent, contentAnalysis, fetchData, certificate, registration, dns, redirects, cache, incomplete } = await this._analyzeWithBackoff(row, config, signal);
+        const integrated = ScoreIntegrator.integrate(clientAnalysis, aiResult, contentAnalysis,
+          SiteOverrides.matchChain([row.url, ...(fetchData?.redirectChain || []), fetchData?.finalUrl]));
+        row.record = buildRecord(row.url, 'url', integrated, aiResult, clientAnalysis, incomplete, {
+          finalUrl: fetchData?.finalUrl,
+          redirectChain: fetchData?.redirectChain,
+          redirectHops: redirects?.hops,
+          pageText: htmlContent?._bodyTextFull,
+          operatorProfile: htmlContent?.operatorProfile,
+          commerceLaw: htmlContent?.commerceLaw,
+          certificate,
+          registration,
+          dns,
+          cache
+        }, contentAnalysis);
+        row.status = 'done';
+        HistoryStore.add(row.record).catch(e => console.warn('History save failed:', e));
+      } catch (e) {
+        if (signal.aborted) { row.status = 'canceled'; break; }
+        console.error('Batch analysis error:', e);
+        row.status = 'error';
+        row.error = e.message || '不明なエラー';
+      }
+      this.renderTable();
+    }
+  },
+
+  // Retry on AI or worker 429 with exponential back-off (5s, 10s, 20s, 40s +
+  // jitter), waiting at least as long as the worker's Retry-After
+  async _analyzeWithBackoff(row, config, signal) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await analyzeUrl(row.url, config, signal, undefined, { throwOnRateLimit: attempt < this.MAX_RETRIES });
+      } catch (e) {
+        if (signal.aborted || e.status !== 429) throw e;
+        row.status = 'retrying';
+        this.renderTable();
+        await _abortableSleep(Math.max(this.BACKOFF_BASE_MS * 2 ** attempt, (e.retryAfter || 0) * 1000) + Math.random() * 1000, signal);
+        row.status = 'running';
+        this.renderTable();
+      }
+    }
+  },
+
+  _avg(row) {
+    if (!row.record) return null;
+    const vals = Object.values(row.record.scores);
+    return Math.round(vals.reduce((a, b) => a + b, 0) / vals.length);
+  },
+
+  sortBy(key) {
+    if (this._sort.key === key) this._sort.dir = -this._sort.dir;
+    else this._sort = { key, dir: key === 'risk' ? -1 : 1 };
+    this.renderTable();
+  },
+
+  _sortValue(row, key) {
+    const riskOrder = ['safe','low','medium','high','critical'];
+    if (key === 'url') return row.url;
+    if (key === 'risk') return row.record ? riskOrder.indexOf(row.record.risk) : -1;
+    if (key === 'avg') return this._avg(row) ?? -1;
+    if (key === 'status') return Object.keys(this.STATUS_LABELS).indexOf(row.status);
+    return row.index;
+  },
+
+  renderTable() {
+    const wrap = document.getElementById('batchTableWrap');
+    const body = document.getElementById('batchTableBody');
+    wrap.hidden = this.rows.length === 0;
+
+    const { key, dir } = this._sort;
+    const sorted = this.rows.slice().sort((a, b) => {
+      const va = this._sortValue(a, key);
+      const vb = this._sortValue(b, key);
+      if (va < vb) return -dir;
+      if (va > vb) return dir;
+      return a.index - b.index;
+    });
+    document.querySelectorAll('#batchTableWrap th[data-sort]').forEach(th => {
+      th.classList.toggle('sorted-asc', th.dataset.sort === key && dir === 1);
+      th.classList.toggle('sorted-desc', th.dataset.sort === key && dir === -1);
+    });
+
+    const esc = s => ResultsRenderer._esc(s);
+    body.innerHTML = sorted.map(row => {
+      const risk = row.record?.risk;
+      const avg = this._avg(row);
+      return `
+        <tr class="${row.record ? 'clickable' : ''}" data-idx="${row.index}">
+          <td>${row.index + 1}</td>
+          <td class="batch-url">${esc(row.url)}</td>
+          <td>${risk ? `<span class="risk-badge ${esc(risk)}">${esc(ResultsRenderer.RISK_NAMES[risk] || risk)}</span>` : ''}</td>
+          <td>${avg === null ? '' : avg}</td>
+          <td title="${esc(row.error)}">${esc(this.STATUS_LABELS[row.status] || row.status)}</td>
+        </tr>`;
+    }).join('');
+
+    const done = this.rows.filter(r => ['done', 'error', 'canceled'].includes(r.status)).length;
+    document.getElementById('batchStatus').textContent = this.rows.length > 0
+      ? `${done} / ${this.rows.length} 件処理済み${this.running ? '' : '（終了）'}`
+      : '';
+  },
+
+  // Drill down into the normal results view
+  openRow(idx) {
+    const row = this.rows[idx];
+    if (!row || !row.record) return;
+    ResultsRenderer.renderRecord(row.record);
+    document.getElementById('btnBackToBatch').hidden = false;
+  },
+
+  _setRunningUi(running) {
+    document.getElementById('btnBatchStart').disabled = running;
+    document.getElementById('btnBatchCancel').hidden = !running;
+    document.getElementById('inputBatch').disabled = running;
+    document.getElementById('inputBatchFile').disabled = running;
+  }
+};
+
 function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
 
+// sleep() that rejects as soon as the signal aborts
+function _abortableSleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) { reject(new DOMException('Aborted', 'AbortError')); return; }
+    const tid = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => { clearTimeout(tid); reject(new DOMException('Aborted', 'AbortError')); }, { once: true });
+  });
+}
+
 // ============================================================
 // Init & Event Binding
 // ============================================================
@@ -1488,7 +5299,7 @@ function init() {
   // Determine initial screen
   if (!hasConsent()) {
     showScreen('screenConsent');
-  } else if (config.apiKey) {
+  } else if (AiClient.isConfigured(config)) {
     showScreen('screenCheck');
   } else {
     showScreen('screenSetup');
@@ -1516,7 +5327,7 @@ function init() {
   document.getElementById('btnConsent').addEventListener('click', () => {
     setConsent();
     const cfg = loadConfig();
-    if (cfg.apiKey) {
+    if (AiClient.isConfigured(cfg)) {
       showScreen('screenCheck');
     } else {
       showScreen('screenSetup');
@@ -1550,19 +5361,50 @@ function init() {
     document.querySelectorAll('.mode-tab').forEach(t => t.classList.toggle('active', t.dataset.mode === 'url'));
     document.getElementById('modeUrl').hidden = false;
     document.getElementById('modeText').hidden = true;
+    document.getElementById('modeBatch').hidden = true;
     const cfg = loadConfig();
     if (!hasConsent()) showScreen('screenConsent');
-    else if (cfg.apiKey) showScreen('screenCheck');
+    else if (AiClient.isConfigured(cfg)) showScreen('screenCheck');
     else showScreen('screenSetup');
   }
 
   document.getElementById('btnHome').addEventListener('click', resetAndGoHome);
 
   // Settings
+  function showProviderFields(provider) {
+    document.getElementById('providerGemini').hidden = provider !== 'gemini';
+    document.getElementById('providerOpenai').hidden = provider !== 'openai';
+    document.getElementById('providerLocal').hidden = provider !== 'local';
+  }
+
+  document.getElementById('settingsProvider').addEventListener('change', (e) => showProviderFields(e.target.value));
+
   document.getElementById('btnSettings').addEventListener('click', () => {
     const cfg = loadConfig();
+    const provider = LlmProviders[cfg.provider] ? cfg.provider : 'gemini';
+    document.getElementById('settingsProvider').value = provider;
+    showProviderFields(provider);
     document.getElementById('settingsApiKey').value = cfg.apiKey || '';
+    const geminiModels = LlmProviders.gemini.models(cfg);
+    document.getElementById('settingsGeminiModel').value =
+      LlmProviders.gemini.MODELS.includes(geminiModels[0]) ? geminiModels[0] : LlmProviders.gemini.MODELS[0];
+    document.getElementById('settingsGeminiFallbacks').value = geminiModels.slice(1).join(', ');
+    document.getElementById('settingsOpenaiBaseUrl').value = cfg.openai?.baseUrl || '';
+    document.getElementById('settingsOpenaiApiKey').value = cfg.openai?.apiKey || '';
+    document.getElementById('settingsOpenaiModel').value = cfg.openai?.model || '';
+    document.getElementById('settingsOpenaiFallbacks').value = (cfg.openai?.fallbacks || []).join(', ');
+    document.getElementById('settingsLocalServer').value = cfg.local?.server === 'llamacpp' ? 'llamacpp' : 'ollama';
+    document.getElementById('settingsLocalBaseUrl').value = cfg.local?.baseUrl || '';
+    document.getElementById('settingsLocalModel').value = cfg.local?.model || '';
+    document.getElementById('settingsLocalFallbacks').value = (cfg.local?.fallbacks || []).join(', ');
     document.getElementById('settingsWorkerUrl').value = cfg.workerUrl || '';
+    document.getElementById('settingsWorkerToken').value = cfg.workerToken || '';
+    document.getElementById('settingsCustomBrands').value = BrandRegistry.formatCustom(cfg.customBrands);
+    document.getElementById('brandRegistryStatus').textContent =
+      `1行に1ブランド（「名前: 公式ドメイン, …」）。内蔵の${DEFAULT_BRAND_REGISTRY.brands.length}ブランドに加え、公式以外のドメインでの名前の使用やそっくりな綴りを検出します。`;
+    showRulePackStatus();
+    showBlocklists();
+    showOverrides();
     // Set sensitivity radio (validate value to prevent selector injection)
     const sens = loadSensitivity();
     if (['high', 'standard', 'low'].includes(sens)) {
@@ -1572,22 +5414,258 @@ function init() {
     showScreen('screenSettings');
   });
 
+  // Rule pack (applied immediately, independent of the Save button)
+  function showRulePackStatus() {
+    document.getElementById('rulePackStatus').textContent =
+      `使用中: ${RulePack.isCustom() ? '読み込んだパック' : '内蔵パック'} ${RulePack.label()}・${RulePack.current().categories.length}カテゴリ`;
+  }
+
+  function onRulePackLoaded(pack) {
+    showRulePackStatus();
+    alert(`ルールパック ${RulePack.label(pack)} を読み込みました。`);
+  }
+
+  document.getElementById('btnRulePackUrl').addEventListener('click', async () => {
+    const url = document.getElementById('rulePackUrl').value.trim();
+    if (!url) return;
+    try {
+      onRulePackLoaded(await RulePack.loadFromUrl(url));
+    } catch (err) {
+      alert('ルールパックを読み込めませんでした: ' + (err.message || '不明なエラー'));
+    }
+  });
+
+  document.getElementById('rulePackFile').addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+      onRulePackLoaded(await RulePack.loadFromFile(file));
+    } catch (err) {
+      alert('ルールパックを読み込めませんでした: ' + (err.message || '不明なエラー'));
+    }
+    e.target.value = '';
+  });
+
+  document.getElementById('btnRulePackDownload').addEventListener('click', () => {
+    const pack = RulePack.current();
+    ResultExporter._download(`rule-pack-v${pack.version}.json`, JSON.stringify(pack, null, 2), 'application/json');
+  });
+
+  document.getElementById('btnRulePackReset').addEventListener('click', () => {
+    if (!RulePack.isCustom()) return;
+    if (!confirm('読み込んだルールパックを削除し、内蔵パックに戻しますか？')) return;
+    RulePack.reset();
+    showRulePackStatus();
+  });
+
+  // Blocklists (stored in IndexedDB immediately, independent of the Save button)
+  let blocklists = [];
+  async function showBlocklists() {
+    const statusEl = document.getElementById('blocklistStatus');
+    try {
+      blocklists = await Blocklist.lists();
+    } catch (e) {
+      blocklists = [];
+      statusEl.textContent = 'ブロックリストを利用できません: ' + (e.message || '不明なエラー');
+      return;
+    }
+    statusEl.textContent = blocklists.length
+      ? `${blocklists.length}件のリスト・合計${blocklists.reduce((n, l) => n + l.count, 0).toLocaleString()}件を照合します。`
+      : '読み込まれたブロックリストはありません。';
+    const esc = s => ResultsRenderer._esc(s);
+    document.getElementById('blocklistLists').innerHTML = blocklists.map((l, idx) => `
+      <li>
+        <span class="blocklist-name">${esc(l.name)}</span>
+        <span class="blocklist-meta">${l.count.toLocaleString()}件・${esc(new Date(l.imported).toLocaleDateString('ja-JP'))}</span>
+        <button class="btn btn-text" data-blocklist-idx="${idx}">削除</button>
+      </li>`).join('');
+  }
+
+  async function importBlocklist(load, busyEl) {
+    const statusEl = document.getElementById('blocklistStatus');
+    busyEl.disabled = true;
+    statusEl.textContent = 'ブロックリストを読み込み中...';
+    try {
+      const meta = await load();
+      await showBlocklists();
+      alert(`ブロックリスト「${meta.name}」（${meta.count.toLocaleString()}件）を読み込みました。`);
+    } catch (err) {
+      await showBlocklists();
+      alert('ブロックリストを読み込めませんでした: ' + (err.message || '不明なエラー'));
+    } finally {
+      busyEl.disabled = false;
+    }
+  }
+
+  document.getElementById('btnBlocklistUrl').addEventListener('click', e => {
+    const url = document.getElementById('blocklistUrl').value.trim();
+    if (url) importBlocklist(() => Blocklist.loadFromUrl(url), e.currentTarget);
+  });
+
+  document.getElementById('blocklistFile').addEventListener('change', async e => {
+    const file = e.target.files[0];
+    if (file) await importBlocklist(() => Blocklist.loadFromFile(file), e.target);
+    e.target.value = '';
+  });
+
+  document.getElementById('blocklistLists').addEventListener('click', async e => {
+    const btn = e.target.closest('[data-blocklist-idx]');
+    const list = btn && blocklists[Number(btn.dataset.blocklistIdx)];
+    if (!list || !confirm(`ブロックリスト「${list.name}」を削除しますか？`)) return;
+    try {
+      await Blocklist.remove(list.id);
+    } catch (err) {
+      alert('ブロックリストの削除に失敗しました: ' + (err.message || '不明なエラー'));
+    }
+    showBlocklists();
+  });
+
+  // Team allow / deny lists (stored immediately, independent of the Save button)
+  function showOverrides() {
+    const esc = s => ResultsRenderer._esc(s);
+    const entries = SiteOverrides.list();
+    document.getElementById('overrideList').innerHTML = entries.map((e, idx) => `
+      <li class="${SiteOverrides.isExpired(e) ? 'expired' : ''}">
+        <span class="override-action ${e.action}">${esc(SiteOverrides.ACTION_LABELS[e.action])}</span>
+        <span class="override-pattern">${esc(e.pattern)}<span class="override-meta">${esc(SiteOverrides.SCOPE_LABELS[e.scope])}${e.note ? `・${esc(e.note)}` : ''}${e.expires ? `・${SiteOverrides.isExpired(e) ? '期限切れ' : '期限'} ${esc(e.expires)}` : ''}</span></span>
+        <button class="btn btn-text" data-override-idx="${idx}">削除</button>
+      </li>`).join('');
+    document.getElementById('btnOverrideExport').disabled = entries.length === 0;
+  }
+
+  document.getElementById('btnOverrideAdd').addEventListener('click', () => {
+    try {
+      SiteOverrides.add({
+        action: document.getElementById('overrideAction').value,
+        scope: document.getElementById('overrideScope').value,
+        pattern: document.getElementById('overridePattern').value,
+        note: document.getElementById('overrideNote').value,
+        expires: document.getElementById('overrideExpires').value
+      });
+    } catch (err) {
+      alert('追加できませんでした: ' + err.message);
+      return;
+    }
+    ['overridePattern', 'overrideNote', 'overrideExpires'].forEach(id => { document.getElementById(id).value = ''; });
+    showOverrides();
+  });
+
+  document.getElementById('overrideList').addEventListener('click', e => {
+    const btn = e.target.closest('[data-override-idx]');
+    if (!btn || !confirm('この項目を削除しますか？')) return;
+    SiteOverrides.remove(Number(btn.dataset.overrideIdx));
+    showOverrides();
+  });
+
+  document.getElementById('btnOverrideExport').addEventListener('click', () => {
+    ResultExporter._download('site-overrides.json', SiteOverrides.toJson(), 'application/json');
+  });
+
+  document.getElementById('overrideFile').addEventListener('change', async e => {
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+      const count = SiteOverrides.import(await file.text());
+      showOverrides();
+      alert(`${count}件を読み込みました。`);
+    } catch (err) {
+      alert('読み込めませんでした: ' + (err.message || '不明なエラー'));
+    }
+    e.target.value = '';
+  });
+
   document.getElementById('btnSettingsSave').addEventListener('click', () => {
+    const provider = document.getElementById('settingsProvider').value;
     const apiKey = document.getElementById('settingsApiKey').value.trim();
     const workerUrlInput = document.getElementById('settingsWorkerUrl').value.trim();
-    if (!apiKey) {
+    const workerToken = document.getElementById('settingsWorkerToken').value.trim();
+    if (provider === 'gemini' && !apiKey) {
       alert('APIキーを入力してください。');
       return;
     }
-    if (!/^AIza[A-Za-z0-9_-]{35}$/.test(apiKey)) {
+    if (apiKey && !/^AIza[A-Za-z0-9_-]{35}$/.test(apiKey)) {
       alert('APIキーの形式が正しくありません。AIzaで始まる39文字のキーを入力してください。');
       return;
     }
-    const cfgToSave = { apiKey };
+    // Ordered fallback list: comma/space separated model names
+    function readFallbacks(id, pattern) {
+      const names = document.getElementById(id).value.split(/[,\s]+/).filter(Boolean);
+      const bad = names.find(n => !pattern.test(n));
+      if (bad) {
+        alert(`フォールバックモデル名が正しくありません: ${bad}`);
+        return null;
+      }
+      return names;
+    }
+
+    // Keep settings of providers that are not currently selected
+    const prevCfg = loadConfig();
+    const cfgToSave = { provider };
+    if (apiKey) cfgToSave.apiKey = apiKey;
+    ['gemini', 'openai', 'local'].forEach(k => { if (prevCfg[k]) cfgToSave[k] = prevCfg[k]; });
+
+    if (provider === 'gemini') {
+      const fallbacks = readFallbacks('settingsGeminiFallbacks', /^[a-zA-Z][\w.-]*$/);
+      if (!fallbacks) return;
+      cfgToSave.gemini = { model: document.getElementById('settingsGeminiModel').value, fallbacks };
+    } else if (provider === 'openai') {
+      const baseUrl = document.getElementById('settingsOpenaiBaseUrl').value.trim();
+      const openaiKey = document.getElementById('settingsOpenaiApiKey').value.trim();
+      const model = document.getElementById('settingsOpenaiModel').value.trim();
+      if (!openaiKey || !model) {
+        alert('OpenAI互換APIのAPIキーとモデル名を入力してください。');
+        return;
+      }
+      if (baseUrl) {
+        try {
+          if (new URL(baseUrl).protocol !== 'https:') throw new Error('invalid');
+        } catch {
+          alert('OpenAI互換APIのURLはhttps://で始まる必要があります。');
+          return;
+        }
+      }
+      const fallbacks = readFallbacks('settingsOpenaiFallbacks', /^[\w.:\/-]+$/);
+      if (!fallbacks) return;
+      cfgToSave.openai = { baseUrl, apiKey: openaiKey, model, fallbacks };
+    } else if (provider === 'local') {
+      const baseUrl = document.getElementById('settingsLocalBaseUrl').value.trim();
+      const model = document.getElementById('settingsLocalModel').value.trim();
+      if (!model) {
+        alert('ローカルLLMのモデル名を入力してください。');
+        return;
+      }
+      if (baseUrl) {
+        try {
+          if (!['http:', 'https:'].includes(new URL(baseUrl).protocol)) throw new Error('invalid');
+        } catch {
+          alert('ローカルLLMのURLが正しくありません（例: http://localhost:11434）。');
+          return;
+        }
+      }
+      const fallbacks = readFallbacks('settingsLocalFallbacks', /^[\w.:\/-]+$/);
+      if (!fallbacks) return;
+      cfgToSave.local = { server: document.getElementById('settingsLocalServer').value, baseUrl, model, fallbacks };
+    }
+
     if (workerUrlInput) {
       if (!validateWorkerUrl(workerUrlInput)) return;
       cfgToSave.workerUrl = workerUrlInput;
     }
+    if (workerToken) {
+      // Sent as a header value: printable ASCII only
+      if (!/^[\x21-\x7E]{1,512}$/.test(workerToken)) {
+        alert('Workerアクセストークンに使用できない文字が含まれています。');
+        return;
+      }
+      cfgToSave.workerToken = workerToken;
+    }
+    try {
+      const customBrands = BrandRegistry.parseCustom(document.getElementById('settingsCustomBrands').value);
+      if (customBrands.length) cfgToSave.customBrands = customBrands;
+    } catch (err) {
+      alert('なりすまし監視ブランドの設定が正しくありません: ' + err.message);
+      return;
+    }
     saveConfig(cfgToSave);
     // Save sensitivity
     const sensRadio = document.querySelector('input[name="sensitivity"]:checked');
@@ -1598,10 +5676,18 @@ function init() {
   document.getElementById('btnSettingsBack').addEventListener('click', () => {
     const cfg = loadConfig();
     if (!hasConsent()) showScreen('screenConsent');
-    else if (cfg.apiKey) showScreen('screenCheck');
+    else if (AiClient.isConfigured(cfg)) showScreen('screenCheck');
     else showScreen('screenSetup');
   });
 
+  // History
+  document.getElementById('btnHistory').addEventListener('click', () => HistoryScreen.show());
+  document.getElementById('btnHistoryBack').addEventListener('click', resetAndGoHome);
+  document.getElementById('historyList').addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-action]');
+    if (btn && !btn.disabled) HistoryScreen.handleAction(btn.dataset.action, Number(btn.dataset.idx));
+  });
+
   // Show terms from settings
   document.getElementById('btnShowTerms').addEventListener('click', () => {
     showScreen('screenConsent');
@@ -1635,7 +5721,7 @@ function init() {
     }
 
     errEl.hidden = true;
-    runCheck(urlStr);
+    runCheck(urlStr, { refresh: document.getElementById('forceRefresh').checked });
   });
 
   // Enter key on URL input
@@ -1647,14 +5733,14 @@ function init() {
   });
 
   // Mode tabs
+  function selectMode(mode) {
+    document.querySelectorAll('.mode-tab').forEach(t => t.classList.toggle('active', t.dataset.mode === mode));
+    document.getElementById('modeUrl').hidden = mode !== 'url';
+    document.getElementById('modeText').hidden = mode !== 'text';
+    document.getElementById('modeBatch').hidden = mode !== 'batch';
+  }
   document.querySelectorAll('.mode-tab').forEach(tab => {
-    tab.addEventListener('click', () => {
-      document.querySelectorAll('.mode-tab').forEach(t => t.classList.remove('active'));
-      tab.classList.add('active');
-      const mode = tab.dataset.mode;
-      document.getElementById('modeUrl').hidden = mode !== 'url';
-      document.getElementById('modeText').hidden = mode !== 'text';
-    });
+    tab.addEventListener('click', () => selectMode(tab.dataset.mode));
   });
 
   // Text check
@@ -1693,16 +5779,115 @@ function init() {
     runTextCheck(urlVal, textVal);
   });
 
+  // Batch check
+  document.getElementById('inputBatchFile').addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+      const urls = BatchChecker.parseInput(await file.text());
+      document.getElementById('inputBatch').value = urls.join('\n');
+    } catch (err) {
+      alert('ファイルの読み込みに失敗しました: ' + (err.message || '不明なエラー'));
+    }
+    e.target.value = '';
+  });
+
+  document.getElementById('btnBatchStart').addEventListener('click', () => {
+    const errEl = document.getElementById('urlError');
+    const urls = BatchChecker.parseInput(document.getElementById('inputBatch').value);
+    if (urls.length === 0) {
+      errEl.textContent = 'チェックするURLを1件以上入力してください。';
+      errEl.hidden = false;
+      return;
+    }
+    if (urls.length > BatchChecker.MAX_URLS) {
+      errEl.textContent = `一度にチェックできるのは${BatchChecker.MAX_URLS}件までです。先頭${BatchChecker.MAX_URLS}件のみ処理します。`;
+      errEl.hidden = false;
+    } else {
+      errEl.hidden = true;
+    }
+    const concurrency = parseInt(document.getElementById('batchConcurrency').value, 10) || 2;
+    BatchChecker.start(urls, concurrency);
+  });
+
+  document.getElementById('btnBatchCancel').addEventListener('click', () => BatchChecker.cancel());
+
+  document.querySelectorAll('#batchTableWrap th[data-sort]').forEach(th => {
+    th.addEventListener('click', () => BatchChecker.sortBy(th.dataset.sort));
+  });
+
+  document.getElementById('batchTableBody').addEventListener('click', (e) => {
+    const tr = e.target.closest('tr[data-idx]');
+    if (tr) BatchChecker.openRow(Number(tr.dataset.idx));
+  });
+
+  document.getElementById('btnBackToBatch').addEventListener('click', () => {
+    selectMode('batch');
+    showScreen('screenCheck');
+  });
+
+  document.getElementById('btnRefreshCheck').addEventListener('click', () => {
+    const record = ResultsRenderer.current;
+    if (record?.mode === 'url') runCheck(record.url, { previous: record, refresh: true });
+  });
+
+  // Export
+  document.getElementById('btnExportJson').addEventListener('click', () => {
+    if (ResultsRenderer.current) ResultExporter.exportJson(ResultsRenderer.current);
+  });
+  document.getElementById('btnExportMarkdown').addEventListener('click', () => {
+    if (ResultsRenderer.current) ResultExporter.exportMarkdown(ResultsRenderer.current);
+  });
+  document.getElementById('btnExportPrint').addEventListener('click', () => {
+    if (ResultsRenderer.current) ResultExporter.openPrintView(ResultsRenderer.current);
+  });
+
+  document.getElementById('btnShare').addEventListener('click', async () => {
+    const record = ResultsRenderer.current;
+    if (!record) return;
+    let link;
+    try {
+      link = await ShareLink.buildUrl(record);
+    } catch (e) {
+      alert('共有リンクの作成に失敗しました: ' + (e.message || '不明なエラー'));
+      return;
+    }
+    const note = 'SNS・ブログ等での公開は利用規約で禁止されています。家族や同僚など、個別の相手にのみ送ってください。';
+    try {
+      await navigator.clipboard.writeText(link);
+      alert('共有リンクをコピーしました。\n' + note);
+    } catch {
+      prompt('共有リンク（コピーしてください）\n' + note, link);
+    }
+  });
+
+  // Evidence jump buttons (categories / findings → page text panel)
+  document.getElementById('screenResults').addEventListener('click', (e) => {
+    const btn = e.target.closest('.evidence-jump');
+    if (btn) ResultsRenderer.jumpToMark(btn.dataset.mark);
+  });
+
   // New check
-  document.getElementById('btnNewCheck').addEventListener('click', resetAndGoHome);
+  document.getElementById('btnNewCheck').addEventListener('click', () => {
+    if (location.hash.startsWith(ShareLink.PREFIX)) {
+      history.replaceState(null, '', location.pathname + location.search);
+    }
+    resetAndGoHome();
+  });
 
-  // Cancel check — abort in-flight requests
-  document.getElementById('btnCancelCheck').addEventListener('click', () => {
+  // Cancel check — abort in-flight requests (from the overlay, or while the AI result streams in)
+  ['btnCancelCheck', 'btnCancelStream'].forEach(id => document.getElementById(id).addEventListener('click', () => {
     checkAbortController?.abort();
     isChecking = false;
     ProgressMgr.hide();
+    document.getElementById('streamNotice').hidden = true;
     showScreen('screenCheck');
-  });
+  }));
+
+  // Shared result link — viewable without API key or setup
+  if (location.hash.startsWith(ShareLink.PREFIX)) {
+    ShareLink.openFromHash();
+  }
 }
 
 document.addEventListener('DOMContentLoaded', init);
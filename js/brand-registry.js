@@ -0,0 +1,100 @@
+// ============================================================
+// Built-in brand registry (impersonation checks)
+// ============================================================
+// Data only. Each brand lists the ASCII keywords that identify it in a
+// hostname and the registrable domains (eTLD+1) it actually operates; any
+// other domain carrying a keyword, or a lookalike of one, is reported by
+// BrandMatcher in app.js. Keywords that are also ordinary words or names
+// ("line", "apple") go in exactKeywords as well: they match only the whole
+// name (plus an affix such as "-login"), not one hyphen-separated part of it.
+// "checks" are hosts with the brand id they must match (null: no match),
+// verified on first use. Users can add brands in settings. Bump "updated"
+// when editing.
+const DEFAULT_BRAND_REGISTRY = {
+  "updated": "2026-10-18",
+  "brands": [
+    { "id": "amazon", "name": "Amazon", "keywords": ["amazon"],
+      "domains": ["amazon.co.jp", "amazon.jp", "amazon.com", "amazon.dev", "amazonaws.com", "amazon-adsystem.com", "media-amazon.com", "ssl-images-amazon.com", "amazonpay.com"] },
+    { "id": "ekinet", "name": "えきねっと", "keywords": ["ekinet", "eki-net"],
+      "domains": ["eki-net.com", "jreast.co.jp"] },
+    { "id": "paypay", "name": "PayPay", "keywords": ["paypay"],
+      "domains": ["paypay.ne.jp", "paypay-card.co.jp", "paypay-bank.co.jp", "paypay-sec.co.jp", "paypay-corp.co.jp"] },
+    { "id": "sagawa", "name": "佐川急便", "keywords": ["sagawa"],
+      "domains": ["sagawa-exp.co.jp", "sagawa-mov.co.jp", "sg-hldgs.co.jp"] },
+    { "id": "nta", "name": "国税庁", "keywords": ["nta", "etax", "e-tax", "kokuzei"],
+      "domains": ["nta.go.jp"] },
+    { "id": "mastercard", "name": "Mastercard", "keywords": ["mastercard"],
+      "domains": ["mastercard.co.jp", "mastercard.com", "mastercard.us"] },
+    { "id": "apple", "name": "Apple", "keywords": ["apple", "icloud", "appleid"], "exactKeywords": ["apple"],
+      "domains": ["apple.com", "icloud.com", "apple.co.jp", "cdn-apple.com", "mzstatic.com"] },
+    { "id": "smbc", "name": "三井住友銀行・三井住友カード", "keywords": ["smbc", "vpass", "smbccard"],
+      "domains": ["smbc.co.jp", "smbc-card.com", "vpass.ne.jp", "smbcgroup.com", "smbcnikko.co.jp", "smbc-fs.co.jp"] },
+    { "id": "jabank", "name": "JAバンク", "keywords": ["jabank"],
+      "domains": ["jabank.org", "jabank.jp"] },
+    { "id": "jcb", "name": "JCB", "keywords": ["jcb", "myjcb"],
+      "domains": ["jcb.co.jp", "jcb.jp", "jcb.com", "jcbcard.jp"] },
+    { "id": "rakuten", "name": "楽天", "keywords": ["rakuten"],
+      "domains": ["rakuten.co.jp", "rakuten.com", "rakuten.jp", "rakuten.ne.jp", "rakuten-card.co.jp", "rakuten-bank.co.jp", "rakuten-sec.co.jp", "rakuten-life.co.jp", "rakuten-static.com"] },
+    { "id": "yahoo", "name": "Yahoo! JAPAN", "keywords": ["yahoo"],
+      "domains": ["yahoo.co.jp", "yahoo.com", "yimg.jp", "yahooapis.jp"] },
+    { "id": "google", "name": "Google", "keywords": ["google", "gmail"],
+      "domains": ["google.com", "google.co.jp", "gmail.com", "googleapis.com", "googleusercontent.com", "googlesyndication.com", "googletagmanager.com", "google-analytics.com", "googlevideo.com"] },
+    { "id": "microsoft", "name": "Microsoft", "keywords": ["microsoft", "outlook", "office365", "onedrive", "hotmail"],
+      "domains": ["microsoft.com", "microsoftonline.com", "live.com", "office.com", "office365.com", "outlook.com", "onedrive.com", "hotmail.com", "msn.com", "windows.net"] },
+    { "id": "facebook", "name": "Facebook", "keywords": ["facebook"],
+      "domains": ["facebook.com", "fb.com", "fbcdn.net", "meta.com"] },
+    { "id": "instagram", "name": "Instagram", "keywords": ["instagram"],
+      "domains": ["instagram.com", "cdninstagram.com"] },
+    { "id": "twitter", "name": "X（Twitter）", "keywords": ["twitter"],
+      "domains": ["twitter.com", "x.com", "twimg.com", "t.co"] },
+    { "id": "line", "name": "LINE", "keywords": ["line", "linepay"], "exactKeywords": ["line"],
+      "domains": ["line.me", "linecorp.com", "line-apps.com", "line-scdn.net", "lineyahoo.com"] },
+    { "id": "paypal", "name": "PayPal", "keywords": ["paypal"],
+      "domains": ["paypal.com", "paypal.me", "paypalobjects.com"] },
+    { "id": "netflix", "name": "Netflix", "keywords": ["netflix"],
+      "domains": ["netflix.com", "nflxext.com", "nflximg.net"] },
+    { "id": "docomo", "name": "NTTドコモ", "keywords": ["docomo", "nttdocomo"],
+      "domains": ["docomo.ne.jp", "nttdocomo.co.jp", "docomo.jp"] },
+    { "id": "softbank", "name": "ソフトバンク", "keywords": ["softbank"],
+      "domains": ["softbank.jp", "softbank.co.jp", "softbank.ne.jp"] },
+    { "id": "au", "name": "au（KDDI）", "keywords": ["kddi", "aupay"],
+      "domains": ["au.com", "kddi.com", "auone.jp"] },
+    { "id": "mercari", "name": "メルカリ", "keywords": ["mercari", "merpay"],
+      "domains": ["mercari.com", "mercari.jp", "merpay.com", "mercdn.net"] },
+    { "id": "mufg", "name": "三菱UFJ銀行", "keywords": ["mufg"],
+      "domains": ["mufg.jp"] },
+    { "id": "mizuho", "name": "みずほ銀行", "keywords": ["mizuho", "mizuhobank"], "exactKeywords": ["mizuho"],
+      "domains": ["mizuhobank.co.jp", "mizuho-fg.co.jp", "mizuho-sc.com", "mizuho-tb.co.jp"] },
+    { "id": "japanpost", "name": "日本郵便・ゆうちょ銀行", "keywords": ["japanpost", "jpbank", "jp-bank", "yucho", "jppost"],
+      "domains": ["japanpost.jp"] },
+    { "id": "yamato", "name": "ヤマト運輸", "keywords": ["kuronekoyamato", "kuroneko", "yamato"], "exactKeywords": ["yamato"],
+      "domains": ["kuronekoyamato.co.jp", "yamato-hd.co.jp"] },
+    { "id": "aeon", "name": "イオン", "keywords": ["aeon"],
+      "domains": ["aeon.co.jp", "aeon.com", "aeon.jp", "aeonbank.co.jp", "aeon.info", "aeonmall.com"] },
+    { "id": "familymart", "name": "ファミリーマート", "keywords": ["familymart"],
+      "domains": ["family.co.jp", "famima.com"] },
+    { "id": "lawson", "name": "ローソン", "keywords": ["lawson"],
+      "domains": ["lawson.co.jp", "lawson.jp"] },
+    { "id": "uniqlo", "name": "ユニクロ", "keywords": ["uniqlo"],
+      "domains": ["uniqlo.com", "uniqlo.co.jp", "fastretailing.com"] },
+    { "id": "saison", "name": "セゾンカード", "keywords": ["saison", "saisoncard"],
+      "domains": ["saisoncard.co.jp", "saison.co.jp"] },
+    { "id": "tepco", "name": "東京電力", "keywords": ["tepco"],
+      "domains": ["tepco.co.jp"] }
+  ],
+  "checks": [
+    { "host": "applebees.com", "brand": null },
+    { "host": "yamatoya.co.jp", "brand": null },
+    { "host": "mizuho-clinic.jp", "brand": null },
+    { "host": "daiwa-line.co.jp", "brand": null },
+    { "host": "sagawaya.jp", "brand": null },
+    { "host": "lawsonfans.com", "brand": null },
+    { "host": "apple-support.com", "brand": "apple" },
+    { "host": "line-login.com", "brand": "line" },
+    { "host": "mizuho-bank.info", "brand": "mizuho" },
+    { "host": "yamato-jp.net", "brand": "yamato" },
+    { "host": "sagawa-exp.jp.net", "brand": "sagawa" },
+    { "host": "mylawson.com", "brand": "lawson" },
+    { "host": "amazon-jp.co", "brand": "amazon" }
+  ]
+};
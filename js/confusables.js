@@ -0,0 +1,82 @@
+// ============================================================
+// Confusable characters (homograph checks)
+// ============================================================
+// Subset of Unicode TR39 confusables.txt: characters that can appear in an IDN
+// label and whose prototype is a lowercase ASCII letter or "-". Precomposed
+// letters with diacritics are left to NFD plus mark stripping, uppercase forms
+// are omitted because hostnames are case-folded, and full-width / mathematical
+// Latin is folded with NFKC in Homograph (app.js) instead of being listed.
+// The "japanese" group is a local addition: the long-vowel mark and kanji 一
+// are not TR39 confusables of "-" but read as a hyphen inside a Latin domain
+// ("amazonーjp"). Data only; bump "updated" when editing.
+const CONFUSABLES = {
+  "updated": "2026-10-18",
+  "cyrillic": {
+    "\u0430": "a", // а CYRILLIC SMALL LETTER A
+    "\u0435": "e", // е CYRILLIC SMALL LETTER IE
+    "\u043e": "o", // о CYRILLIC SMALL LETTER O
+    "\u0440": "p", // р CYRILLIC SMALL LETTER ER
+    "\u0441": "c", // с CYRILLIC SMALL LETTER ES
+    "\u0443": "y", // у CYRILLIC SMALL LETTER U
+    "\u0445": "x", // х CYRILLIC SMALL LETTER HA
+    "\u0455": "s", // ѕ CYRILLIC SMALL LETTER DZE
+    "\u0456": "i", // і CYRILLIC SMALL LETTER BYELORUSSIAN-UKRAINIAN I
+    "\u0458": "j", // ј CYRILLIC SMALL LETTER JE
+    "\u04bb": "h", // һ CYRILLIC SMALL LETTER SHHA
+    "\u04cf": "l", // ӏ CYRILLIC SMALL LETTER PALOCHKA
+    "\u04c0": "l", // Ӏ CYRILLIC LETTER PALOCHKA
+    "\u0501": "d", // ԁ CYRILLIC SMALL LETTER KOMI DE
+    "\u051b": "q", // ԛ CYRILLIC SMALL LETTER QA
+    "\u051d": "w", // ԝ CYRILLIC SMALL LETTER WE
+    "\u0461": "w", // ѡ CYRILLIC SMALL LETTER OMEGA
+    "\u0475": "v"  // ѵ CYRILLIC SMALL LETTER IZHITSA
+  },
+  "greek": {
+    "\u03bf": "o", // ο GREEK SMALL LETTER OMICRON
+    "\u03b1": "a", // α GREEK SMALL LETTER ALPHA
+    "\u03bd": "v", // ν GREEK SMALL LETTER NU
+    "\u03c1": "p", // ρ GREEK SMALL LETTER RHO
+    "\u03b9": "i", // ι GREEK SMALL LETTER IOTA
+    "\u03b3": "y", // γ GREEK SMALL LETTER GAMMA
+    "\u03c5": "u", // υ GREEK SMALL LETTER UPSILON
+    "\u03f2": "c", // ϲ GREEK LUNATE SIGMA SYMBOL
+    "\u03f3": "j"  // ϳ GREEK LETTER YOT
+  },
+  "armenian": {
+    "\u0585": "o", // օ ARMENIAN SMALL LETTER OH
+    "\u057d": "u", // ս ARMENIAN SMALL LETTER SEH
+    "\u0566": "q", // զ ARMENIAN SMALL LETTER ZA
+    "\u0581": "g", // ց ARMENIAN SMALL LETTER CO
+    "\u0570": "h", // հ ARMENIAN SMALL LETTER HO
+    "\u0578": "n", // ո ARMENIAN SMALL LETTER VO
+    "\u0561": "w"  // ա ARMENIAN SMALL LETTER AYB
+  },
+  "latin": {
+    "\u0131": "i", // ı LATIN SMALL LETTER DOTLESS I
+    "\u0251": "a", // ɑ LATIN SMALL LETTER ALPHA
+    "\u0261": "g", // ɡ LATIN SMALL LETTER SCRIPT G
+    "\u0269": "i", // ɩ LATIN SMALL LETTER IOTA
+    "\u01c0": "l", // ǀ LATIN LETTER DENTAL CLICK
+    "\u0237": "j"  // ȷ LATIN SMALL LETTER DOTLESS J
+  },
+  "dashes": {
+    "\u2010": "-", // ‐ HYPHEN
+    "\u2011": "-", // ‑ NON-BREAKING HYPHEN
+    "\u2012": "-", // ‒ FIGURE DASH
+    "\u2013": "-", // – EN DASH
+    "\u2212": "-", // − MINUS SIGN
+    "\u02d7": "-", // ˗ MODIFIER LETTER MINUS SIGN
+    "\u2043": "-", // ⁃ HYPHEN BULLET
+    "\ufe63": "-", // ﹣ SMALL HYPHEN-MINUS
+    "\u06d4": "-", // ۔ ARABIC FULL STOP
+    "\u2cba": "-"  // Ⲻ COPTIC CAPITAL LETTER DIALECT-P NI
+  },
+  "japanese": {
+    "\u30fc": "-", // ー KATAKANA-HIRAGANA PROLONGED SOUND MARK
+    "\uff70": "-", // ｰ HALFWIDTH KATAKANA-HIRAGANA PROLONGED SOUND MARK
+    "\u4e00": "-", // 一 CJK UNIFIED IDEOGRAPH-4E00
+    "\u2015": "-", // ― HORIZONTAL BAR
+    "\u2014": "-", // — EM DASH
+    "\u2500": "-"  // ─ BOX DRAWINGS LIGHT HORIZONTAL
+  }
+};
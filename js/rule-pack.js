@@ -0,0 +1,1192 @@
+// ============================================================
+// Built-in scam-category rule pack
+// ============================================================
+// Data only (same shape as a downloadable rule pack JSON). Consumed by the AI
+// prompt builder and the offline ContentScorer via RulePack in app.js. Newer
+// packs can be loaded from a URL or file in settings; bump version/updated
+// when editing. Detection terms are regular expressions inside JSON strings,
+// so \d / \s / \( are written "\\d" etc.; a term using regex syntax must
+// match one of its rule's "samples" (both checked by RulePack.validate).
+const DEFAULT_RULE_PACK = {
+  "schema": "site-safety-checker/rule-pack",
+  "version": "1.0.2",
+  "updated": "2026-10-18",
+  "categories": [
+    {
+      "id": "yami-baito",
+      "name": "闇バイト（犯罪実行者募集）",
+      "aliases": [
+        "犯罪実行者募集",
+        "闇バイト募集"
+      ],
+      "summary": "警察庁統計: 2024年首都圏連続強盗19件・46人逮捕。Telegram/Signal経由で指示。",
+      "phrases": [
+        "「高額報酬」「高額バイト」「即日払い」「即日即金」「ホワイト案件」",
+        "「楽に稼げる」「リスクのない」「～するだけ」「日給5万円から」",
+        "「人から物を受け取るだけ」「現金を引き出すだけの高額バイト」",
+        "「荷物を受け取るだけ」「運びの仕事」「引っ越し 即日払い10万円」",
+        "「報酬35万円 資金調達」「深夜に人を運んでください」"
+      ],
+      "jargon": [
+        "UD/受け出し",
+        "U/受け子",
+        "D/出し子",
+        "T/タタキ/叩き",
+        "打ち子",
+        "荷受け",
+        "運び",
+        "飛ばし"
+      ],
+      "notes": [
+        {
+          "label": "特徴",
+          "text": "SNS(X/Instagram)→Telegram/Signalへ誘導、身分証提出要求→脅迫で逃げられなくなる"
+        }
+      ],
+      "legal": [],
+      "falsePositive": [],
+      "detection": [
+        {
+          "label": "闇バイト",
+          "weights": {
+            "scam_pattern": 30,
+            "content_safety": 20
+          },
+          "terms": [
+            "高額(報酬|バイト)",
+            "即日即金",
+            "ホワイト案件",
+            "(受け取る|引き出す|運ぶ)だけ",
+            "受け子",
+            "出し子",
+            "打ち子",
+            "荷受け",
+            "タタキ",
+            "飛ばし(携帯|口座)"
+          ],
+          "samples": [
+            "高額報酬の即日即金バイト",
+            "荷物を受け取るだけ",
+            "飛ばし携帯を用意"
+          ]
+        }
+      ]
+    },
+    {
+      "id": "sns-investment",
+      "name": "投資詐欺（SNS型）",
+      "aliases": [
+        "SNS型投資詐欺",
+        "投資詐欺"
+      ],
+      "summary": "2024年被害: 10,237件・1,271.9億円（前年比179.4%増）。金融庁相談15,054件中83.2%が実被害。",
+      "phrases": [
+        "「必ず儲かる」「元本保証」「確実に利益が出る」「上場確実」",
+        "「あなただけにご紹介」「限定○名」「今だけ特別」「無料の投資セミナー」",
+        "「著名人○○が推薦」（有名人なりすまし広告）",
+        "「先生のおかげで利益が出ました」「先生の指示どおりにやって成功しました」（サクラ投稿）",
+        "「出金には手数料が必要です」「税金を支払わないと出金できません」（出金拒否）"
+      ],
+      "notes": [
+        {
+          "label": "手口",
+          "text": "Facebook/Instagram偽広告→LINEグループ誘導→「先生」「アシスタント」が指導→サクラが利益報告→少額出金で信用→高額投入→連絡断絶or出金手数料要求"
+        },
+        {
+          "label": "有名人偽装事例",
+          "text": "森永卓郎(偽広告3,035件)、堀江貴文、前澤友作、池上彰"
+        }
+      ],
+      "legal": [
+        "金融商品取引法で「断定的判断の提供」禁止。",
+        "金融庁無登録業者リスト公表中。",
+        "登録番号詐称事例あり。"
+      ],
+      "falsePositive": [],
+      "detection": [
+        {
+          "label": "投資詐欺",
+          "weights": {
+            "scam_pattern": 25,
+            "claim_credibility": 25
+          },
+          "terms": [
+            "必ず儲かる",
+            "元本保証",
+            "確実に(利益|儲)",
+            "上場確実",
+            "あなただけに",
+            "先生のおかげで",
+            "先生の指示"
+          ],
+          "mitigators": [
+            "元本割れ",
+            "\\(金商\\)第\\s*\\d+\\s*号"
+          ],
+          "samples": [
+            "確実に利益が出ます",
+            "関東財務局長(金商)第123号"
+          ]
+        },
+        {
+          "label": "出金拒否",
+          "weights": {
+            "scam_pattern": 30,
+            "claim_credibility": 10
+          },
+          "terms": [
+            "出金手数料",
+            "出金には.{0,10}(手数料|税金)",
+            "支払わないと出金"
+          ],
+          "samples": [
+            "出金には手数料が必要です"
+          ]
+        }
+      ]
+    },
+    {
+      "id": "phishing",
+      "name": "フィッシング",
+      "aliases": [
+        "フィッシング詐欺"
+      ],
+      "summary": "2024年通報: 年間171.8万件（過去最多）。12月単月23.2万件。74.9%が送信元偽装。",
+      "phrases": [
+        "「不在のため持ち帰りました」「お荷物投函のお知らせ」（宅配偽装）",
+        "「お客様の口座が不正アクセスされています」「セキュリティの再設定が必要です」",
+        "「カードの利用を一時停止しました」「不正利用の可能性がある」",
+        "「暗証番号の有効期限が切れる」「○日間ログインされていません」",
+        "「至急対応が必要です」「24時間以内に」「アカウントが停止されます」",
+        "「【えきねっと】お支払い情報のご確認と更新のお願い」",
+        "「Amazonアカウントの情報を更新する必要があります」",
+        "「未納の税金があります」「【国税庁】重要なお知らせ」",
+        "「電力供給が停止される可能性があります」（東京電力偽装）"
+      ],
+      "phrasesLabel": "検出フレーズ（SMS/メール）",
+      "notes": [
+        {
+          "label": "なりすまし上位10ブランド",
+          "text": "Amazon、えきねっと、PayPay、佐川急便、国税庁、Mastercard、Apple、三井住友カード、JA Bank、JCB（上位10で73.7%）"
+        }
+      ],
+      "legal": [],
+      "falsePositive": [],
+      "detection": [
+        {
+          "label": "フィッシング",
+          "weights": {
+            "scam_pattern": 20,
+            "content_safety": 15
+          },
+          "terms": [
+            "不在のため持ち帰り",
+            "アカウントが(停止|ロック)され",
+            "カードの利用を(一時)?停止",
+            "不正(アクセス|利用)の可能性",
+            "セキュリティの再設定",
+            "24時間以内に",
+            "未納の税金"
+          ],
+          "samples": [
+            "アカウントが停止されました",
+            "カードの利用を一時停止しました",
+            "不正アクセスの可能性があります"
+          ]
+        }
+      ]
+    },
+    {
+      "id": "fake-shop",
+      "name": "偽通販",
+      "aliases": [
+        "偽通販サイト",
+        "偽ショップ",
+        "偽ECサイト"
+      ],
+      "summary": "JC3通報: 2023年47,278件（前年比+64%）。国民生活センター: インターネット通販関連年間27万件超。",
+      "phrases": [
+        "激安価格（正規の80-95%引き）、先払いのみ（銀行振込/プリペイドカード）",
+        "振込先が個人名義口座（外国人名義含む）",
+        "不自然な日本語（機械翻訳調）、中国語使用の見慣れない漢字",
+        "実在しない会社情報、特商法表記の欠如、連絡先なし",
+        "正規ECサイトのデザイン・商品写真を無断コピー",
+        "不審TLD: .top/.xyz/.site/.online/.fun/.icu"
+      ],
+      "phrasesLabel": "検出パターン",
+      "notes": [
+        {
+          "label": "結末",
+          "text": "商品未着・偽物送付・空箱送付。代金騙し取り後に連絡不能。"
+        }
+      ],
+      "legal": [],
+      "falsePositive": [],
+      "detection": []
+    },
+    {
+      "id": "health-medical-ads",
+      "name": "健康詐欺・医療広告違反",
+      "aliases": [
+        "健康詐欺",
+        "医療広告違反"
+      ],
+      "phrases": [
+        "「飲むだけで」「塗るだけで」「楽ヤセ」「不治の病が完治」「奇跡の○○」「食事制限不要」「驚きの効果」"
+      ],
+      "phrasesLabel": "検出キーワード",
+      "notes": [
+        {
+          "label": "薬機法違反（逮捕事例）",
+          "items": [
+            "「がん細胞が自滅する」→ シンゲンメディカル社逮捕(2019年)",
+            "「ズタボロになった肝臓が半年で復活」→ ステラ漢方社逮捕(2020年)",
+            "「血液をきれいにする」「糖尿病が治る」→ 医療機器販売会社逮捕(2025年)",
+            "「アトピーが治る」「がんに効く」→ 書類送検。化粧品「シワがなくなる」「シミが消える」→ 効能範囲逸脱",
+            "無承認医薬品: ダイエットジェリー(シブトラミン検出・6名健康被害)、美白クリーム(皮膚障害)"
+          ]
+        },
+        {
+          "label": "景品表示法違反（措置命令事例）",
+          "items": [
+            "「食事制限や運動なしで短期間で痩身効果」→ シボローカ/フラボス措置命令(2024年3月)",
+            "「短期間で薄毛改善」「白髪→黒髪」→ MIHORE措置命令(2024年10月)",
+            "「摂取するだけで腹部の脂肪が落ちる」→ メラット措置命令(2023年)",
+            "「シミが99.9%消える」→ HappyLifeBio社措置命令(2024年)"
+          ]
+        },
+        {
+          "label": "医療広告ガイドライン違反（厚労省 2023年度: 1,098サイト/6,328件）",
+          "items": [
+            "美容362サイト、歯科374サイト、がん68サイト",
+            "「必ず治る」「100%安全」「副作用なし」「痛みゼロ」→ 誇大広告",
+            "ビフォーアフター写真でリスク・副作用記載不十分、未承認医薬品を用いる自由診療の情報提供不足"
+          ]
+        },
+        {
+          "label": "施術所広告違反（あはき法・柔整法）",
+          "text": "「交通事故専門」「肩こり治療」→行政指導対象。無資格マッサージ→エーワン社逮捕。"
+        }
+      ],
+      "legal": [],
+      "falsePositive": [],
+      "detection": [
+        {
+          "label": "健康・医療の誇大表示",
+          "weights": {
+            "claim_credibility": 25,
+            "content_safety": 15
+          },
+          "terms": [
+            "飲むだけで",
+            "塗るだけで",
+            "(必ず|完全に)治る",
+            "副作用(なし|がない|ゼロ)",
+            "100%安全",
+            "がんに効く",
+            "(糖尿病|アトピー)が治る",
+            "食事制限(不要|なし)",
+            "シミが(消える|なくなる)",
+            "楽ヤセ"
+          ],
+          "samples": [
+            "必ず治る",
+            "副作用なし",
+            "糖尿病が治る",
+            "食事制限不要",
+            "シミが消える"
+          ]
+        }
+      ]
+    },
+    {
+      "id": "recovery-fraud",
+      "name": "被害回復詐欺（二次被害詐欺）",
+      "aliases": [
+        "二次被害詐欺"
+      ],
+      "summary": "特殊詐欺全体: 2024年21,043件・717.6億円（前年比+58.6%）。被害者リスト流通で二次被害が発生。",
+      "phrases": [
+        "「騙し取られたお金を追跡」「被害金回収」「被害金の回収」「返金の可能性を調査」",
+        "「ブロックチェーン解析」「デジタルフォレンジック」「資金の流れを追跡」「資金移動の経路特定」",
+        "「仮想通貨の追跡」「ウォレットアドレスの追跡」「暗号資産の回収」",
+        "「警察や弁護士では難しい」「弁護士に断られた」「警察が動いてくれない」→「当社なら」",
+        "「証拠収集のプロ」「専門の調査会社にお任せ」「調査会社だからできる」",
+        "「無料一次調査」「無料で調査」「被害金回収の可能性を無料で」",
+        "「手遅れになる前に」「早めの対応が重要」「今なら回収できる可能性」"
+      ],
+      "phrasesLabel": "型Bの検出フレーズ",
+      "notes": [
+        {
+          "label": "型A: 古典的被害回復詐欺（劇場型・偽公的機関型）",
+          "items": [
+            "「詐欺被害を取り戻す」「返金保証」「被害者救済」「被害を回復してあげます」",
+            "「△△社の株を買ってくれたら、あとで高く買い取ります」（劇場型二次被害）",
+            "「以前の投資の損を取り戻せる」「振り込んだお金を取り戻す手続きがある」",
+            "偽の検察庁通知「被害回復給付金支給」で手数料請求。振り込め詐欺救済法を悪用した手数料名目の金銭要求。"
+          ]
+        },
+        {
+          "label": "型B: 調査会社・デジタルフォレンジック型（近年急増）",
+          "text": "詐欺被害者をターゲットに「調査会社」「デジタルフォレンジック」を名乗り、被害金回収の調査費用を請求する手口。実際には仮想通貨の回収はほぼ不可能。\n**重要な事実: 暗号資産（仮想通貨）は一度送金すると、海外ウォレットへ移動された資金を民間企業が回収することは技術的にほぼ不可能。「ブロックチェーン解析で追跡・回収」は非現実的な主張。**"
+        },
+        {
+          "label": "型Bの危険シグナル",
+          "items": [
+            "仮想通貨詐欺の「返金事例」「回収事例」を掲載（実際には回収不可能なケースがほとんど）",
+            "探偵業届出番号の不記載（調査業を営むには公安委員会届出が必要）",
+            "「弁護士や警察ではできない」と不安を煽り、自社サービスに誘導",
+            "被害者の恐怖心・焦りを煽る緊急性表現の多用",
+            "投資詐欺の手口を詳しく解説→「心当たりがあれば今すぐ相談」の構成",
+            "調査費用が被害額の数%（高額被害だと調査費用自体が数十万〜数百万円）"
+          ]
+        },
+        {
+          "label": "詐欺と判定すべきケース",
+          "items": [
+            "弁護士資格なしで「被害金回収」を主要サービスとして謳う調査会社",
+            "仮想通貨・暗号資産の「回収」「追跡して取り戻す」を謳うサービス（技術的にほぼ不可能）",
+            "「弁護士や警察では無理→当社なら」と法的専門家を否定して自社に誘導",
+            "探偵業届出番号の記載なく調査業務を謳う"
+          ],
+          "conclusion": "これらが該当する場合、scam_patternを20以下、claim_credibilityを30以下とすること。"
+        }
+      ],
+      "legal": [],
+      "falsePositive": [
+        "振り込め詐欺救済法（犯罪利用預金口座等に係る資金による被害回復分配金の支払等に関する法律）に基づき、国内銀行口座への振込詐欺では口座凍結→被害金分配による回収が法的に可能。以下は正当なサービス:",
+        "弁護士が振り込め詐欺救済法に基づく口座凍結・分配金申請を支援",
+        "弁護士が発信者情報開示請求・損害賠償請求を代理",
+        "警察への被害届提出を支援する行政書士・弁護士",
+        "弁護士（日本弁護士連合会登録番号あり）が法的手続きの範囲で被害回復を行うサイトは正当。減点しない。"
+      ],
+      "detection": [
+        {
+          "label": "被害回復詐欺",
+          "weights": {
+            "scam_pattern": 25,
+            "claim_credibility": 20
+          },
+          "terms": [
+            "被害金(の)?回収",
+            "(騙し取られた|奪われた)お金を(追跡|取り戻)",
+            "ブロックチェーン解析",
+            "(仮想通貨|暗号資産)の(追跡|回収)",
+            "(弁護士|警察)(では|が)(難しい|動いてくれない)",
+            "弁護士に断られた"
+          ],
+          "mitigators": [
+            "弁護士登録番号",
+            "振り込め詐欺救済法"
+          ],
+          "samples": [
+            "被害金の回収",
+            "騙し取られたお金を取り戻します",
+            "仮想通貨の追跡",
+            "弁護士では難しい案件"
+          ]
+        }
+      ]
+    },
+    {
+      "id": "support-scam",
+      "name": "サポート詐欺",
+      "aliases": [
+        "テクニカルサポート詐欺"
+      ],
+      "summary": "IPA 2024年Q1相談: 1,385件（偽ウイルス警告のみ）。2023年以降ネットバンキング乗っ取り事例あり。",
+      "phrases": [
+        "「Windows Defender セキュリティセンター」（偽装）",
+        "「トロイの木馬スパイウェアに感染したPC」",
+        "「エラーコード: #0x898778」「エラーコード #0x2680d3」",
+        "「この PC へのアクセスはブロックされました」",
+        "「このウィンドウを閉じると、個人情報が危険にさらされ Windows 登録が停止されます」",
+        "「今すぐサポートセンターに電話してください」",
+        "電話番号050-xxxx-xxxx or 0101-xxx-xxxx（国際電話）"
+      ],
+      "phrasesLabel": "検出フレーズ（偽警告画面）",
+      "notes": [
+        {
+          "label": "手口",
+          "text": "ブラウザ全画面偽警告+音声再生→電話させる→プリペイドカード購入指示 or AnyDesk/TeamViewer遠隔操作→ネットバンキング不正送金"
+        },
+        {
+          "label": "偽装ブランド",
+          "text": "Microsoft、Windows Defender、McAfee、Norton、Apple"
+        }
+      ],
+      "legal": [],
+      "falsePositive": [],
+      "detection": [
+        {
+          "label": "サポート詐欺",
+          "weights": {
+            "scam_pattern": 35,
+            "content_safety": 25
+          },
+          "terms": [
+            "トロイの木馬",
+            "アクセスはブロックされました",
+            "Windows\\s*Defender\\s*セキュリティ",
+            "エラーコード[:：]?\\s*#0x",
+            "サポートセンターに(今すぐ)?電話"
+          ],
+          "samples": [
+            "Windows Defender セキュリティ センター",
+            "エラーコード: #0x80070643",
+            "サポートセンターに今すぐ電話してください"
+          ]
+        }
+      ]
+    },
+    {
+      "id": "romance-scam",
+      "name": "ロマンス詐欺（豚殺し/Pig Butchering）",
+      "aliases": [
+        "国際ロマンス詐欺",
+        "Pig Butchering",
+        "豚殺し"
+      ],
+      "summary": "2024年1-9月被害: 271億円（前年2.4倍）。平均被害額1,242.7万円。",
+      "phrases": [
+        "「一緒に投資しませんか」「2人の将来のために」「一緒に稼ごう」",
+        "「投資でお金を増やそう」「あなたのことが好きです」",
+        "「会いたいから旅費を送って」「病気の家族の治療費が必要」",
+        "「荷物を送るから手数料を払って」"
+      ],
+      "notes": [
+        {
+          "label": "手口",
+          "text": "マッチングアプリ/SNS DM→LINE/WhatsApp/Telegramで親密化→偽取引プラットフォームへ誘導→偽の利益表示→出金時に手数料/税金要求"
+        },
+        {
+          "label": "大型事例",
+          "text": "女性社長がSNSで知り合った外国人に約80回・4.6億円を送金"
+        }
+      ],
+      "legal": [],
+      "falsePositive": [],
+      "detection": [
+        {
+          "label": "ロマンス詐欺",
+          "weights": {
+            "scam_pattern": 20
+          },
+          "terms": [
+            "一緒に(投資|稼ごう)",
+            "2人の将来のため",
+            "旅費を送って"
+          ],
+          "samples": [
+            "一緒に投資しよう"
+          ]
+        }
+      ]
+    },
+    {
+      "id": "online-casino",
+      "name": "違法オンラインカジノ",
+      "aliases": [
+        "オンラインカジノ"
+      ],
+      "summary": "2024年賭博事犯検挙279人（前年比2.6倍・過去最多）。利用者推定330万人、掛金1兆円超。日本国内からの利用は賭博罪。",
+      "phrases": [
+        "「オンラインカジノ」「ライブカジノ」「オンラインスロット」「ネットポーカー」",
+        "「入金ボーナス100%」「初回入金ボーナス」「フリースピン」「キャッシュバック」",
+        "「出金条件」「賭け条件」「ベット額」「VIPプログラム」",
+        "「必勝法」「攻略ツール」「カジノ攻略」「勝てるスロット」",
+        "「ライセンス取得済み」「マルタライセンス」「キュラソーライセンス」（海外ライセンスで合法を装う）"
+      ],
+      "notes": [
+        {
+          "label": "サイト構造の特徴",
+          "text": "派手なUI、ゲーム一覧グリッド、入金/出金ボタン、ライブチャットウィジェット、年齢確認ダイアログ、多通貨対応（JPY/BTC）"
+        }
+      ],
+      "legal": [
+        "海外で合法でも日本からの利用は犯罪。",
+        "「合法」「安全」と謳う日本語サイトは全て違法勧誘。"
+      ],
+      "falsePositive": [],
+      "detection": [
+        {
+          "label": "違法オンラインカジノ",
+          "weights": {
+            "content_safety": 30,
+            "scam_pattern": 15
+          },
+          "terms": [
+            "オンラインカジノ",
+            "ライブカジノ",
+            "入金ボーナス",
+            "フリースピン",
+            "(キュラソー|マルタ)ライセンス",
+            "賭け条件"
+          ],
+          "samples": [
+            "キュラソーライセンス取得"
+          ]
+        }
+      ]
+    },
+    {
+      "id": "counterfeit",
+      "name": "偽造品・ブランドコピー品販売",
+      "aliases": [
+        "偽造品販売",
+        "ブランドコピー品販売",
+        "コピー品販売"
+      ],
+      "summary": "2024年税関差止33,019件（過去最多）。商標法違反：10年以下の懲役/1,000万円以下の罰金。",
+      "phrases": [
+        "「スーパーコピー」「N級品」「S級品」「レプリカ」「コピー品」",
+        "「本物と見分けがつかない」「正規品と同品質」「1:1再現」",
+        "「激安ブランド」「アウトレット特価」「工場直販」「海外直送」",
+        "「ルイヴィトン 激安」「ロレックス コピー」等のブランド名+激安/コピー"
+      ],
+      "notes": [
+        {
+          "label": "サイト構造の特徴",
+          "text": "正規価格から80-95%引きの異常な低価格、大量のブランド名羅列、銀行振込のみ（クレカ不可と異なる表示）、不自然な日本語、whois海外登録"
+        },
+        {
+          "label": "消費者庁事例",
+          "text": "ブランド品公式サイトを装った偽サイトが年間数百件確認。代金を騙し取るか、粗悪品・偽物・空箱を送付。"
+        }
+      ],
+      "legal": [],
+      "falsePositive": [],
+      "detection": [
+        {
+          "label": "偽造品・偽通販",
+          "weights": {
+            "scam_pattern": 20,
+            "claim_credibility": 15
+          },
+          "terms": [
+            "スーパーコピー",
+            "[NS]級品",
+            "レプリカ",
+            "コピー品",
+            "本物と見分けがつかない",
+            "正規品と同品質",
+            "1:1再現"
+          ],
+          "samples": [
+            "N級品"
+          ]
+        }
+      ]
+    },
+    {
+      "id": "billing-fraud",
+      "name": "架空請求・ワンクリック詐欺",
+      "aliases": [
+        "架空請求",
+        "ワンクリック詐欺"
+      ],
+      "summary": "手口は陳腐化傾向だがIPA相談は四半期15件程度で継続中。",
+      "phrases": [
+        "「ご登録ありがとうございます」「有料会員登録が完了しました」",
+        "「料金が発生しました」「利用料金○○万円」「延滞金が加算されます」",
+        "「○日以内にお支払いください」「期限内にお振込みください」",
+        "「法的措置を取らせていただきます」「少額訴訟の手続きに移行」",
+        "「お客様のIPアドレス」「個体識別番号」「端末情報を取得しました」（脅迫要素）",
+        "「退会希望の方はこちら」（連絡させてさらに騙す）"
+      ],
+      "phrasesLabel": "検出フレーズ（偽請求画面）",
+      "notes": [
+        {
+          "label": "サイト構造の特徴",
+          "text": "IPアドレス/ユーザーエージェント表示、カウントダウンタイマー、振込先銀行口座情報の表示、閉じるボタンの無効化"
+        }
+      ],
+      "legal": [],
+      "falsePositive": [],
+      "detection": [
+        {
+          "label": "架空請求",
+          "weights": {
+            "scam_pattern": 30,
+            "content_safety": 15
+          },
+          "terms": [
+            "有料会員登録が完了",
+            "料金が発生しました",
+            "延滞金が加算",
+            "法的措置を取",
+            "少額訴訟",
+            "個体識別番号"
+          ]
+        }
+      ]
+    },
+    {
+      "id": "side-job-task",
+      "name": "副業・タスク詐欺",
+      "aliases": [
+        "副業詐欺",
+        "タスク詐欺"
+      ],
+      "summary": "消費者庁への相談1,615件、送金額合計10億円超（2024年）。平均被害額約106万円。",
+      "phrases": [
+        "「スマホだけで月○万円」「1日5分で稼げる」「すき間時間で副収入」",
+        "「いいねを押すだけ」「スクショを撮るだけ」「動画を見るだけ」「タップするだけ」",
+        "「未経験OK」「スキル不要」「誰でもできる」「主婦でも稼げる」",
+        "「初期費用0円」「無料で始められる」→後から高額マニュアル/ツール購入を要求",
+        "「LINE登録で詳細」「公式LINE追加」→LINEグループで洗脳"
+      ],
+      "notes": [
+        {
+          "label": "手口",
+          "text": "SNS広告/DM→LINE登録→少額タスク（いいね等）で少額報酬支払い→「上位タスク」として高額送金を要求→出金不可"
+        },
+        {
+          "label": "特徴",
+          "text": "Telegramグループへの誘導、送金先が個人名義の口座"
+        }
+      ],
+      "legal": [],
+      "falsePositive": [],
+      "detection": [
+        {
+          "label": "副業・タスク詐欺",
+          "weights": {
+            "scam_pattern": 20,
+            "claim_credibility": 15
+          },
+          "terms": [
+            "(いいねを押す|スクショを撮る|動画を見る|タップする)だけ",
+            "1日\\d+分で",
+            "スマホだけで月",
+            "誰でも(簡単に)?稼げる"
+          ],
+          "samples": [
+            "動画を見るだけ",
+            "1日10分で",
+            "誰でも簡単に稼げる"
+          ]
+        }
+      ]
+    },
+    {
+      "id": "impersonation-ads",
+      "name": "なりすまし広告詐欺（フェイク広告）",
+      "aliases": [
+        "なりすまし広告",
+        "フェイク広告"
+      ],
+      "summary": "2024年上半期被害額506億円。Meta社提訴（被害者30人、請求3億円超）。",
+      "phrases": [
+        "「○○氏も推薦」「○○が実践する投資法」（著名人名の無断使用）",
+        "偽ニュース記事風LP：「【速報】○○氏が語る驚きの投資法」「NHKニュースで話題」「日経新聞掲載」",
+        "「衝撃の事実」「まだ知らないの？」「○○だけが知っている」",
+        "「期間限定 無料公開中」「今だけ特別に」「先着○名」"
+      ],
+      "notes": [
+        {
+          "label": "サイト構造の特徴",
+          "text": "ニュース記事風デザイン、偽のメディアロゴ、著名人の写真大量使用、Facebook/Instagram広告からの遷移、最終的にLINE誘導"
+        },
+        {
+          "label": "偽装対象",
+          "text": "森永卓郎、堀江貴文、前澤友作、池上彰等。NHK・日経新聞等のメディアロゴ偽装。"
+        },
+        {
+          "label": "AIディープフェイク(JFC 2024年検証330件)",
+          "text": "堀江貴文AI音声→被害2.2億円、前澤友作→Meta提訴、岸田首相偽動画。偽ニュース:「柳井正拘束」「高市議員提訴」→JFC虚偽判定。災害偽情報: 能登震災「人工地震」10万件・偽救助要請2.1万件・偽寄付募集350件。"
+        }
+      ],
+      "legal": [],
+      "falsePositive": [],
+      "detection": [
+        {
+          "label": "なりすまし広告",
+          "weights": {
+            "claim_credibility": 20,
+            "scam_pattern": 10
+          },
+          "terms": [
+            "【速報】",
+            "NHKニュースで話題",
+            "衝撃の事実",
+            "まだ知らないの"
+          ]
+        }
+      ]
+    },
+    {
+      "id": "crypto-asset",
+      "name": "仮想通貨・暗号資産詐欺",
+      "aliases": [
+        "仮想通貨詐欺",
+        "暗号資産詐欺"
+      ],
+      "summary": "SNS型投資詐欺(暗号資産含む): 2024年10,237件・1,271.9億円。金融庁2024年: KuCoin/Bybit/MEXC/Bitget/Bitcastle5社に無登録警告。",
+      "phrases": [
+        "「年利○○%保証」「月利○%確定」「必ず値上がりする」「元本保証のステーキング」",
+        "「AI自動売買」「最新AIが自動で運用」「完全自動で利益」",
+        "「ICO特別先行販売」「プレセール限定」「上場確定コイン」",
+        "「出金手数料○万円」「マイニング報酬」「エアドロップ」",
+        "「ウォレット接続」（偽DeFiサイトでのウォレット資金窃取）"
+      ],
+      "notes": [
+        {
+          "label": "大型事件",
+          "text": "ジュビリーエース650億円(2021年7人逮捕)、テキシアジャパン460億円(1.3万人被害)、OZプロジェクト65億円(「4カ月で2.5倍」)"
+        },
+        {
+          "label": "サイト構造の特徴",
+          "text": "偽の取引チャート/利益表示、リアルタイム風の取引履歴、金融庁登録番号の偽造、著名取引所のUIコピー"
+        },
+        {
+          "label": "注意",
+          "text": "金融庁の暗号資産交換業者登録一覧にない業者は全て無登録違法業者。"
+        }
+      ],
+      "legal": [],
+      "falsePositive": [],
+      "detection": [
+        {
+          "label": "暗号資産詐欺",
+          "weights": {
+            "scam_pattern": 25,
+            "claim_credibility": 20
+          },
+          "terms": [
+            "年利\\d+%保証",
+            "月利\\d+%",
+            "AI自動売買",
+            "完全自動で利益",
+            "上場確定",
+            "プレセール限定"
+          ],
+          "mitigators": [
+            "暗号資産交換業者",
+            "\\(金商\\)第\\s*\\d+\\s*号"
+          ],
+          "samples": [
+            "年利20%保証",
+            "月利5%",
+            "関東財務局長(金商)第12号"
+          ]
+        }
+      ]
+    },
+    {
+      "id": "info-product",
+      "name": "情報商材詐欺",
+      "aliases": [
+        "情報商材"
+      ],
+      "summary": "国民生活センター相談: 2017年6,593件(ピーク)。連鎖販売取引相談年間約1万件。",
+      "phrases": [
+        "「稼げるノウハウ」「○○するだけで月収100万円の方法」",
+        "「限定公開」「残り○名」「期間限定」「本日23:59まで」",
+        "「通常価格○○万円→今だけ○万円」（二重価格）",
+        "「成功者の声」「実践者○○人が成果を出した」（サクラの体験談）",
+        "「返金保証付き」（条件が厳しく実質返金不可）",
+        "「無料セミナー」「無料ウェビナー」→高額バックエンド商材への誘導"
+      ],
+      "notes": [
+        {
+          "label": "消費者庁事業者名公表",
+          "text": "株式会社サポート(副業マニュアル2022年)、株式会社協栄商事/フィールド(遠隔操作アプリ悪用2024年)、株式会社和(「月50万が当たり前」2024年)"
+        },
+        {
+          "label": "マルチ商法",
+          "text": "日本アムウェイ6カ月業務停止命令(2022年10月、マッチングアプリ/SNS経由勧誘)"
+        },
+        {
+          "label": "サイト構造の特徴",
+          "text": "縦長LP、カウントダウンタイマー、スクロール追従CTAボタン、煽り色（赤/黄）の多用、偽の「残り○名」表示、札束/高級車の画像"
+        },
+        {
+          "label": "手口",
+          "text": "無料メルマガ/LINE→無料セミナー→30万〜200万円の「塾」「コンサル」「ツール」購入を迫る"
+        }
+      ],
+      "legal": [],
+      "falsePositive": [],
+      "detection": [
+        {
+          "label": "情報商材",
+          "weights": {
+            "claim_credibility": 20,
+            "scam_pattern": 10
+          },
+          "terms": [
+            "稼げるノウハウ",
+            "月収\\d+万円の方法",
+            "残り\\d+名",
+            "本日\\d+:\\d+まで"
+          ],
+          "samples": [
+            "月収100万円の方法",
+            "残り3名",
+            "本日23:59まで"
+          ]
+        }
+      ]
+    },
+    {
+      "id": "illegal-lending",
+      "name": "闇金・違法貸金業（ソフト闇金/給料ファクタリング含む）",
+      "aliases": [
+        "闇金",
+        "違法貸金業",
+        "ソフト闇金",
+        "給料ファクタリング"
+      ],
+      "summary": "警察庁: 2023年検挙671事件。被害額55億円超(2022年)。最高裁「給料ファクタリングは貸金業法適用の貸付」(2023年)。",
+      "phrases": [
+        "「ブラックOK」「ブラックでも借りれる」「審査なし」「審査不要」",
+        "「即日融資」「即日振込」「来店不要」「誰でも借りれる」",
+        "「ソフト闇金」「優良ソフト闇金」（自称する違法業者が多数存在）",
+        "「給料買取」「給料ファクタリング」「後払い現金化」（実質高利貸し）",
+        "「090-xxxx-xxxx」「080-xxxx-xxxx」（携帯番号のみ＝090金融）"
+      ],
+      "notes": [
+        {
+          "label": "逮捕事例",
+          "text": "クレカ現金化85億円貸付(BPMH社13人逮捕2025年)、先払い買取「買取キング」2億3,800万円(2024年)、「まるかい」延べ1.2万人(2024年)、後払い現金化「ギフリー」(2023年)"
+        },
+        {
+          "label": "手口の進化",
+          "text": "給料ファクタリング→後払い現金化→先払い買取→クレカ現金化と形態を変え復活"
+        },
+        {
+          "label": "サイト構造の特徴",
+          "text": "携帯電話番号のみの連絡先、貸金業登録番号の記載なし or 偽造、「お申し込みはLINEで」"
+        },
+        {
+          "label": "注意",
+          "text": "正規の貸金業者は必ず財務局または都道府県知事の登録番号を持つ。登録番号は金融庁のデータベースで確認可能。"
+        }
+      ],
+      "legal": [],
+      "falsePositive": [],
+      "detection": [
+        {
+          "label": "闇金・違法貸金",
+          "weights": {
+            "scam_pattern": 30,
+            "content_safety": 20
+          },
+          "terms": [
+            "ブラックでも借りれる",
+            "ブラックOK",
+            "審査(なし|不要)",
+            "ソフト闇金",
+            "給料(ファクタリング|買取)",
+            "後払い現金化"
+          ],
+          "mitigators": [
+            "貸金業(者)?登録番号"
+          ],
+          "samples": [
+            "審査なし",
+            "給料ファクタリング",
+            "貸金業者登録番号"
+          ]
+        }
+      ]
+    },
+    {
+      "id": "piracy",
+      "name": "著作権侵害・海賊版サイト",
+      "aliases": [
+        "海賊版サイト",
+        "著作権侵害"
+      ],
+      "summary": "年間被害額3,300〜4,300億円超。漫画だけで年間1兆円超との推計。月間約6億アクセス。",
+      "phrases": [
+        "「全巻無料」「全話無料」「最新話 無料」「先読み 無料」",
+        "「無料で読める」「無料視聴」「無料ダウンロード」",
+        "「manga raw」「manga free」「zip ダウンロード」「torrent」",
+        "「○○ 全巻 rar」「○○ raw」（作品名+raw/zip/rar）",
+        "「映画 無料 フル」「アニメ 無料 全話」「ドラマ 見逃し 無料」"
+      ],
+      "notes": [
+        {
+          "label": "サイト構造の特徴",
+          "text": "大量のコンテンツリスト（漫画/アニメ/映画）、aggressive広告（ポップアップ/リダイレクト多数）、Cloudflare等のCDN使用、海外ドメイン、広告ブロッカー検出"
+        }
+      ],
+      "legal": [
+        "2021年著作権法改正により海賊版と知りながらのダウンロードも違法化。",
+        "漫画村の賠償額17.3億円（2024年判決）。"
+      ],
+      "falsePositive": [],
+      "detection": [
+        {
+          "label": "海賊版",
+          "weights": {
+            "content_safety": 30
+          },
+          "terms": [
+            "全(巻|話)無料",
+            "manga\\s*raw",
+            "zip\\s*ダウンロード",
+            "映画\\s*無料\\s*フル"
+          ],
+          "samples": [
+            "全巻無料",
+            "manga raw",
+            "zip ダウンロード",
+            "映画 無料 フル"
+          ]
+        }
+      ]
+    },
+    {
+      "id": "refund-fraud",
+      "name": "還付金詐欺・偽行政サイト",
+      "aliases": [
+        "還付金詐欺",
+        "偽行政サイト"
+      ],
+      "summary": "2024年還付金詐欺 認知件数4,070件・被害額63.7億円。偽マイナポータルサイトも出現。",
+      "phrases": [
+        "「還付金があります」「払い戻しのお知らせ」「医療費の還付手続き」",
+        "「保険料の過払い」「年金の未払い分」「税金の還付」",
+        "「手続き期限が迫っています」「○月○日までに手続きしないと無効」",
+        "「マイナポータル」「e-Tax」「ねんきんネット」（行政サイト偽装）",
+        "「マイナンバーを入力してください」「本人確認のため暗証番号を入力」"
+      ],
+      "notes": [
+        {
+          "label": "サイト構造の特徴",
+          "text": "行政機関のロゴ・デザインを模倣、.go.jpでないドメイン、マイナンバー/暗証番号の入力フォーム"
+        },
+        {
+          "label": "注意",
+          "text": "行政機関が還付金の手続きでATM操作やネットバンキングを指示することは絶対にない。公式サイトのドメインは必ず.go.jp。"
+        }
+      ],
+      "legal": [],
+      "falsePositive": [],
+      "detection": [
+        {
+          "label": "還付金詐欺・偽行政",
+          "weights": {
+            "scam_pattern": 25,
+            "content_safety": 15
+          },
+          "terms": [
+            "還付金があります",
+            "払い戻しのお知らせ",
+            "手続きしないと無効",
+            "マイナンバーを入力",
+            "暗証番号を入力"
+          ]
+        }
+      ]
+    },
+    {
+      "id": "spiritual-pseudoscience",
+      "name": "霊感商法・スピリチュアル詐欺・疑似科学",
+      "aliases": [
+        "霊感商法",
+        "スピリチュアル詐欺",
+        "疑似科学"
+      ],
+      "summary": "開運商法PIO-NET相談: 年間1,200〜1,500件。占いサイト相談: 年間2,000件超(8割女性)。2022年消費者契約法改正で霊感商法取消期間5→10年。不当寄附勧誘防止法2023年施行。",
+      "phrases": [
+        "（霊感系）「前世の因縁」「先祖の祟り」「悪霊」「水子の霊」「霊障」「除霊」「浄霊」「お祓い」",
+        "（霊感系）「開運印鑑」「パワーストーン」「霊感鑑定」「霊視」「祈祷料」「供養料」",
+        "（占い詐欺）「無料鑑定」「あなたは特別」「金運」「守護霊」「宝くじ当選」「あと一通で完了」",
+        "（疑似科学）「水素水」「活性水素」「マイナスイオン」「ゲルマニウム」「EM菌」「波動水」",
+        "（疑似科学）「活性酸素を除去」「デトックス」「好転反応」「クラスター水」「遠赤外線効果」"
+      ],
+      "phrasesLabel": "検出キーワード",
+      "notes": [
+        {
+          "label": "逮捕事例",
+          "text": "「神世界」ヒーリングサロン5,000万円詐取(2011年)、統一教会関連10件40名逮捕"
+        },
+        {
+          "label": "占いサイト詐欺事例",
+          "text": "120万円(守護霊で引き止め)、55万円(宝くじ高額当選を保証)、400万円。1通1,000〜1,500円のポイント課金。"
+        },
+        {
+          "label": "疑似科学商品",
+          "text": "水素水(国民生活センター2,260件・3社+生成器4社措置命令)、マイナスイオン空気清浄機2社措置命令(2023年)、ゲルマニウムブレスレット(含有ゼロ・健康効果根拠なし)、EM菌(科学的検証データなし)"
+        },
+        {
+          "label": "共通の危険シグナル",
+          "text": "「科学では説明できない」「医者も驚く」「奇跡の」「好転反応（一時的な悪化は効果の証拠）」"
+        }
+      ],
+      "legal": [],
+      "falsePositive": [],
+      "detection": [
+        {
+          "label": "霊感商法・疑似科学",
+          "weights": {
+            "claim_credibility": 20,
+            "scam_pattern": 10
+          },
+          "terms": [
+            "前世の因縁",
+            "先祖の祟り",
+            "霊障",
+            "除霊",
+            "開運印鑑",
+            "好転反応",
+            "波動水",
+            "医者も驚く",
+            "科学では説明できない"
+          ]
+        }
+      ]
+    }
+  ],
+  "commonDetection": [
+    {
+      "label": "外部チャットへの誘導",
+      "weights": {
+        "operator_transparency": 15,
+        "scam_pattern": 10
+      },
+      "terms": [
+        "公式LINE",
+        "LINE(登録|追加)",
+        "Telegram",
+        "テレグラム"
+      ],
+      "samples": [
+        "LINE登録"
+      ]
+    },
+    {
+      "label": "不透明な支払先",
+      "weights": {
+        "operator_transparency": 20,
+        "scam_pattern": 15
+      },
+      "terms": [
+        "個人名義(の)?口座",
+        "振込先.{0,20}個人",
+        "銀行振込のみ"
+      ],
+      "samples": [
+        "個人名義の口座",
+        "振込先は個人の口座"
+      ]
+    }
+  ],
+  "adRegulations": {
+    "intro": "以下は主に正規企業にも適用される景品表示法・特商法の違反パターンです。上記19カテゴリと異なり、一見正当なサイトでも該当し得ます。",
+    "items": [
+      {
+        "label": "虚偽No.1表示(2024年14社集中取締り)",
+        "text": "「顧客満足度No.1」「売上No.1」「医師の○%が推奨」→ 実態はイメージ調査のみ。検出: 「No.1」「第1位」「満足度98%」+ 根拠調査の記載なし。"
+      },
+      {
+        "label": "効果なし商品(合理的根拠なし)",
+        "text": "「糖質カット」炊飯器8社(水分希釈)、「空間除菌」4社、「クレベリン」10社 → 全て措置命令。検出: 「除菌」「糖質カット」+ 根拠なし。"
+      },
+      {
+        "label": "二重価格・有利誤認",
+        "text": "「通常価格○○円→今だけ△△円」(販売実績なし)。メルセデス・ベンツ12.3億円課徴金(2024年)。"
+      },
+      {
+        "label": "ステルスマーケティング(2023年10月施行・6件処分)",
+        "text": "祐真会(初処分)・RIZAP・大正製薬・ロート製薬 → 口コミ・体験談にPR/広告表記なし。検出: レビューに「PR」「広告」「提供」表記がない。"
+      },
+      {
+        "label": "打消し表示",
+        "text": "強調表示と矛盾する条件文が極小フォント(8pt未満)。例:「いつでもどこでも」+小文字「エリアにより不可」。"
+      },
+      {
+        "label": "定期購入ダークパターン(年間約9万件相談)",
+        "text": "「初回550円」→2回目3.9万円自動発送、「いつでも解約」→クーポンで定期コース変更、解約条件の深い位置配置。検出: 「初回限定」「お試し」「97%OFF」+ 解約条件不明瞭。"
+      },
+      {
+        "label": "グリーンウォッシュ",
+        "text": "「生分解性」プラ製品10社措置命令(2022年)。検出: 根拠なき「エコ」「地球にやさしい」「カーボンニュートラル」。"
+      }
+    ]
+  },
+  "falsePositiveGuide": {
+    "intro": "以下に該当するサイトは、上記カテゴリのキーワードに部分一致しても安全性を高く評価すること。",
+    "items": [
+      {
+        "label": "運営者透明性の評価ルール（重要）",
+        "items": [
+          "特定商取引法に基づく表記は「通信販売」を行う事業者にのみ義務付けられている。病院・学校・NPO・メディア・企業コーポレートサイト・行政機関等、物品販売やサービスの通信販売を行っていないサイトには不要であり、表記がなくても減点しないこと。",
+          "会社概要・連絡先・プライバシーポリシーが「リンクあり（別ページに存在）」の場合、別ページに情報が存在する正当な構成であるため、「なし」と同等に減点しないこと。トップページやサービスページに直接記載されていなくても、フッターリンク等から辿れるなら十分。",
+          "会社概要・特商法表記がいずれもないサイトでも、商品販売を行っていない情報提供サイト・ブログ・メディアであれば問題ない。",
+          "運営者情報は「会社概要」以外にも多様な形式で記載される。法律事務所なら「事務所概要」「代表弁護士」「弁護士登録番号」「所属弁護士会」、医療機関なら「院長」「診療科目」「医療法人名」、NPOなら「団体概要」「代表理事」等。本文中にこれらの情報が含まれていれば、見出しの有無にかかわらず運営者情報ありと評価すること。"
+        ]
+      },
+      {
+        "label": "運営者情報の偽装パターンに注意",
+        "text": "以下は運営者情報があるように見せかける詐欺的手法。これらに該当する場合は運営者透明性を高く評価しないこと:",
+        "items": [
+          "「弁護士監修」「専門家監修」「医師推奨」→ 監修と運営は別物。実際の運営者・責任者が不明なら不透明。",
+          "「○○協会認定」「○○機構公認」→ 実在しない団体名や自作団体の可能性。公的な登録番号（弁護士登録番号、金融商品取引業者登録番号、探偵業届出番号等）と異なり、検証不能な肩書きは信頼の根拠にならない。",
+          "住所がバーチャルオフィスやレンタルポスト（例: 「○○ビル△号室」だけで、検索すると格安レンタルオフィス）で、かつ電話番号がIP電話（050-）のみ → 実体がない可能性。",
+          "「代表 ○○」とフルネームがあるが、検索しても存在確認できない人物名。",
+          "登録番号の体系が正しくない（例: 弁護士登録番号は5-6桁の数字、金商登録は「関東財務局長(金商)第○○号」形式）。"
+        ]
+      },
+      {
+        "label": "正当な金融サービスの特徴",
+        "items": [
+          "金融庁の登録番号（関東財務局長(金商)第○○号等）が記載され、番号体系が正しい",
+          "金融商品取引法に基づくリスク説明・手数料開示がある",
+          "「元本割れの可能性があります」等のリスク注意文がある"
+        ],
+        "conclusion": "「投資」「利益」等のキーワードがあっても、これらが揃っていれば正当な金融サービス。"
+      },
+      {
+        "label": "正当な健康食品・サプリ販売の特徴",
+        "items": [
+          "「栄養補助食品」「個人の感想です」「効果を保証するものではありません」等の免責表記",
+          "特定商取引法に基づく表記が完備（事業者名・住所・電話番号・返品条件）",
+          "機能性表示食品の届出番号や特定保健用食品の許可番号"
+        ],
+        "conclusion": "「健康」「サプリ」等のキーワードだけで減点しない。"
+      },
+      {
+        "label": "正当な占い・スピリチュアルサービスの特徴",
+        "items": [
+          "料金体系が明確に表示されている",
+          "特商法表記が完備、解約方法が明示",
+          "「娯楽目的」等の位置づけが適切"
+        ],
+        "conclusion": "「占い」「鑑定」等のキーワードだけで減点しない。正当な有料サービスと詐欺的サイトの違いは、料金の透明性・解約容易性・煽り表現の有無。"
+      },
+      {
+        "label": "正当なECサイトの特徴",
+        "items": [
+          "特商法表記完備、クレジットカード決済対応、返品ポリシー明示",
+          "会社情報が実在確認可能、電話番号あり"
+        ],
+        "conclusion": "「セール」「割引」等のキーワードだけで偽通販と判定しない。"
+      },
+      {
+        "label": "グレーゾーンの扱い",
+        "text": "正当なサービスと詐欺の境界にあるサイト（例: 高額だが違法ではない情報商材、誇大だが薬機法ギリギリの広告）は、具体的にどの点が懸念されるかをfindingsで説明し、最終判断はユーザーに委ねる。中間スコア（40-70）を使う。"
+      },
+      {
+        "label": "重要: 明白な詐欺サイトへの対応",
+        "text": "上記の誤検知防止ガイドは、正当なサービスを不当に低評価しないためのもの。以下の特徴が複数該当するサイトは詐欺の可能性が高く、積極的に低スコアを付けること:",
+        "items": [
+          "19カテゴリの手口パターンに明確に合致する表現・構成がある",
+          "煽り表現（「今すぐ」「残りわずか」「本日限り」）が複数箇所にある",
+          "連絡先・運営者情報が欠如し、かつ金銭の支払いや個人情報入力を求めている",
+          "非現実的な利益・効果を断定的に約束している（「確実」「保証」「絶対」）",
+          "不審なドメイン構造（ランダム文字列、ブランド偽装、不審TLD）と内容の危険性が重なる"
+        ],
+        "conclusion": "これらが該当する場合、overall_riskをhigh以上とし、対応するスコアを30以下にすること。"
+      },
+      {
+        "label": "注意: 詐欺サイトは正当に見える外観を持つことがある",
+        "text": "会社名・住所・電話番号・特商法リンクがあっても、サービス内容自体が詐欺的なら高評価にしない。特に被害回復詐欺（Cat6型B）は、プロフェッショナルな外観・会社概要・調査事例を揃えて信頼感を演出するが、核心のサービス（仮想通貨の回収等）が技術的に不可能。運営者情報の有無よりサービス内容の実現可能性を重視すること。"
+      }
+    ]
+  }
+};
@@ -2,8 +2,42 @@
  * Site Safety Checker — Cloudflare Worker
  *
  * Endpoints:
- *   GET  /fetch?url=<encoded>  — Fetch target site HTML + headers
- *   POST /models/*             — Gemini API passthrough (CORS proxy)
+ *   GET  /fetch?url=<encoded>      — Fetch target site HTML + headers (&followMeta=1
+ *                                    also follows <meta http-equiv="refresh">; cached
+ *                                    for FETCH_CACHE_TTL, &refresh=1 bypasses the cache)
+ *   GET  /crawl?base=<u>&site=<d>&url=<u>… — Fetch up to 4 same-site sub-pages (operator / 特商法 / privacy)
+ *   GET  /cert?host=<hostname>     — Certificate details from Certificate Transparency logs
+ *   GET  /rdap?domain=<domain>     — Registration date / registrar / status via RDAP
+ *   GET  /dns?host=<h>&domain=<d>  — A/AAAA/MX/TXT/NS/DMARC records via DNS-over-HTTPS
+ *   POST /models/*                 — Gemini API passthrough (CORS proxy)
+ *   POST /models/<m>:streamGenerateContent — Gemini streaming, passed through as
+ *                                    server-sent events
+ *   POST /openai/chat/completions  — OpenAI-compatible chat completions passthrough
+ *
+ * Environment:
+ *   RDAP_BASE_URL — RDAP service base (default https://rdap.org/); point it at a
+ *                   local stub for tests
+ *   DOH_URL       — DNS-over-HTTPS JSON resolver (default Cloudflare); point it at
+ *                   a local stub for tests
+ *   FETCH_CACHE_TTL — seconds a /fetch result is reused (default 600, 0 disables)
+ *   FETCH_CACHE   — optional KV namespace binding for the /fetch cache; without it
+ *                   the Cache API is used, or this isolate's memory when neither exists
+ *   ACCESS_TOKENS — optional comma-separated server-issued tokens (set as a secret),
+ *                   accepted in X-Access-Token instead of a Gemini API key
+ *   REQUIRE_ACCESS_TOKEN — "1" to accept only ACCESS_TOKENS
+ *   OPENAI_UPSTREAM_HOSTS — comma-separated hosts /openai may forward to
+ *                   (default api.openai.com); other X-Upstream-Base hosts get 403
+ *   RATE_LIMIT_PER_KEY / RATE_LIMIT_PER_IP — requests per RATE_LIMIT_WINDOW seconds
+ *                   (defaults 120 / 300 per 60s, 0 disables)
+ *   RATE_LIMITER  — optional Durable Object binding (class RateLimiter) that shares
+ *                   the limits across isolates; without it each isolate counts alone
+ *
+ * Access control (all endpoints except /health): a valid X-Access-Token, or a
+ * Gemini API key in X-API-Key. Keys for the data endpoints are verified with
+ * Google once per KEY_CHECK_TTL; /models is verified by Gemini itself and
+ * /openai forwards the provider's own key. The per-IP limit is applied first,
+ * so refused requests count against it too. Refused requests get 401; requests
+ * over a limit get a JSON 429 with Retry-After.
  */
 
 const ALLOWED_ORIGINS = [
@@ -19,12 +53,13 @@ function getCorsHeaders(request) {
     return {
       'Access-Control-Allow-Origin': origin,
       'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type, X-API-Key',
+      'Access-Control-Allow-Headers': 'Content-Type, X-API-Key, X-Access-Token, X-Upstream-Base',
+      'Access-Control-Expose-Headers': 'Retry-After',
     };
   }
   return {
     'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, X-API-Key',
+    'Access-Control-Allow-Headers': 'Content-Type, X-API-Key, X-Access-Token, X-Upstream-Base',
   };
 }
 
@@ -32,6 +67,34 @@ const MAX_HTML_SIZE = 200 * 1024; // 200KB
 const MAX_PROXY_BODY = 500 * 1024; // 500KB
 const FETCH_TIMEOUT = 10000; // 10s
 const MAX_REDIRECTS = 5;
+const MAX_HOP_BODY = 16 * 1024; // 16KB of each 3xx body, for cloaking checks
+const META_REFRESH_MAX_DELAY = 10; // seconds; longer refreshes are periodic reloads, not redirects
+const MAX_CRAWL_PAGES = 4; // operator / 特商法 / privacy / contact pages per check
+const MAX_CRAWL_HTML_SIZE = 150 * 1024; // 150KB per crawled page
+const CT_SEARCH_URL = 'https://crt.sh/';
+const CT_TIMEOUT = 8000; // 8s
+const MAX_CT_BODY = 1024 * 1024; // 1MB — a host with a longer CT history is not new
+const DEFAULT_RDAP_BASE = 'https://rdap.org/'; // bootstrap redirector to the registry's server
+const RDAP_TIMEOUT = 8000; // 8s
+const MAX_RDAP_BODY = 256 * 1024; // 256KB
+const DEFAULT_DOH_URL = 'https://cloudflare-dns.com/dns-query';
+const DNS_TIMEOUT = 5000; // 5s for all six queries
+const MAX_DNS_BODY = 64 * 1024; // 64KB per query
+const DEFAULT_FETCH_CACHE_TTL = 600; // 10 min
+const MAX_MEMORY_CACHE = 50; // entries in the in-memory fallback
+const FETCH_CACHE_ORIGIN = 'https://fetch-cache.site-safety-checker.invalid'; // Cache API keys
+const DEFAULT_OPENAI_BASE = 'https://api.openai.com/v1';
+const DEFAULT_OPENAI_UPSTREAM_HOSTS = 'api.openai.com';
+const GEMINI_KEY_PATTERN = /^AIza[A-Za-z0-9_-]{35}$/;
+const KEY_CHECK_URL = 'https://generativelanguage.googleapis.com/v1beta/models?pageSize=1&key=';
+const KEY_CHECK_TIMEOUT = 5000; // 5s
+const KEY_CHECK_TTL = 60 * 60 * 1000; // 1h for a key Google accepted
+const KEY_CHECK_INVALID_TTL = 5 * 60 * 1000; // 5 min for a refused one
+const MAX_KEY_CHECKS = 1000; // cached verdicts per isolate
+const DEFAULT_RATE_LIMIT_PER_KEY = 120; // one check makes about six requests
+const DEFAULT_RATE_LIMIT_PER_IP = 300; // several users can share an address
+const DEFAULT_RATE_LIMIT_WINDOW = 60; // seconds
+const MAX_RATE_LIMIT_KEYS = 10000; // counters kept by the in-memory limiter
 const ALLOWED_CHARSETS = ['utf-8','shift_jis','euc-jp','iso-8859-1','windows-1252','shift-jis','windows-31j'];
 
 // Comprehensive private IP check (IPv4 + IPv6)
@@ -80,12 +143,16 @@ function isPrivateIP(hostname) {
   return false;
 }
 
-// Manual redirect following with SSRF check at each hop
-async function fetchWithRedirects(url, signal) {
+// Manual redirect following with SSRF check at each hop. hops records every
+// response: { url, status, location?, contentType, bodySize?, title? } — 3xx
+// bodies are sampled because a redirect that also serves a full page shows
+// different content to clients that do not follow it.
+async function fetchWithRedirects(url, signal, maxRedirects = MAX_REDIRECTS) {
   let currentUrl = url;
   const redirectChain = [];
+  const hops = [];
 
-  for (let i = 0; i <= MAX_REDIRECTS; i++) {
+  for (let i = 0; i <= maxRedirects; i++) {
     const parsed = new URL(currentUrl);
     if (isPrivateIP(parsed.hostname)) {
       return { error: 'Redirect to private IP blocked', status: 403 };
@@ -102,28 +169,413 @@ async function fetchWithRedirects(url, signal) {
       redirect: 'manual',
     });
 
+    const contentType = resp.headers.get('Content-Type') || '';
     if ([301, 302, 303, 307, 308].includes(resp.status)) {
       const location = resp.headers.get('Location');
       if (!location) break;
       const nextUrl = new URL(location, currentUrl).toString();
+      const body = resp.body ? await readTextPrefix(resp, MAX_HOP_BODY) : '';
+      const title = (body.match(/<title[^>]*>([^<]*)/i) || [])[1];
+      hops.push({
+        url: currentUrl,
+        status: resp.status,
+        location: nextUrl,
+        contentType,
+        bodySize: body.length,
+        ...(title && title.trim() ? { title: title.trim().slice(0, 200) } : {}),
+      });
       redirectChain.push(nextUrl);
       currentUrl = nextUrl;
       continue;
     }
 
-    return { resp, finalUrl: currentUrl, redirectChain };
+    hops.push({ url: currentUrl, status: resp.status, contentType });
+    return { resp, finalUrl: currentUrl, redirectChain, hops };
   }
 
   return { error: 'Too many redirects', status: 502 };
 }
 
-async function handleFetch(request, url) {
-  // Require API key for /fetch to prevent open proxy abuse
+// Target of a <meta http-equiv="refresh"> that redirects within
+// META_REFRESH_MAX_DELAY seconds, or null. Refreshes to the page itself are reloads.
+function metaRefreshTarget(html, baseUrl) {
+  for (const tag of html.match(/<meta\b[^>]*>/gi) || []) {
+    if (!/http-equiv\s*=\s*["']?refresh\b/i.test(tag)) continue;
+    const attr = tag.match(/\bcontent\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i);
+    const content = attr ? (attr[1] ?? attr[2] ?? attr[3]).replace(/&amp;/g, '&') : '';
+    const m = content.match(/^\s*(\d+)(?:\.\d*)?\s*(?:[;,]\s*(?:url\s*=\s*)?(.*))?$/i);
+    if (!m || !m[2] || Number(m[1]) > META_REFRESH_MAX_DELAY) continue;
+    try {
+      const target = new URL(m[2].trim().replace(/^(['"])(.*)\1$/, '$2'), baseUrl);
+      if (!['http:', 'https:'].includes(target.protocol) || target.href === new URL(baseUrl).href) continue;
+      return target.href;
+    } catch {}
+  }
+  return null;
+}
+
+// Headers, cookies and decoded HTML (up to maxHtml bytes) of a final response
+async function readPage(resp, maxHtml) {
+  // Collect response headers; Set-Cookie is kept per cookie (the map keeps one)
+  const headers = {};
+  for (const [k, v] of resp.headers.entries()) {
+    headers[k.toLowerCase()] = v;
+  }
+  const setCookies = typeof resp.headers.getSetCookie === 'function'
+    ? resp.headers.getSetCookie()
+    : (headers['set-cookie'] ? [headers['set-cookie']] : []);
+
+  const contentType = headers['content-type'] || '';
+  const isHtml = contentType.includes('text/html') || contentType.includes('application/xhtml');
+  let html = '';
+
+  if (isHtml) {
+    const arrayBuf = await resp.arrayBuffer();
+    const bytes = arrayBuf.byteLength > maxHtml
+      ? arrayBuf.slice(0, maxHtml)
+      : arrayBuf;
+
+    let charset = 'utf-8';
+    const charsetMatch = contentType.match(/charset=([^\s;]+)/i);
+    if (charsetMatch && ALLOWED_CHARSETS.includes(charsetMatch[1].toLowerCase())) {
+      charset = charsetMatch[1];
+    }
+    try {
+      html = new TextDecoder(charset, { fatal: false }).decode(bytes);
+    } catch {
+      html = new TextDecoder('utf-8', { fatal: false }).decode(bytes);
+    }
+  }
+  return { headers, setCookies, isHtml, html };
+}
+
+// Fetch one page (redirects + SSRF checks) and decode HTML up to maxHtml bytes.
+// With followMeta, meta-refresh targets are followed too, sharing the
+// MAX_REDIRECTS budget; that hop gets via: 'meta'.
+// Returns the /fetch payload, or { error, status } on failure.
+async function fetchPage(url, maxHtml, followMeta = false) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
+
+  try {
+    let result = await fetchWithRedirects(url, controller.signal);
+    if (result.error) return result;
+    const redirectChain = [...result.redirectChain];
+    const hops = [...result.hops];
+
+    // Read HTML (limit size) — timeout covers body read too
+    let page = await readPage(result.resp, maxHtml);
+    // A refresh back to a visited URL, past the redirect budget, or to a page
+    // that cannot be fetched ends the chain at the last page read
+    while (followMeta && page.isHtml) {
+      const target = metaRefreshTarget(page.html, result.finalUrl);
+      if (!target || target === new URL(url).href || redirectChain.includes(target)) break;
+      if (redirectChain.length >= MAX_REDIRECTS) break;
+      const next = await fetchWithRedirects(target, controller.signal, MAX_REDIRECTS - redirectChain.length - 1);
+      if (next.error) break;
+      hops[hops.length - 1] = { ...hops[hops.length - 1], location: target, via: 'meta' };
+      redirectChain.push(target, ...next.redirectChain);
+      hops.push(...next.hops);
+      result = next;
+      page = await readPage(result.resp, maxHtml);
+    }
+
+    return {
+      status: result.resp.status,
+      finalUrl: result.finalUrl,
+      redirected: redirectChain.length > 0,
+      redirectChain,
+      hops,
+      ...page,
+    };
+  } catch (e) {
+    if (e.name === 'AbortError') {
+      return { error: 'Fetch timeout', status: 504 };
+    }
+    return { error: `Failed to fetch: ${e.message || 'unknown error'}`, status: 502 };
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+// Validate a user-supplied target URL; returns an error payload or null
+function checkTargetUrl(parsed) {
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return { error: 'Only HTTP/HTTPS supported', status: 400 };
+  }
+  if (isPrivateIP(parsed.hostname)) {
+    return { error: 'Private IP addresses not allowed', status: 403 };
+  }
+  return null;
+}
+
+// ---- Access control and rate limiting --------------------------------------
+// Credentials are identified by a hash so raw keys are never kept as map keys
+// or Durable Object names.
+const keyChecks = new Map(); // credential id → { valid, expires }
+const rateLogs = new Map(); // limiter key → request timestamps (in-memory limiter)
+
+function isApiRoute(path) {
+  return ['/fetch', '/crawl', '/cert', '/rdap', '/dns', '/openai/chat/completions'].includes(path) ||
+    path.startsWith('/models/');
+}
+
+async function credentialId(secret) {
+  return [...(await sha256(secret)).slice(0, 16)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function accessTokens(env) {
+  return String(env.ACCESS_TOKENS || '').split(',').map(t => t.trim()).filter(Boolean);
+}
+
+// error.details[].reason values of a Google API error body
+async function errorReasons(resp) {
+  try {
+    const details = (await resp.json())?.error?.details;
+    return Array.isArray(details) ? details.map(d => d?.reason).filter(Boolean) : [];
+  } catch {
+    return [];
+  }
+}
+
+async function sha256(text) {
+  return new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text)));
+}
+
+// Constant-time check against every configured token: digests have a fixed
+// length, and crypto.subtle.timingSafeEqual (Workers) or the XOR loop does
+// not stop at the first differing byte
+async function isAccessToken(token, env) {
+  const digest = await sha256(token);
+  let match = false;
+  for (const t of accessTokens(env)) {
+    const expected = await sha256(t);
+    let equal;
+    if (typeof crypto.subtle.timingSafeEqual === 'function') {
+      equal = crypto.subtle.timingSafeEqual(digest, expected);
+    } else {
+      let diff = 0;
+      for (let i = 0; i < digest.length; i++) diff |= digest[i] ^ expected[i];
+      equal = diff === 0;
+    }
+    match = match || equal;
+  }
+  return match;
+}
+
+// Whether Google accepts the key; cached per isolate. Throws when Google
+// cannot answer, so the caller can tell "invalid" from "unknown".
+async function verifyGeminiKey(apiKey, id) {
+  const cached = keyChecks.get(id);
+  if (cached && cached.expires > Date.now()) return cached.valid;
+
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), KEY_CHECK_TIMEOUT);
+  let resp;
+  try {
+    resp = await fetch(KEY_CHECK_URL + encodeURIComponent(apiKey), { signal: controller.signal });
+  } finally {
+    clearTimeout(timeout);
+  }
+  if (resp.status >= 500) throw new Error(`Key check failed (${resp.status})`);
+  if (!resp.ok && ![400, 403, 429].includes(resp.status)) {
+    throw new Error(`Key check failed (${resp.status})`);
+  }
+  // Google answers a bad key with 400 API_KEY_INVALID. Quota errors (429) and
+  // key restrictions (403, e.g. API_KEY_HTTP_REFERRER_BLOCKED for a browser key
+  // checked from here) are only returned for real keys.
+  const reasons = resp.ok ? [] : await errorReasons(resp);
+  const valid = resp.status !== 400 && !reasons.includes('API_KEY_INVALID');
+  keyChecks.delete(id);
+  keyChecks.set(id, { valid, expires: Date.now() + (valid ? KEY_CHECK_TTL : KEY_CHECK_INVALID_TTL) });
+  while (keyChecks.size > MAX_KEY_CHECKS) {
+    keyChecks.delete(keyChecks.keys().next().value);
+  }
+  return valid;
+}
+
+// Returns { id } naming the credential for the per-key limit, or an error Response
+async function authorize(request, path, env) {
+  const token = request.headers.get('X-Access-Token');
+  if (token) {
+    if (!(await isAccessToken(token, env))) {
+      return jsonResponse(request, { error: 'Invalid access token', code: 'invalid_token' }, 401);
+    }
+    return { id: `token:${await credentialId(token)}` };
+  }
+  if (env.REQUIRE_ACCESS_TOKEN === '1') {
+    return jsonResponse(request, { error: 'Access token required', code: 'token_required' }, 401);
+  }
+
   const apiKey = request.headers.get('X-API-Key');
   if (!apiKey) {
-    return jsonResponse(request, { error: 'Missing API key' }, 401);
+    return jsonResponse(request, { error: 'Missing API key', code: 'missing_key' }, 401);
   }
+  const id = `key:${await credentialId(apiKey)}`;
+  // The OpenAI-compatible proxy forwards the provider's own key, whatever its shape
+  if (path === '/openai/chat/completions') return { id };
+  if (!GEMINI_KEY_PATTERN.test(apiKey)) {
+    return jsonResponse(request, { error: 'Invalid API key', code: 'invalid_key' }, 401);
+  }
+  // Gemini rejects a bad key on /models by itself
+  if (path.startsWith('/models/')) return { id };
+  let valid;
+  try {
+    valid = await verifyGeminiKey(apiKey, id);
+  } catch {
+    return jsonResponse(request, { error: 'API key check unavailable', code: 'key_check_unavailable' }, 503);
+  }
+  if (!valid) {
+    return jsonResponse(request, { error: 'Invalid API key', code: 'invalid_key' }, 401);
+  }
+  return { id };
+}
+
+// Sliding-window log: drops timestamps older than windowMs, then records this
+// request unless the window is full. retryAfter is in seconds.
+function slidingWindowHit(log, limit, windowMs, now) {
+  while (log.length && log[0] <= now - windowMs) log.shift();
+  if (log.length >= limit) {
+    return { allowed: false, remaining: 0, retryAfter: Math.max(1, Math.ceil((log[0] + windowMs - now) / 1000)) };
+  }
+  log.push(now);
+  return { allowed: true, remaining: limit - log.length, retryAfter: 0 };
+}
+
+// One instance per limiter key (idFromName), so its log is global to the
+// deployment rather than to one isolate
+export class RateLimiter {
+  constructor() {
+    this.log = [];
+  }
+
+  async fetch(request) {
+    const { limit, windowMs } = await request.json();
+    return new Response(JSON.stringify(slidingWindowHit(this.log, limit, windowMs, Date.now())), {
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+}
+
+async function rateLimitHit(env, key, limit, windowMs) {
+  if (env.RATE_LIMITER) {
+    try {
+      const stub = env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(key));
+      const resp = await stub.fetch('https://rate-limiter.invalid/', {
+        method: 'POST',
+        body: JSON.stringify({ limit, windowMs }),
+      });
+      return await resp.json();
+    } catch {
+      // fall back to this isolate's counters
+    }
+  }
+  const log = rateLogs.get(key) || [];
+  rateLogs.delete(key);
+  rateLogs.set(key, log); // most recently used last
+  const result = slidingWindowHit(log, limit, windowMs, Date.now());
+  while (rateLogs.size > MAX_RATE_LIMIT_KEYS) {
+    rateLogs.delete(rateLogs.keys().next().value);
+  }
+  return result;
+}
+
+function rateLimitSetting(value, fallback) {
+  const n = Number(value ?? fallback);
+  return Number.isFinite(n) && n > 0 ? Math.floor(n) : 0;
+}
+
+// One limit check; returns a 429 Response or null. scope is "ip" or "key".
+async function rateLimit(request, env, scope, key, limitSetting, fallback) {
+  const limit = rateLimitSetting(limitSetting, fallback);
+  if (!limit) return null;
+  const windowSec = rateLimitSetting(env.RATE_LIMIT_WINDOW, DEFAULT_RATE_LIMIT_WINDOW) || DEFAULT_RATE_LIMIT_WINDOW;
+  const { allowed, retryAfter } = await rateLimitHit(env, key, limit, windowSec * 1000);
+  if (allowed) return null;
+  return new Response(JSON.stringify({ error: 'Rate limit exceeded', code: 'rate_limited', scope, limit, window: windowSec, retryAfter }), {
+    status: 429,
+    headers: {
+      'Content-Type': 'application/json',
+      'Retry-After': String(retryAfter),
+      ...getCorsHeaders(request),
+    },
+  });
+}
+
+// Counted before authorize(), so refused credentials use up the address's
+// allowance too and cannot drive unlimited key checks
+function rateLimitIp(request, env) {
+  const key = `ip:${request.headers.get('CF-Connecting-IP') || 'unknown'}`;
+  return rateLimit(request, env, 'ip', key, env.RATE_LIMIT_PER_IP, DEFAULT_RATE_LIMIT_PER_IP);
+}
+
+function rateLimitKey(request, env, id) {
+  return rateLimit(request, env, 'key', id, env.RATE_LIMIT_PER_KEY, DEFAULT_RATE_LIMIT_PER_KEY);
+}
+
+// ---- /fetch result cache --------------------------------------------------
+// KV when FETCH_CACHE is bound, else the Cache API (caches.default), else a
+// small per-isolate Map so local runs and tests still see hits.
+const memoryCache = new Map(); // key → { expires, payload }
+
+function fetchCacheTtl(env) {
+  const ttl = Number(env.FETCH_CACHE_TTL ?? DEFAULT_FETCH_CACHE_TTL);
+  return Number.isFinite(ttl) && ttl > 0 ? Math.floor(ttl) : 0;
+}
 
+// Normalized target (no fragment) + options that change the payload
+function fetchCacheKey(parsed, followMeta) {
+  const target = new URL(parsed.href);
+  target.hash = '';
+  return `${FETCH_CACHE_ORIGIN}/fetch?meta=${followMeta ? 1 : 0}&url=${encodeURIComponent(target.href)}`;
+}
+
+async function fetchCacheGet(env, key) {
+  try {
+    if (env.FETCH_CACHE) {
+      return await env.FETCH_CACHE.get(key, 'json');
+    }
+    if (typeof caches !== 'undefined' && caches.default) {
+      const hit = await caches.default.match(new Request(key));
+      return hit ? await hit.json() : null;
+    }
+  } catch {
+    return null; // a broken cache must not break /fetch
+  }
+  const entry = memoryCache.get(key);
+  if (!entry) return null;
+  if (entry.expires <= Date.now()) {
+    memoryCache.delete(key);
+    return null;
+  }
+  return entry.payload;
+}
+
+async function fetchCachePut(env, key, payload, ttl) {
+  try {
+    if (env.FETCH_CACHE) {
+      await env.FETCH_CACHE.put(key, JSON.stringify(payload), { expirationTtl: Math.max(60, ttl) }); // KV minimum
+      return;
+    }
+    if (typeof caches !== 'undefined' && caches.default) {
+      await caches.default.put(new Request(key), new Response(JSON.stringify(payload), {
+        headers: { 'Content-Type': 'application/json', 'Cache-Control': `max-age=${ttl}` },
+      }));
+      return;
+    }
+  } catch {
+    return;
+  }
+  memoryCache.delete(key);
+  memoryCache.set(key, { expires: Date.now() + ttl * 1000, payload });
+  while (memoryCache.size > MAX_MEMORY_CACHE) {
+    memoryCache.delete(memoryCache.keys().next().value); // oldest insertion first
+  }
+}
+
+// options: { followMeta, refresh } — refresh skips the cache lookup but
+// still stores the new result
+async function handleFetch(request, url, options, env) {
   let parsed;
   try {
     parsed = new URL(url);
@@ -131,74 +583,310 @@ async function handleFetch(request, url) {
     return jsonResponse(request, { error: 'Invalid URL' }, 400);
   }
 
-  if (!['http:', 'https:'].includes(parsed.protocol)) {
-    return jsonResponse(request, { error: 'Only HTTP/HTTPS supported' }, 400);
+  const invalid = checkTargetUrl(parsed);
+  if (invalid) {
+    return jsonResponse(request, { error: invalid.error }, invalid.status);
   }
 
-  if (isPrivateIP(parsed.hostname)) {
-    return jsonResponse(request, { error: 'Private IP addresses not allowed' }, 403);
+  const ttl = fetchCacheTtl(env);
+  const cacheKey = fetchCacheKey(parsed, options.followMeta);
+  if (ttl && !options.refresh) {
+    const cached = await fetchCacheGet(env, cacheKey);
+    if (cached) return jsonResponse(request, { ...cached, cached: true });
   }
 
+  const page = await fetchPage(url, MAX_HTML_SIZE, options.followMeta);
+  if (page.error) {
+    return jsonResponse(request, { error: page.error }, page.status);
+  }
+  const payload = { ...page, fetchedAt: new Date().toISOString() };
+  if (ttl) await fetchCachePut(env, cacheKey, payload, ttl);
+  return jsonResponse(request, { ...payload, cached: false });
+}
+
+// Whether host is site itself or one of its subdomains
+function isWithinSite(host, site) {
+  const h = host.toLowerCase();
+  return h === site || h.endsWith('.' + site);
+}
+
+// Fetch a bounded set of same-site sub-pages (operator / 特商法 / privacy).
+// The client picks the links and names the site (its registrable domain from
+// the Public Suffix List, as &site=); the worker enforces the bound and keeps
+// base and every page, including its final URL after redirects, within that
+// site. Without &site= the site is the base host minus a leading "www.".
+async function handleCrawl(request, url) {
+  let base;
   try {
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
+    base = new URL(url.searchParams.get('base') || '');
+  } catch {
+    return jsonResponse(request, { error: 'Invalid base URL' }, 400);
+  }
+  const invalidBase = checkTargetUrl(base);
+  if (invalidBase) {
+    return jsonResponse(request, { error: invalidBase.error }, invalidBase.status);
+  }
+
+  const site = (url.searchParams.get('site') || base.hostname.replace(/^www\./i, '')).toLowerCase();
+  // A registrable domain has at least two labels
+  if (!/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(site) || !isWithinSite(base.hostname, site)) {
+    return jsonResponse(request, { error: 'Invalid site' }, 400);
+  }
 
-    const result = await fetchWithRedirects(url, controller.signal);
+  const targets = [...new Set(url.searchParams.getAll('url'))];
+  if (targets.length === 0) {
+    return jsonResponse(request, { error: 'Missing url parameter' }, 400);
+  }
+  if (targets.length > MAX_CRAWL_PAGES) {
+    return jsonResponse(request, { error: `Too many pages (max ${MAX_CRAWL_PAGES})` }, 400);
+  }
 
-    if (result.error) {
-      clearTimeout(timeout);
-      return jsonResponse(request, { error: result.error }, result.status);
+  const pages = await Promise.all(targets.map(async target => {
+    let parsed;
+    try {
+      parsed = new URL(target);
+    } catch {
+      return { url: target, error: 'Invalid URL' };
+    }
+    const invalid = checkTargetUrl(parsed);
+    if (invalid) return { url: target, error: invalid.error };
+    if (!isWithinSite(parsed.hostname, site)) {
+      return { url: target, error: 'Not same site' };
     }
 
-    const { resp, finalUrl, redirectChain } = result;
+    const page = await fetchPage(parsed.href, MAX_CRAWL_HTML_SIZE);
+    if (page.error) return { url: target, error: page.error };
+    if (!isWithinSite(new URL(page.finalUrl).hostname, site)) {
+      return { url: target, error: 'Redirected off site' };
+    }
+    return { url: target, status: page.status, finalUrl: page.finalUrl, isHtml: page.isHtml, html: page.html };
+  }));
+
+  return jsonResponse(request, { pages });
+}
 
-    // Collect response headers
-    const headers = {};
-    for (const [k, v] of resp.headers.entries()) {
-      headers[k.toLowerCase()] = v;
+// Read a response body as text, or null once it exceeds maxBytes
+async function readTextLimited(resp, maxBytes) {
+  const reader = resp.body.getReader();
+  const chunks = [];
+  let total = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    total += value.byteLength;
+    if (total > maxBytes) {
+      await reader.cancel();
+      return null;
     }
+    chunks.push(value);
+  }
+  const bytes = new Uint8Array(total);
+  let off = 0;
+  for (const c of chunks) { bytes.set(c, off); off += c.byteLength; }
+  return new TextDecoder().decode(bytes);
+}
 
-    // Read HTML (limit size) — timeout covers body read too
-    const contentType = headers['content-type'] || '';
-    const isHtml = contentType.includes('text/html') || contentType.includes('application/xhtml');
-    let html = '';
-
-    if (isHtml) {
-      const arrayBuf = await resp.arrayBuffer();
-      clearTimeout(timeout);
-      const bytes = arrayBuf.byteLength > MAX_HTML_SIZE
-        ? arrayBuf.slice(0, MAX_HTML_SIZE)
-        : arrayBuf;
-
-      let charset = 'utf-8';
-      const charsetMatch = contentType.match(/charset=([^\s;]+)/i);
-      if (charsetMatch && ALLOWED_CHARSETS.includes(charsetMatch[1].toLowerCase())) {
-        charset = charsetMatch[1];
-      }
-      try {
-        html = new TextDecoder(charset, { fatal: false }).decode(bytes);
-      } catch {
-        html = new TextDecoder('utf-8', { fatal: false }).decode(bytes);
-      }
-    } else {
-      clearTimeout(timeout);
+// First maxBytes of a body as text; the rest is discarded
+async function readTextPrefix(resp, maxBytes) {
+  const reader = resp.body.getReader();
+  const chunks = [];
+  let total = 0;
+  while (total < maxBytes) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value.subarray(0, maxBytes - total));
+    total += Math.min(value.byteLength, maxBytes - total);
+  }
+  await reader.cancel();
+  const bytes = new Uint8Array(total);
+  let off = 0;
+  for (const c of chunks) { bytes.set(c, off); off += c.byteLength; }
+  return new TextDecoder().decode(bytes);
+}
+
+// crt.sh timestamps are UTC without a zone suffix
+function ctDate(s) {
+  if (!s) return null;
+  const d = new Date(/Z$/.test(s) ? s : s + 'Z');
+  return isNaN(d) ? null : d.toISOString();
+}
+
+// Workers' fetch does not expose the peer certificate, so certificate details
+// come from Certificate Transparency logs: the latest certificate issued for
+// the host (issuer, validity window) and when the host first got one.
+async function handleCert(request, url) {
+  const host = (url.searchParams.get('host') || '').toLowerCase();
+  if (!/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(host) || isPrivateIP(host)) {
+    return jsonResponse(request, { error: 'Invalid host' }, 400);
+  }
+
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), CT_TIMEOUT);
+  try {
+    const resp = await fetch(`${CT_SEARCH_URL}?q=${encodeURIComponent(host)}&output=json`, {
+      signal: controller.signal,
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (compatible; SiteSafetyChecker/1.0)',
+        'Accept': 'application/json',
+      },
+    });
+    if (!resp.ok) {
+      return jsonResponse(request, { error: `CT log search failed (HTTP ${resp.status})` }, 502);
+    }
+    const body = await readTextLimited(resp, MAX_CT_BODY);
+    if (body === null) {
+      return jsonResponse(request, { host, source: 'crt.sh', certCount: null, manyCertificates: true });
     }
 
+    const entries = (JSON.parse(body || '[]') || [])
+      .map(e => ({ issuer: e.issuer_name || '', notBefore: ctDate(e.not_before), notAfter: ctDate(e.not_after) }))
+      .filter(e => e.notBefore);
+    if (entries.length === 0) {
+      return jsonResponse(request, { host, source: 'crt.sh', certCount: 0 });
+    }
+    entries.sort((a, b) => a.notBefore.localeCompare(b.notBefore));
+    const latest = entries[entries.length - 1];
     return jsonResponse(request, {
-      status: resp.status,
-      finalUrl,
-      redirected: redirectChain.length > 0,
-      redirectChain,
-      isHtml,
-      headers,
-      html,
+      host,
+      source: 'crt.sh',
+      certCount: entries.length,
+      issuer: latest.issuer,
+      notBefore: latest.notBefore,
+      notAfter: latest.notAfter,
+      firstSeen: entries[0].notBefore,
+    });
+  } catch (e) {
+    if (e.name === 'AbortError') {
+      return jsonResponse(request, { error: 'CT log search timeout' }, 504);
+    }
+    return jsonResponse(request, { error: `CT log search failed: ${e.message || 'unknown error'}` }, 502);
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+function rdapDate(s) {
+  const d = new Date(s || '');
+  return isNaN(d) ? null : d.toISOString();
+}
+
+// Registration facts from an RDAP domain object (RFC 9083)
+function parseRdap(data) {
+  const events = Array.isArray(data.events) ? data.events : [];
+  const eventDate = action => rdapDate(events.find(e => e.eventAction === action)?.eventDate);
+  const registrar = (data.entities || []).find(e => (e.roles || []).includes('registrar'));
+  const vcard = Array.isArray(registrar?.vcardArray?.[1]) ? registrar.vcardArray[1] : [];
+  const fn = vcard.find(v => Array.isArray(v) && v[0] === 'fn')?.[3];
+  return {
+    created: eventDate('registration'),
+    updated: eventDate('last changed'),
+    expires: eventDate('expiration'),
+    registrar: (typeof fn === 'string' && fn) || registrar?.handle || null,
+    status: (Array.isArray(data.status) ? data.status : []).filter(x => typeof x === 'string').slice(0, 10),
+  };
+}
+
+// RDAP lookup for a registrable domain (the client strips subdomains)
+async function handleRdap(request, url, env) {
+  const domain = (url.searchParams.get('domain') || '').toLowerCase();
+  if (!/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain) || isPrivateIP(domain)) {
+    return jsonResponse(request, { error: 'Invalid domain' }, 400);
+  }
+
+  const base = (env.RDAP_BASE_URL || DEFAULT_RDAP_BASE).replace(/\/+$/, '');
+  const source = new URL(base).hostname;
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), RDAP_TIMEOUT);
+  try {
+    const resp = await fetch(`${base}/domain/${encodeURIComponent(domain)}`, {
+      signal: controller.signal,
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (compatible; SiteSafetyChecker/1.0)',
+        'Accept': 'application/rdap+json, application/json',
+      },
     });
+    // 404: unknown domain, or a TLD without an RDAP service (e.g. .jp)
+    if (resp.status === 404) {
+      return jsonResponse(request, { domain, source, found: false });
+    }
+    if (!resp.ok) {
+      return jsonResponse(request, { error: `RDAP lookup failed (HTTP ${resp.status})` }, 502);
+    }
+    const body = await readTextLimited(resp, MAX_RDAP_BODY);
+    if (body === null) {
+      return jsonResponse(request, { error: 'RDAP response too large' }, 502);
+    }
+    return jsonResponse(request, { domain, source, found: true, ...parseRdap(JSON.parse(body)) });
+  } catch (e) {
+    if (e.name === 'AbortError') {
+      return jsonResponse(request, { error: 'RDAP lookup timeout' }, 504);
+    }
+    return jsonResponse(request, { error: `RDAP lookup failed: ${e.message || 'unknown error'}` }, 502);
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+// DNS-over-HTTPS JSON API (RFC 8484 resolvers also serve application/dns-json)
+const DNS_TYPES = { A: 1, NS: 2, MX: 15, TXT: 16, AAAA: 28 };
 
+async function dohQuery(resolver, name, type, signal) {
+  const resp = await fetch(`${resolver}?name=${encodeURIComponent(name)}&type=${type}`, {
+    signal,
+    headers: { 'Accept': 'application/dns-json' },
+  });
+  if (!resp.ok) throw new Error(`DoH HTTP ${resp.status}`);
+  const body = await readTextLimited(resp, MAX_DNS_BODY);
+  if (body === null) throw new Error('DoH response too large');
+  const data = JSON.parse(body);
+  const answers = (Array.isArray(data.Answer) ? data.Answer : [])
+    .filter(a => a.type === DNS_TYPES[type] && typeof a.data === 'string')
+    .slice(0, 20)
+    // TXT data arrives as quoted chunks: "v=spf1 " "include:…"
+    .map(a => ({ data: type === 'TXT' ? a.data.replace(/"\s*"/g, '').replace(/^"|"$/g, '') : a.data, ttl: Number(a.TTL) || 0 }));
+  return { status: data.Status, answers };
+}
+
+// A/AAAA for the host, MX/TXT/NS/DMARC for its registrable domain
+async function handleDns(request, url, env) {
+  const host = (url.searchParams.get('host') || '').toLowerCase();
+  const domain = (url.searchParams.get('domain') || host).toLowerCase();
+  const valid = name => /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(name) && !isPrivateIP(name);
+  if (!valid(host) || !valid(domain) || (host !== domain && !host.endsWith(`.${domain}`))) {
+    return jsonResponse(request, { error: 'Invalid host or domain' }, 400);
+  }
+
+  const resolver = (env.DOH_URL || DEFAULT_DOH_URL).replace(/\/+$/, '');
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), DNS_TIMEOUT);
+  try {
+    const [a, aaaa, mx, txt, ns, dmarc] = await Promise.all([
+      dohQuery(resolver, host, 'A', controller.signal),
+      dohQuery(resolver, host, 'AAAA', controller.signal),
+      dohQuery(resolver, domain, 'MX', controller.signal),
+      dohQuery(resolver, domain, 'TXT', controller.signal),
+      dohQuery(resolver, domain, 'NS', controller.signal),
+      dohQuery(resolver, `_dmarc.${domain}`, 'TXT', controller.signal),
+    ]);
+    return jsonResponse(request, {
+      host,
+      domain,
+      resolver: new URL(resolver).hostname,
+      nxdomain: a.status === 3 && ns.status === 3, // RCODE 3 = NXDOMAIN
+      a: a.answers,
+      aaaa: aaaa.answers,
+      mx: mx.answers,
+      txt: txt.answers,
+      ns: ns.answers,
+      dmarc: dmarc.answers.filter(r => /^v=DMARC1/i.test(r.data)),
+    });
   } catch (e) {
     if (e.name === 'AbortError') {
-      return jsonResponse(request, { error: 'Fetch timeout' }, 504);
+      return jsonResponse(request, { error: 'DNS lookup timeout' }, 504);
     }
-    return jsonResponse(request, { error: `Failed to fetch: ${e.message || 'unknown error'}` }, 502);
+    return jsonResponse(request, { error: `DNS lookup failed: ${e.message || 'unknown error'}` }, 502);
+  } finally {
+    clearTimeout(timeout);
   }
 }
 
@@ -239,6 +927,101 @@ async function handleGeminiProxy(request, path) {
   });
 }
 
+// Streaming generate: the upstream SSE body is piped through unbuffered so the
+// client can render the result while it is still being generated
+async function handleGeminiStream(request, model) {
+  const apiKey = request.headers.get('X-API-Key');
+  if (!apiKey) {
+    return jsonResponse(request, { error: 'Missing API key' }, 401);
+  }
+
+  const body = await request.text();
+  if (body.length > MAX_PROXY_BODY) {
+    return jsonResponse(request, { error: 'Request body too large' }, 413);
+  }
+
+  const geminiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${model}:streamGenerateContent?alt=sse&key=${encodeURIComponent(apiKey)}`;
+  const resp = await fetch(geminiUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body,
+  });
+
+  const cors = getCorsHeaders(request);
+  if (!resp.ok || !resp.body) {
+    // Errors (429 etc.) come back as a plain JSON body, not as events
+    return new Response(await resp.text(), {
+      status: resp.status,
+      headers: { 'Content-Type': 'application/json', ...cors },
+    });
+  }
+  return new Response(resp.body, {
+    status: resp.status,
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      ...cors,
+    },
+  });
+}
+
+function openAiUpstreamHosts(env) {
+  return String(env.OPENAI_UPSTREAM_HOSTS ?? DEFAULT_OPENAI_UPSTREAM_HOSTS)
+    .split(',').map(h => h.trim().toLowerCase()).filter(Boolean);
+}
+
+async function handleOpenAiProxy(request, env) {
+  const apiKey = request.headers.get('X-API-Key');
+  if (!apiKey) {
+    return jsonResponse(request, { error: 'Missing API key' }, 401);
+  }
+
+  // Upstream base URL (OpenAI-compatible provider). HTTPS + public host only;
+  // the path is fixed to /chat/completions so this cannot be used as a generic proxy.
+  let base;
+  try {
+    base = new URL(request.headers.get('X-Upstream-Base') || DEFAULT_OPENAI_BASE);
+  } catch {
+    return jsonResponse(request, { error: 'Invalid upstream URL' }, 400);
+  }
+  if (base.protocol !== 'https:') {
+    return jsonResponse(request, { error: 'Upstream must be HTTPS' }, 400);
+  }
+  if (isPrivateIP(base.hostname)) {
+    return jsonResponse(request, { error: 'Private IP addresses not allowed' }, 403);
+  }
+  // Only configured providers, so the route is not an open relay to any host
+  if (!openAiUpstreamHosts(env).includes(base.hostname.toLowerCase())) {
+    return jsonResponse(request, { error: 'Upstream host not allowed', code: 'upstream_not_allowed' }, 403);
+  }
+
+  const body = await request.text();
+  if (body.length > MAX_PROXY_BODY) {
+    return jsonResponse(request, { error: 'Request body too large' }, 413);
+  }
+
+  const upstreamUrl = `${base.origin}${base.pathname.replace(/\/+$/, '')}/chat/completions`;
+  const resp = await fetch(upstreamUrl, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${apiKey}`,
+    },
+    body,
+    redirect: 'manual',
+  });
+
+  const respBody = await resp.text();
+  const cors = getCorsHeaders(request);
+  return new Response(respBody, {
+    status: resp.status,
+    headers: {
+      'Content-Type': 'application/json',
+      ...cors,
+    },
+  });
+}
+
 function jsonResponse(request, data, status = 200) {
   const cors = getCorsHeaders(request);
   return new Response(JSON.stringify(data), {
@@ -251,7 +1034,7 @@ function jsonResponse(request, data, status = 200) {
 }
 
 export default {
-  async fetch(request) {
+  async fetch(request, env = {}) {
     const cors = getCorsHeaders(request);
 
     if (request.method === 'OPTIONS') {
@@ -261,12 +1044,45 @@ export default {
     const url = new URL(request.url);
     const path = url.pathname;
 
+    if (isApiRoute(path)) {
+      const ipLimited = await rateLimitIp(request, env);
+      if (ipLimited) return ipLimited;
+      const auth = await authorize(request, path, env);
+      if (auth instanceof Response) return auth;
+      const keyLimited = await rateLimitKey(request, env, auth.id);
+      if (keyLimited) return keyLimited;
+    }
+
     if (path === '/fetch' && request.method === 'GET') {
       const targetUrl = url.searchParams.get('url');
       if (!targetUrl) {
         return jsonResponse(request, { error: 'Missing url parameter' }, 400);
       }
-      return handleFetch(request, targetUrl);
+      return handleFetch(request, targetUrl, {
+        followMeta: url.searchParams.get('followMeta') === '1',
+        refresh: url.searchParams.get('refresh') === '1',
+      }, env);
+    }
+
+    if (path === '/crawl' && request.method === 'GET') {
+      return handleCrawl(request, url);
+    }
+
+    if (path === '/cert' && request.method === 'GET') {
+      return handleCert(request, url);
+    }
+
+    if (path === '/rdap' && request.method === 'GET') {
+      return handleRdap(request, url, env);
+    }
+
+    if (path === '/dns' && request.method === 'GET') {
+      return handleDns(request, url, env);
+    }
+
+    const streamMatch = path.match(/^\/models\/([a-zA-Z][\w.-]*):streamGenerateContent$/);
+    if (streamMatch && request.method === 'POST') {
+      return handleGeminiStream(request, streamMatch[1]);
     }
 
     if (path.startsWith('/models/')) {
@@ -274,6 +1090,10 @@ export default {
       return handleGeminiProxy(request, geminiPath);
     }
 
+    if (path === '/openai/chat/completions' && request.method === 'POST') {
+      return handleOpenAiProxy(request, env);
+    }
+
     if (path === '/' || path === '/health') {
       return jsonResponse(request, { status: 'ok', service: 'Site Safety Checker Worker' });
     }